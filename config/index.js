@@ -1,9 +1,33 @@
 require('dotenv').config();
 
+/**
+ * Proxies in front of the app. Production runs behind Railway's one proxy, so
+ * that's the default there; anything set explicitly must be a whole number.
+ */
+function parseTrustProxyHops(value, env) {
+  if (value === undefined || value === '') {
+    return env === 'production' ? 1 : 0;
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`TRUST_PROXY_HOPS must be a whole number of proxies, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * A numeric setting where 0 is a real value (a free tier, a waived fee)
+ */
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 3000,
   apiBaseUrl: process.env.API_BASE_URL || 'http://localhost:3000',
+  // Proxies in front of the app - needed for real client IPs in consent evidence
+  trustProxyHops: parseTrustProxyHops(process.env.TRUST_PROXY_HOPS, process.env.NODE_ENV),
 
   database: {
     url: process.env.DATABASE_URL,
@@ -20,7 +44,23 @@ module.exports = {
   telnyx: {
     apiKey: process.env.TELNYX_API_KEY,
     publicKey: process.env.TELNYX_PUBLIC_KEY,
-    messagingProfileId: process.env.TELNYX_MESSAGING_PROFILE_ID
+    messagingProfileId: process.env.TELNYX_MESSAGING_PROFILE_ID,
+    // Signature verification is on everywhere unless explicitly disabled (e.g. local testing)
+    verifyWebhooks: process.env.TELNYX_VERIFY_WEBHOOKS !== 'false',
+    webhookToleranceSeconds: parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECONDS, 10) || 300
+  },
+
+  sms: {
+    // Per-segment rates used to record message cost and project campaign cost
+    costPerSegmentCents: parseNumber(process.env.SMS_COST_PER_SEGMENT_CENTS, 0.4),
+    carrierFeePerSegmentCents: parseNumber(process.env.SMS_CARRIER_FEE_PER_SEGMENT_CENTS, 0.3)
+  },
+
+  links: {
+    // Short links use the tenant's custom domain when set, else this (else apiBaseUrl)
+    baseUrl: process.env.SHORT_LINK_BASE_URL,
+    // Rewrite URLs in outbound SMS to tracked short links
+    trackSms: process.env.SMS_TRACK_LINKS !== 'false'
   },
 
   aws: {
@@ -28,13 +68,28 @@ module.exports = {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     ses: {
-      fromEmail: process.env.SES_FROM_EMAIL
+      fromEmail: process.env.SES_FROM_EMAIL,
+      // SNS topic receiving SES bounce/complaint/delivery notifications (required -
+      // SNS messages from any other topic, or from any topic when unset, are rejected)
+      snsTopicArn: process.env.SES_SNS_TOPIC_ARN,
+      verifyNotifications: process.env.SES_VERIFY_NOTIFICATIONS !== 'false'
     }
   },
 
+  automations: {
+    // When the birthday/inactivity scan runs (cron, UTC)
+    dailyScanCron: process.env.AUTOMATION_DAILY_SCAN_CRON || '0 16 * * *'
+  },
+
+  admin: {
+    // Platform operator key for /admin endpoints (cross-tenant), disabled when unset
+    apiKey: process.env.ADMIN_API_KEY
+  },
+
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
   },
 
   compliance: {
@@ -44,7 +99,17 @@ module.exports = {
     },
     maxMessagesPerDayPerRecipient: parseInt(process.env.MAX_MESSAGES_PER_DAY_PER_RECIPIENT, 10) || 3,
     optOutKeywords: ['STOP', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
-    optInKeywords: ['START', 'YES', 'SUBSCRIBE', 'UNSTOP']
+    optInKeywords: ['START', 'YES', 'SUBSCRIBE', 'UNSTOP'],
+    // Always answered (10DLC) - a tenant keyword can override the default reply
+    helpKeywords: ['HELP', 'INFO'],
+    // Text-to-join: replies that confirm a pending signup, and how long the request stays open
+    joinConfirmKeywords: ['YES', 'Y'],
+    joinConfirmationWindowHours: parseInt(process.env.JOIN_CONFIRMATION_WINDOW_HOURS, 10) || 72
+  },
+
+  imports: {
+    maxFileBytes: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 20) * 1024 * 1024,
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 200000
   },
 
   rateLimit: {
@@ -0,0 +1,72 @@
+const express = require('express');
+const webhookEvents = require('../services/webhookEvents');
+const { queueWebhookEvent, getQueueStats } = require('../services/queue');
+const { requireAdminKey } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Platform operator routes - these span all tenants
+router.use(requireAdminKey);
+
+// List webhook events (defaults to failed)
+router.get('/webhook-events', async (req, res) => {
+  try {
+    const { provider, status = 'failed', from, to, limit } = req.query;
+
+    const events = await webhookEvents.listEvents({
+      provider,
+      status: status === 'all' ? null : status,
+      from,
+      to,
+      limit
+    });
+
+    res.json({ events });
+  } catch (error) {
+    logger.error('Failed to list webhook events', { error: error.message });
+    res.status(500).json({ error: 'Failed to list webhook events' });
+  }
+});
+
+// Re-run webhook events by provider event id, or failed and stale events in a time range
+router.post('/webhook-events/replay', async (req, res) => {
+  try {
+    const { provider = 'telnyx', event_ids, from, to } = req.body;
+
+    if (!(Array.isArray(event_ids) && event_ids.length > 0) && !(from && to)) {
+      return res.status(400).json({ error: 'event_ids or from and to required' });
+    }
+
+    const ids = await webhookEvents.resetForReplay({
+      provider,
+      eventIds: event_ids,
+      from,
+      to
+    });
+
+    for (const id of ids) {
+      await queueWebhookEvent(id, { replay: true });
+    }
+
+    logger.info('Webhook events queued for replay', { provider, count: ids.length });
+
+    res.json({ success: true, replayed: ids.length });
+  } catch (error) {
+    logger.error('Failed to replay webhook events', { error: error.message });
+    res.status(500).json({ error: 'Failed to replay webhook events' });
+  }
+});
+
+// Job counts across every queue - these are platform-wide, not per tenant
+router.get('/queue/stats', async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json(stats);
+  } catch (error) {
+    logger.error('Failed to get queue stats', { error: error.message });
+    res.status(500).json({ error: 'Failed to get queue stats' });
+  }
+});
+
+module.exports = router;
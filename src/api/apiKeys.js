@@ -0,0 +1,84 @@
+const express = require('express');
+const apiKeyService = require('../services/auth/apiKeys');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// API keys never hold api_keys:manage, so only dashboard users get past this
+router.use(requirePermission('api_keys:manage'));
+
+// List keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.tenantId);
+    res.json({ apiKeys });
+  } catch (error) {
+    logger.error('Failed to list API keys', { error: error.message });
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create key - plaintext key is returned once
+router.post('/', async (req, res) => {
+  try {
+    const { name, permissions, expires_at } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name required' });
+    }
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'permissions must be an array' });
+    }
+
+    const result = await apiKeyService.createKey(req.tenantId, {
+      name,
+      permissions,
+      expiresAt: expires_at,
+      createdBy: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Failed to create API key', { error: error.message });
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rotate key - old key is revoked, new plaintext key is returned once
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const result = await apiKeyService.rotateKey(req.tenantId, req.params.id, req.user.id);
+
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Failed to rotate API key', { error: error.message });
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Revoke key
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeKey(req.tenantId, req.params.id);
+
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to revoke API key', { error: error.message });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
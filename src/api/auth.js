@@ -0,0 +1,80 @@
+const express = require('express');
+const authService = require('../services/auth');
+const { getBearerToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Login
+router.post('/login', async (req, res) => {
+  try {
+    const { tenant, email, password } = req.body;
+
+    const result = await authService.login({
+      tenant,
+      email,
+      password,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Login failed', { error: error.message });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token required' });
+    }
+
+    const result = await authService.refresh({
+      refreshToken: refresh_token,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Token refresh failed', { error: error.message });
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Logout - revokes the session behind the presented token
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getBearerToken(req) || req.body.refresh_token;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token required' });
+    }
+
+    const result = await authService.logout(token);
+
+    if (!result.success) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout failed', { error: error.message });
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+module.exports = router;
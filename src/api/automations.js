@@ -0,0 +1,164 @@
+const express = require('express');
+const db = require('../db');
+const automationEngine = require('../services/automations');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const AUTOMATION_FIELDS = `
+  id, name, trigger_type, trigger_config, actions, target_locations, target_tags,
+  status, triggered_count, sent_count, created_at, updated_at
+`;
+
+// List automations
+router.get('/', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const result = await db.queryWithTenant(req.tenantId, `
+      SELECT ${AUTOMATION_FIELDS} FROM automations ORDER BY created_at DESC
+    `);
+
+    res.json({ automations: result.rows });
+  } catch (error) {
+    logger.error('Failed to list automations', { error: error.message });
+    res.status(500).json({ error: 'Failed to list automations' });
+  }
+});
+
+// Create automation
+router.post('/', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const {
+      name, trigger_type, trigger_config = {}, actions,
+      target_locations, target_tags, status = 'draft'
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name required' });
+    }
+    if (!['draft', 'active', 'paused'].includes(status)) {
+      return res.status(400).json({ error: 'status must be draft, active or paused' });
+    }
+
+    const validation = automationEngine.validateAutomation({ trigger_type, trigger_config, actions });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const result = await db.queryWithTenant(req.tenantId, `
+      INSERT INTO automations (
+        tenant_id, name, trigger_type, trigger_config, actions,
+        target_locations, target_tags, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${AUTOMATION_FIELDS}
+    `, [
+      req.tenantId, name, trigger_type, JSON.stringify(trigger_config), JSON.stringify(actions),
+      target_locations || [], target_tags || [], status
+    ]);
+
+    res.status(201).json({ success: true, automation: result.rows[0] });
+  } catch (error) {
+    logger.error('Failed to create automation', { error: error.message });
+    res.status(500).json({ error: 'Failed to create automation' });
+  }
+});
+
+// Get automation with run counts by status
+router.get('/:id', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const result = await db.queryWithTenant(req.tenantId, `
+      SELECT ${AUTOMATION_FIELDS} FROM automations WHERE id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation not found' });
+    }
+
+    const runs = await db.queryWithTenant(req.tenantId, `
+      SELECT status, COUNT(*)::int AS count
+      FROM automation_runs
+      WHERE automation_id = $1
+      GROUP BY status
+    `, [req.params.id]);
+
+    res.json({
+      automation: result.rows[0],
+      runs: Object.fromEntries(runs.rows.map(row => [row.status, row.count]))
+    });
+  } catch (error) {
+    logger.error('Failed to get automation', { error: error.message });
+    res.status(500).json({ error: 'Failed to get automation' });
+  }
+});
+
+// Update automation (pausing stops in-flight runs at their next step; action
+// edits apply to new runs - in-flight ones keep the actions they started with)
+router.put('/:id', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const existing = await db.queryWithTenant(req.tenantId, `
+      SELECT ${AUTOMATION_FIELDS} FROM automations WHERE id = $1
+    `, [req.params.id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Automation not found' });
+    }
+
+    const automation = { ...existing.rows[0], ...req.body };
+
+    if (!['draft', 'active', 'paused'].includes(automation.status)) {
+      return res.status(400).json({ error: 'status must be draft, active or paused' });
+    }
+
+    const validation = automationEngine.validateAutomation(automation);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const result = await db.queryWithTenant(req.tenantId, `
+      UPDATE automations SET
+        name = $1, trigger_type = $2, trigger_config = $3, actions = $4,
+        target_locations = $5, target_tags = $6, status = $7
+      WHERE id = $8
+      RETURNING ${AUTOMATION_FIELDS}
+    `, [
+      automation.name, automation.trigger_type, JSON.stringify(automation.trigger_config),
+      JSON.stringify(automation.actions), automation.target_locations || [], automation.target_tags || [],
+      automation.status, req.params.id
+    ]);
+
+    res.json({ success: true, automation: result.rows[0] });
+  } catch (error) {
+    logger.error('Failed to update automation', { error: error.message });
+    res.status(500).json({ error: 'Failed to update automation' });
+  }
+});
+
+// List an automation's runs (per-contact progress)
+router.get('/:id/runs', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const params = [req.params.id];
+    let statusFilter = '';
+
+    if (status) {
+      params.push(status);
+      statusFilter = `AND status = $${params.length}`;
+    }
+
+    const result = await db.queryWithTenant(req.tenantId, `
+      SELECT id, contact_id, trigger_key, trigger_data, status, current_step,
+             next_run_at, last_error, started_at, completed_at
+      FROM automation_runs
+      WHERE automation_id = $1 ${statusFilter}
+      ORDER BY started_at DESC
+      LIMIT 100
+    `, params);
+
+    res.json({ runs: result.rows });
+  } catch (error) {
+    logger.error('Failed to list automation runs', { error: error.message });
+    res.status(500).json({ error: 'Failed to list automation runs' });
+  }
+});
+
+module.exports = router;
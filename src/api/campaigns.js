@@ -0,0 +1,198 @@
+const express = require('express');
+const db = require('../db');
+const campaignService = require('../services/campaigns');
+const segmentService = require('../services/segments');
+const { validateFilter } = require('../services/segments/filter');
+const templates = require('../services/templates');
+const { calculateSegments } = require('../services/sms/segments');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a CampaignService failure to an HTTP response
+ */
+function sendCampaignError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400 };
+  const status = statusByCode[result.code] || 409;
+  return res.status(status).json({ error: result.error });
+}
+
+// Create campaign
+router.post('/', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const {
+      name, type, sms_content, email_subject, email_content, email_plain_text,
+      target_all, target_locations, target_tags, target_filter, segment_id, scheduled_at
+    } = req.body;
+
+    // Each channel the campaign sends on needs its content
+    if ((type === 'sms' || type === 'both') && !sms_content) {
+      return res.status(400).json({ error: 'sms_content required for sms campaigns' });
+    }
+    if ((type === 'email' || type === 'both') && (!email_subject || !(email_content || email_plain_text))) {
+      return res.status(400).json({ error: 'email_subject and email_content or email_plain_text required for email campaigns' });
+    }
+
+    // Reject typo'd merge fields up front rather than sending blanks
+    const contentFields = { sms_content, email_subject, email_content, email_plain_text };
+    for (const [field, text] of Object.entries(contentFields)) {
+      const template = templates.validateTemplate(text);
+      if (!template.valid) {
+        return res.status(400).json({ error: `${field}: ${template.error}` });
+      }
+    }
+
+    const filterCheck = validateFilter(target_filter);
+    if (!filterCheck.valid) {
+      return res.status(400).json({ error: `Invalid target_filter: ${filterCheck.error}` });
+    }
+    if (segment_id && !(await segmentService.getSegment(req.tenantId, segment_id))) {
+      return res.status(400).json({ error: 'Segment not found' });
+    }
+
+    const result = await db.queryWithTenant(req.tenantId, `
+      INSERT INTO campaigns (
+        tenant_id, name, type, sms_content, email_subject, email_content, email_plain_text,
+        target_all, target_locations, target_tags, target_filter, segment_id, scheduled_at,
+        status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'draft')
+      RETURNING id
+    `, [
+      req.tenantId, name, type, sms_content, email_subject, email_content, email_plain_text,
+      target_all || false, target_locations || [], target_tags || [],
+      JSON.stringify(target_filter || {}), segment_id || null,
+      scheduled_at
+    ]);
+
+    res.status(201).json({
+      success: true,
+      campaignId: result.rows[0].id,
+      smsSegments: sms_content ? calculateSegments(sms_content) : null
+    });
+  } catch (error) {
+    logger.error('Failed to create campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// Preview campaign - audience breakdown and compliance dry run, sends nothing
+router.post('/:id/preview', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const sampleSize = Math.min(Math.max(parseInt(req.body.sample_size, 10) || 5, 0), 25);
+
+    const result = await campaignService.preview(req.tenantId, req.params.id, { sampleSize });
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to preview campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to preview campaign' });
+  }
+});
+
+// Send campaign - immediately, or at scheduled_at if it's in the future
+router.post('/:id/send', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const result = await campaignService.send(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json({
+      success: true,
+      jobId: result.jobId,
+      scheduledAt: result.scheduledAt,
+      message: result.scheduledAt ? 'Campaign scheduled' : 'Campaign queued for sending'
+    });
+  } catch (error) {
+    logger.error('Failed to send campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to send campaign' });
+  }
+});
+
+// Reschedule campaign (before it starts)
+router.post('/:id/schedule', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const { scheduled_at } = req.body;
+
+    if (!scheduled_at) {
+      return res.status(400).json({ error: 'scheduled_at required' });
+    }
+
+    const result = await campaignService.schedule(req.tenantId, req.params.id, scheduled_at);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to schedule campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to schedule campaign' });
+  }
+});
+
+// Unschedule campaign - back to draft
+router.post('/:id/unschedule', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const result = await campaignService.unschedule(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to unschedule campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to unschedule campaign' });
+  }
+});
+
+// Pause campaign
+router.post('/:id/pause', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const result = await campaignService.pause(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to pause campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to pause campaign' });
+  }
+});
+
+// Resume campaign
+router.post('/:id/resume', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const result = await campaignService.resume(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to resume campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to resume campaign' });
+  }
+});
+
+// Cancel campaign
+router.post('/:id/cancel', requirePermission('campaigns:send'), async (req, res) => {
+  try {
+    const result = await campaignService.cancel(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendCampaignError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to cancel campaign', { error: error.message });
+    res.status(500).json({ error: 'Failed to cancel campaign' });
+  }
+});
+
+module.exports = router;
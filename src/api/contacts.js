@@ -0,0 +1,191 @@
+const express = require('express');
+const db = require('../db');
+const compliance = require('../services/compliance');
+const contactService = require('../services/contacts');
+const { findDuplicates, mergeContacts } = require('../services/contacts/merge');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Map a ContactService failure to an HTTP response
+ */
+function sendContactError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400, conflict: 409 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+/**
+ * Who is making a change, for the consent audit trail
+ */
+function actorFor(req) {
+  return {
+    userId: req.user?.id || null,
+    apiKeyId: req.apiKey?.id || null,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+// Anything that isn't a contact id is a 404 rather than a database error
+router.param('id', (req, res, next, id) => {
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(404).json({ error: 'Contact not found' });
+  }
+  next();
+});
+
+// List contacts (?q=&cursor=&limit= plus consent, opt-out, age, tags, location and order filters)
+router.get('/', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const result = await contactService.listContacts(req.tenantId, req.query);
+    if (!result.success) {
+      return sendContactError(res, result);
+    }
+
+    res.json({ contacts: result.contacts, next_cursor: result.nextCursor });
+  } catch (error) {
+    logger.error('Failed to fetch contacts', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+router.post('/', requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const {
+      phone, email, first_name, last_name,
+      sms_consent, email_consent, age_verified,
+      location_id, tags
+    } = req.body;
+
+    // Normalize phone
+    const normalizedPhone = phone ? compliance.normalizePhone(phone) : null;
+
+    const result = await db.queryWithTenant(req.tenantId, `
+      INSERT INTO contacts (
+        tenant_id, phone, email, first_name, last_name,
+        sms_consent, sms_consent_at, sms_consent_method,
+        email_consent, email_consent_at, email_consent_method,
+        age_verified, age_verified_at, age_verification_method,
+        primary_location_id, tags
+      ) VALUES (
+        $1, $2, $3, $4, $5,
+        $6, CASE WHEN $6 THEN NOW() ELSE NULL END, CASE WHEN $6 THEN 'api' ELSE NULL END,
+        $7, CASE WHEN $7 THEN NOW() ELSE NULL END, CASE WHEN $7 THEN 'api' ELSE NULL END,
+        $8, CASE WHEN $8 THEN NOW() ELSE NULL END, CASE WHEN $8 THEN 'api' ELSE NULL END,
+        $9, $10
+      )
+      RETURNING id
+    `, [
+      req.tenantId, normalizedPhone, email, first_name, last_name,
+      sms_consent || false, email_consent || false, age_verified || false,
+      location_id, tags || []
+    ]);
+
+    // Consent recorded over the API - note who recorded it and from where
+    for (const [channel, given] of [['sms', sms_consent], ['email', email_consent]]) {
+      if (!given) continue;
+      await compliance.recordConsentEvent(req.tenantId, {
+        contactId: result.rows[0].id,
+        channel,
+        event: 'consent_given',
+        method: 'api',
+        locationId: location_id || null,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        details: { user_id: req.user?.id || null, api_key_id: req.apiKey?.id || null }
+      });
+    }
+
+    await contactService.contactCreated(req.tenantId, result.rows[0].id);
+
+    res.status(201).json({
+      success: true,
+      contactId: result.rows[0].id
+    });
+  } catch (error) {
+    logger.error('Failed to create contact', { error: error.message });
+    res.status(500).json({ error: 'Failed to create contact' });
+  }
+});
+
+// Likely duplicates, grouped (matched on phone, email, or name + date of birth)
+router.get('/duplicates', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const groups = await findDuplicates(req.tenantId, { limit: req.query.limit });
+    res.json({ duplicates: groups });
+  } catch (error) {
+    logger.error('Failed to find duplicate contacts', { error: error.message });
+    res.status(500).json({ error: 'Failed to find duplicate contacts' });
+  }
+});
+
+// Get a contact with its consent history
+router.get('/:id', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const contact = await contactService.getContact(req.tenantId, req.params.id);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ contact });
+  } catch (error) {
+    logger.error('Failed to get contact', { error: error.message });
+    res.status(500).json({ error: 'Failed to get contact' });
+  }
+});
+
+// Update a contact - consent changes need a method and are recorded against the caller
+router.patch('/:id', requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const result = await contactService.updateContact(req.tenantId, req.params.id, req.body || {}, actorFor(req));
+    if (!result.success) {
+      return sendContactError(res, result);
+    }
+
+    res.json({ success: true, contact: result.contact });
+  } catch (error) {
+    logger.error('Failed to update contact', { error: error.message });
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// Merge { duplicate_id } into this contact - the duplicate is deleted
+router.post('/:id/merge', requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const duplicateId = req.body?.duplicate_id;
+    if (!duplicateId || !UUID_PATTERN.test(duplicateId)) {
+      return res.status(400).json({ error: 'duplicate_id required' });
+    }
+
+    const result = await mergeContacts(req.tenantId, req.params.id, duplicateId, actorFor(req));
+    if (!result.success) {
+      return sendContactError(res, result);
+    }
+
+    res.json({ success: true, contact: result.contact, moved: result.moved });
+  } catch (error) {
+    logger.error('Failed to merge contacts', { error: error.message });
+    res.status(500).json({ error: 'Failed to merge contacts' });
+  }
+});
+
+// Delete a contact
+router.delete('/:id', requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const result = await contactService.deleteContact(req.tenantId, req.params.id, actorFor(req));
+    if (!result.success) {
+      return sendContactError(res, result);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to delete contact', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete contact' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const conversationService = require('../services/conversations');
+const telnyxService = require('../services/sms/telnyx');
+const templates = require('../services/templates');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a ConversationService failure to an HTTP response
+ */
+function sendConversationError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+// List conversations (?status=open|closed|all&assigned_to=me|unassigned|<user id>&unread=true)
+router.get('/', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const { status = 'open', assigned_to, unread, limit, before } = req.query;
+
+    if (!['open', 'closed', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, closed or all' });
+    }
+
+    let assignedTo = assigned_to || null;
+    if (assignedTo === 'me') {
+      if (!req.user) {
+        return res.status(400).json({ error: 'assigned_to=me requires a user login' });
+      }
+      assignedTo = req.user.id;
+    }
+
+    const [conversations, unreadTotals] = await Promise.all([
+      conversationService.listConversations(req.tenantId, {
+        status,
+        assignedTo,
+        unreadOnly: unread === 'true',
+        limit: parseInt(limit, 10) || 50,
+        before
+      }),
+      conversationService.getUnreadCount(req.tenantId)
+    ]);
+
+    res.json({ conversations, unread: unreadTotals });
+  } catch (error) {
+    logger.error('Failed to list conversations', { error: error.message });
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+// Get a conversation and its messages (?before=&limit=) - marks it read
+router.get('/:id', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const conversation = await conversationService.getConversation(req.tenantId, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await conversationService.getMessages(req.tenantId, conversation, {
+      limit: parseInt(req.query.limit, 10) || 50,
+      before: req.query.before
+    });
+
+    // API keys (integrations) peeking at a thread shouldn't clear staff's unread badge
+    if (req.user) {
+      await conversationService.markRead(req.tenantId, conversation.id);
+    }
+
+    res.json({ conversation, messages });
+  } catch (error) {
+    logger.error('Failed to get conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+// Mark read
+router.post('/:id/read', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const found = await conversationService.markRead(req.tenantId, req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to mark conversation read', { error: error.message });
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
+// Reply from the location's number (full compliance checks apply)
+router.post('/:id/reply', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'content required' });
+    }
+
+    const template = templates.validateTemplate(content);
+    if (!template.valid) {
+      return res.status(400).json({ error: template.error });
+    }
+
+    const conversation = await conversationService.getConversation(req.tenantId, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const result = await telnyxService.sendMessage({
+      tenantId: req.tenantId,
+      contactId: conversation.contact_id,
+      locationId: conversation.location_id,
+      content
+    });
+
+    if (result.blocked) {
+      return res.status(422).json({
+        success: false,
+        blocked: true,
+        reasons: result.reasons
+      });
+    }
+
+    if (!result.success) {
+      return res.status(502).json({ success: false, messageId: result.messageId, error: result.error });
+    }
+
+    await conversationService.recordReply(req.tenantId, conversation.id);
+
+    res.status(201).json({ success: true, messageId: result.messageId, segments: result.segments });
+  } catch (error) {
+    logger.error('Failed to send reply', { error: error.message });
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+// Assign to a user ({ user_id: null } unassigns)
+router.post('/:id/assign', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    const result = await conversationService.assign(req.tenantId, req.params.id, user_id);
+    if (!result.success) {
+      return sendConversationError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to assign conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to assign conversation' });
+  }
+});
+
+// Close conversation
+router.post('/:id/close', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const result = await conversationService.setStatus(req.tenantId, req.params.id, 'closed');
+    if (!result.success) {
+      return sendConversationError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to close conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to close conversation' });
+  }
+});
+
+// Reopen conversation
+router.post('/:id/reopen', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const result = await conversationService.setStatus(req.tenantId, req.params.id, 'open');
+    if (!result.success) {
+      return sendConversationError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to reopen conversation', { error: error.message });
+    res.status(500).json({ error: 'Failed to reopen conversation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const config = require('../../config');
+const formService = require('../services/forms');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a FormService failure to an HTTP response
+ */
+function sendFormError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+/**
+ * Where a form is hosted - link to it or embed it in an iframe
+ */
+function withUrls(form) {
+  const url = `${config.apiBaseUrl.replace(/\/$/, '')}/forms/${form.id}`;
+  return {
+    ...form,
+    url,
+    embed_html: `<iframe src="${url}" width="100%" height="720" style="border:0" title="Sign up"></iframe>`
+  };
+}
+
+// List forms
+router.get('/', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const forms = await formService.listForms(req.tenantId);
+    res.json({ forms: forms.map(withUrls) });
+  } catch (error) {
+    logger.error('Failed to list forms', { error: error.message });
+    res.status(500).json({ error: 'Failed to list forms' });
+  }
+});
+
+// Create form (disclosures are legal language, so compliance:manage)
+router.post('/', requirePermission('compliance:manage'), async (req, res) => {
+  try {
+    const result = await formService.createForm(req.tenantId, req.body);
+    if (!result.success) {
+      return sendFormError(res, result);
+    }
+
+    res.status(201).json({ success: true, form: withUrls(result.form) });
+  } catch (error) {
+    logger.error('Failed to create form', { error: error.message });
+    res.status(500).json({ error: 'Failed to create form' });
+  }
+});
+
+// Get form
+router.get('/:id', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const form = await formService.getForm(req.tenantId, req.params.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    res.json({ form: withUrls(form) });
+  } catch (error) {
+    logger.error('Failed to get form', { error: error.message });
+    res.status(500).json({ error: 'Failed to get form' });
+  }
+});
+
+// Update form (including status; deactivate rather than delete to keep evidence links)
+router.put('/:id', requirePermission('compliance:manage'), async (req, res) => {
+  try {
+    const result = await formService.updateForm(req.tenantId, req.params.id, req.body);
+    if (!result.success) {
+      return sendFormError(res, result);
+    }
+
+    res.json({ success: true, form: withUrls(result.form) });
+  } catch (error) {
+    logger.error('Failed to update form', { error: error.message });
+    res.status(500).json({ error: 'Failed to update form' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const formService = require('../services/forms');
+const { renderForm, renderSuccess, renderUnderage } = require('../services/forms/render');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Plain HTML form posts
+router.use(express.urlencoded({ extended: false }));
+
+// Hosted forms are meant to be framed by the tenant's own site
+router.use((req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:; form-action 'self'; frame-ancestors *"
+  );
+  next();
+});
+
+const submitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many submissions, please try again later.' }
+});
+
+/**
+ * Load the active form named in the URL, or answer 404
+ */
+async function loadForm(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).send('Form not found');
+  }
+
+  try {
+    req.form = await formService.loadPublicForm(req.params.id);
+    if (!req.form) {
+      return res.status(404).send('Form not found');
+    }
+    next();
+  } catch (error) {
+    logger.error('Failed to load signup form', { formId: req.params.id, error: error.message });
+    res.status(500).send('Error');
+  }
+}
+
+// The form page
+router.get('/:id', loadForm, (req, res) => {
+  res.type('html').send(renderForm(req.form));
+});
+
+// Form content for sites that render their own form (submit as JSON to POST /forms/:id)
+router.get('/:id/config', loadForm, (req, res) => {
+  res.json(formService.publicConfig(req.form));
+});
+
+// Submit - HTML form posts get a page back, JSON posts get JSON
+router.post('/:id', submitLimiter, loadForm, async (req, res) => {
+  const wantsJson = req.is('application/json');
+
+  try {
+    const result = await formService.submit(req.form, req.body || {}, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      pageUrl: req.get('referer') || null
+    });
+
+    if (wantsJson) {
+      const statusByCode = { invalid: 400, underage: 400, conflict: 409 };
+      return result.success
+        ? res.status(201).json({ success: true, message: result.message })
+        : res.status(statusByCode[result.code] || 400).json({ error: result.error });
+    }
+
+    if (result.success) {
+      return res.type('html').send(renderSuccess(req.form));
+    }
+    if (result.code === 'underage') {
+      return res.status(400).type('html').send(renderUnderage(req.form));
+    }
+
+    res.status(400).type('html').send(renderForm(req.form, { values: req.body, error: result.error }));
+  } catch (error) {
+    logger.error('Failed to submit signup form', { formId: req.form.id, error: error.message });
+
+    if (wantsJson) {
+      return res.status(500).json({ error: 'Failed to submit form' });
+    }
+    res.status(500).type('html').send(renderForm(req.form, {
+      values: req.body,
+      error: 'Something went wrong. Please try again.'
+    }));
+  }
+});
+
+module.exports = router;
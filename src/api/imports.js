@@ -0,0 +1,105 @@
+const express = require('express');
+const config = require('../../config');
+const importService = require('../services/imports');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map an ImportService failure to an HTTP response
+ */
+function sendImportError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400, conflict: 409 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+// List imports
+router.get('/', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const imports = await importService.listImports(req.tenantId);
+    res.json({ imports });
+  } catch (error) {
+    logger.error('Failed to list imports', { error: error.message });
+    res.status(500).json({ error: 'Failed to list imports' });
+  }
+});
+
+// Upload a CSV (Content-Type: text/csv, ?filename=) - returns its headers and a suggested mapping
+router.post(
+  '/',
+  requirePermission('contacts:write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: config.imports.maxFileBytes }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== 'string') {
+        return res.status(400).json({ error: 'Send the CSV as the request body with Content-Type: text/csv' });
+      }
+
+      const result = await importService.createImport(req.tenantId, {
+        csv: req.body,
+        filename: req.query.filename || null,
+        userId: req.user?.id || null
+      });
+
+      if (!result.success) {
+        return sendImportError(res, result);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Failed to upload import', { error: error.message });
+      res.status(500).json({ error: 'Failed to upload import' });
+    }
+  }
+);
+
+// Confirm the column mapping and start importing
+router.post('/:id/start', requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const { mapping, defaults } = req.body;
+
+    const result = await importService.startImport(req.tenantId, req.params.id, { mapping, defaults });
+    if (!result.success) {
+      return sendImportError(res, result);
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    logger.error('Failed to start import', { error: error.message });
+    res.status(500).json({ error: 'Failed to start import' });
+  }
+});
+
+// Import status, counts and progress (percent)
+router.get('/:id', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const contactImport = await importService.getImport(req.tenantId, req.params.id);
+    if (!contactImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({ import: contactImport });
+  } catch (error) {
+    logger.error('Failed to get import', { error: error.message });
+    res.status(500).json({ error: 'Failed to get import' });
+  }
+});
+
+// Download the per-row report (errors, skipped rows and warnings) as CSV
+router.get('/:id/errors.csv', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const report = await importService.buildErrorReport(req.tenantId, req.params.id);
+    if (report === null) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.attachment(`import-${req.params.id}-errors.csv`);
+    res.type('text/csv').send(report);
+  } catch (error) {
+    logger.error('Failed to build import report', { error: error.message });
+    res.status(500).json({ error: 'Failed to build import report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const keywordService = require('../services/keywords');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a KeywordService failure to an HTTP response
+ */
+function sendKeywordError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400, conflict: 409 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+// List keywords
+router.get('/', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const keywords = await keywordService.listKeywords(req.tenantId);
+    res.json({ keywords });
+  } catch (error) {
+    logger.error('Failed to list keywords', { error: error.message });
+    res.status(500).json({ error: 'Failed to list keywords' });
+  }
+});
+
+// Create keyword (location_id omitted = all locations; type 'join' = text-to-join signup)
+router.post('/', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const { keyword, type, reply, actions, location_id, status } = req.body;
+
+    const result = await keywordService.createKeyword(req.tenantId, {
+      keyword,
+      type,
+      reply,
+      actions,
+      locationId: location_id || null,
+      status
+    });
+
+    if (!result.success) {
+      return sendKeywordError(res, result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Failed to create keyword', { error: error.message });
+    res.status(500).json({ error: 'Failed to create keyword' });
+  }
+});
+
+// Update keyword reply, actions or status
+router.put('/:id', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const { reply, actions, status } = req.body;
+
+    const result = await keywordService.updateKeyword(req.tenantId, req.params.id, { reply, actions, status });
+    if (!result.success) {
+      return sendKeywordError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to update keyword', { error: error.message });
+    res.status(500).json({ error: 'Failed to update keyword' });
+  }
+});
+
+// Delete keyword
+router.delete('/:id', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const result = await keywordService.deleteKeyword(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendKeywordError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to delete keyword', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete keyword' });
+  }
+});
+
+module.exports = router;
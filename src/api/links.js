@@ -0,0 +1,32 @@
+const express = require('express');
+const linkService = require('../services/links');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Short link redirect - public, the code is the only identifier
+router.get('/:code', async (req, res) => {
+  const { code } = req.params;
+
+  if (!/^[A-Za-z0-9]{1,16}$/.test(code)) {
+    return res.status(404).send('Link not found');
+  }
+
+  try {
+    const link = await linkService.recordClick(code, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!link) {
+      return res.status(404).send('Link not found');
+    }
+
+    res.redirect(302, link.original_url);
+  } catch (error) {
+    logger.error('Failed to follow short link', { code, error: error.message });
+    res.status(500).send('Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const privacyService = require('../services/privacy');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a PrivacyService failure to an HTTP response
+ */
+function sendPrivacyError(res, result) {
+  const statusByCode = { invalid: 400 };
+  return res.status(statusByCode[result.code] || 400).json({ error: result.error });
+}
+
+/**
+ * Who ran the request, for the audit trail
+ */
+function actorFor(req) {
+  return { userId: req.user?.id || null, apiKeyId: req.apiKey?.id || null };
+}
+
+// Export everything held on { phone } or { email } - ?format=csv for CSV, JSON otherwise
+// (POST so the address stays out of URLs and access logs)
+router.post('/export', requirePermission('contacts:export'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const result = await privacyService.exportData(req.tenantId, req.body || {}, actorFor(req));
+    if (!result.success) {
+      return sendPrivacyError(res, result);
+    }
+
+    const filename = `privacy-export-${result.data.generated_at.slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(privacyService.exportToCsv(result.data));
+    }
+    res.json(result.data);
+  } catch (error) {
+    logger.error('Failed to export personal data', { error: error.message });
+    res.status(500).json({ error: 'Failed to export personal data' });
+  }
+});
+
+// Erase { phone } or { email } - keeps only a suppression record
+router.post('/erase', requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const result = await privacyService.erase(req.tenantId, req.body || {}, actorFor(req));
+    if (!result.success) {
+      return sendPrivacyError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to erase personal data', { error: error.message });
+    res.status(500).json({ error: 'Failed to erase personal data' });
+  }
+});
+
+// Request history (?phone= or ?email= for one address)
+router.get('/requests', requirePermission('compliance:manage'), async (req, res) => {
+  try {
+    const result = await privacyService.listRequests(req.tenantId, req.query);
+    if (!result.success) {
+      return sendPrivacyError(res, result);
+    }
+
+    res.json({ requests: result.requests });
+  } catch (error) {
+    logger.error('Failed to list privacy requests', { error: error.message });
+    res.status(500).json({ error: 'Failed to list privacy requests' });
+  }
+});
+
+module.exports = router;
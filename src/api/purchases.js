@@ -0,0 +1,40 @@
+const express = require('express');
+const contactService = require('../services/contacts');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Ingest a purchase (POS integrations) - matches the contact by id, phone or email
+router.post('/', requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const { contact_id, phone, email, order_id, amount, location_id, ordered_at } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({ error: 'order_id required' });
+    }
+    if (amount !== undefined && !Number.isFinite(Number(amount))) {
+      return res.status(400).json({ error: 'amount must be a number' });
+    }
+
+    const contact = await contactService.findContact(req.tenantId, { contactId: contact_id, phone, email });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const result = await contactService.recordPurchase(req.tenantId, {
+      contactId: contact.id,
+      orderId: String(order_id),
+      amount: Number(amount) || 0,
+      locationId: location_id,
+      orderedAt: ordered_at
+    });
+
+    res.status(result.duplicate ? 200 : 201).json({ ...result, contactId: contact.id });
+  } catch (error) {
+    logger.error('Failed to record purchase', { error: error.message });
+    res.status(500).json({ error: 'Failed to record purchase' });
+  }
+});
+
+module.exports = router;
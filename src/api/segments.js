@@ -0,0 +1,118 @@
+const express = require('express');
+const segmentService = require('../services/segments');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Map a SegmentService failure to an HTTP response
+ */
+function sendSegmentError(res, result) {
+  const statusByCode = { not_found: 404, invalid: 400, conflict: 409 };
+  const { success, code, ...body } = result;
+  return res.status(statusByCode[code] || 400).json(body);
+}
+
+// List segments
+router.get('/', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const segments = await segmentService.listSegments(req.tenantId);
+    res.json({ segments });
+  } catch (error) {
+    logger.error('Failed to list segments', { error: error.message });
+    res.status(500).json({ error: 'Failed to list segments' });
+  }
+});
+
+// Count contacts matching an unsaved filter
+router.post('/count', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const result = await segmentService.countContacts(req.tenantId, req.body.filter);
+    if (!result.success) {
+      return sendSegmentError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to count segment', { error: error.message });
+    res.status(500).json({ error: 'Failed to count segment' });
+  }
+});
+
+// Get segment with its current audience size
+router.get('/:id', requirePermission('campaigns:read'), async (req, res) => {
+  try {
+    const segment = await segmentService.getSegment(req.tenantId, req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const { success, ...counts } = await segmentService.countContacts(req.tenantId, segment.filter);
+    res.json({ segment, counts });
+  } catch (error) {
+    logger.error('Failed to get segment', { error: error.message });
+    res.status(500).json({ error: 'Failed to get segment' });
+  }
+});
+
+// Create segment
+router.post('/', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const { name, description, filter } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name required' });
+    }
+
+    const result = await segmentService.createSegment(req.tenantId, {
+      name,
+      description,
+      filter,
+      createdBy: req.user ? req.user.id : null
+    });
+
+    if (!result.success) {
+      return sendSegmentError(res, result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Failed to create segment', { error: error.message });
+    res.status(500).json({ error: 'Failed to create segment' });
+  }
+});
+
+// Update segment
+router.put('/:id', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const { name, description, filter } = req.body;
+
+    const result = await segmentService.updateSegment(req.tenantId, req.params.id, { name, description, filter });
+    if (!result.success) {
+      return sendSegmentError(res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to update segment', { error: error.message });
+    res.status(500).json({ error: 'Failed to update segment' });
+  }
+});
+
+// Delete segment
+router.delete('/:id', requirePermission('campaigns:write'), async (req, res) => {
+  try {
+    const result = await segmentService.deleteSegment(req.tenantId, req.params.id);
+    if (!result.success) {
+      return sendSegmentError(res, result);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to delete segment', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete segment' });
+  }
+});
+
+module.exports = router;
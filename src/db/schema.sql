@@ -62,6 +62,25 @@ CREATE TABLE users (
   UNIQUE(tenant_id, email)
 );
 
+-- ============================================
+-- USER SESSIONS (Refresh tokens issued at login)
+-- ============================================
+CREATE TABLE user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(), -- Carried as "sid" in JWTs
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+
 -- ============================================
 -- LOCATIONS (Dispensary locations per tenant)
 -- ============================================
@@ -112,6 +131,7 @@ CREATE TABLE contacts (
   sms_consent_ip VARCHAR(45),
   sms_opted_out BOOLEAN DEFAULT FALSE,
   sms_opted_out_at TIMESTAMPTZ,
+  sms_consent_pending_at TIMESTAMPTZ, -- Texted a join keyword, awaiting the YES confirmation
   
   -- Compliance - Email
   email_consent BOOLEAN DEFAULT FALSE,
@@ -123,7 +143,7 @@ CREATE TABLE contacts (
   -- Age verification (REQUIRED for cannabis)
   age_verified BOOLEAN DEFAULT FALSE,
   age_verified_at TIMESTAMPTZ,
-  age_verification_method VARCHAR(50), -- 'checkbox', 'id_scan', 'pos_verified'
+  age_verification_method VARCHAR(50), -- 'checkbox', 'id_scan', 'pos_verified', 'keyword_reply'
   date_of_birth DATE,
   
   -- Segmentation
@@ -138,6 +158,9 @@ CREATE TABLE contacts (
   -- Timezone for quiet hours
   timezone VARCHAR(50),
   
+  -- Privacy erasure: PII removed, only the addresses and opt-outs kept as a suppression record
+  erased_at TIMESTAMPTZ,
+  
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   
@@ -151,6 +174,73 @@ CREATE INDEX idx_contacts_sms_consent ON contacts(tenant_id, sms_consent, sms_op
 CREATE INDEX idx_contacts_email_consent ON contacts(tenant_id, email_consent, email_opted_out);
 CREATE INDEX idx_contacts_tags ON contacts USING GIN(tags);
 
+-- ============================================
+-- CONTACT IMPORTS (Bulk CSV uploads)
+-- ============================================
+CREATE TABLE contact_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  
+  filename VARCHAR(255),
+  headers TEXT[] DEFAULT '{}',
+  csv_data TEXT, -- Cleared once the import finishes
+  
+  -- CSV header -> contact field, and values applied to every row
+  column_mapping JSONB,
+  defaults JSONB DEFAULT '{}', -- location_id, tags, sms_consent_method, email_consent_method
+  
+  status VARCHAR(20) DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'queued', 'processing', 'completed', 'failed')),
+  total_rows INTEGER DEFAULT 0,
+  processed_rows INTEGER DEFAULT 0, -- Checkpoint: rows before this are done
+  created_count INTEGER DEFAULT 0,
+  updated_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  error TEXT,
+  
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_contact_imports_tenant ON contact_imports(tenant_id, created_at DESC);
+
+-- Rows that were rejected or skipped, for the downloadable report
+CREATE TABLE contact_import_errors (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  import_id UUID NOT NULL REFERENCES contact_imports(id) ON DELETE CASCADE,
+  
+  row_number INTEGER NOT NULL, -- Line in the file (header is line 1)
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('error', 'skipped', 'warning')), -- warning = imported with a caveat
+  message TEXT NOT NULL,
+  row_data TEXT[], -- The row as uploaded
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_contact_import_errors_import ON contact_import_errors(import_id, row_number);
+
+-- ============================================
+-- SEGMENTS (Saved, reusable audience filters)
+-- ============================================
+CREATE TABLE segments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  filter JSONB NOT NULL DEFAULT '{}', -- Same language as campaigns.target_filter
+  
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(tenant_id, name)
+);
+
 -- ============================================
 -- CAMPAIGNS
 -- ============================================
@@ -172,7 +262,8 @@ CREATE TABLE campaigns (
   target_all BOOLEAN DEFAULT FALSE,
   target_locations UUID[] DEFAULT '{}',
   target_tags TEXT[] DEFAULT '{}',
-  target_filter JSONB DEFAULT '{}', -- Advanced filtering
+  target_filter JSONB DEFAULT '{}', -- Advanced filtering (see services/segments/filter.js)
+  segment_id UUID REFERENCES segments(id) ON DELETE SET NULL, -- Saved segment, ANDed with the above
   
   -- Scheduling
   scheduled_at TIMESTAMPTZ,
@@ -188,6 +279,12 @@ CREATE TABLE campaigns (
   clicked_count INTEGER DEFAULT 0,
   opted_out_count INTEGER DEFAULT 0,
   
+  -- Fan-out checkpoint (so a crashed campaign job resumes where it left off)
+  fanout_job_id VARCHAR(255), -- Campaign job currently fanning out
+  fanout_generation INTEGER DEFAULT 0, -- Bumped on resume, part of message job ids
+  fanout_cursor UUID, -- Last contact id queued
+  fanout_queued INTEGER DEFAULT 0,
+  
   created_by UUID REFERENCES users(id),
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -231,7 +328,7 @@ CREATE TABLE messages (
   quiet_hours_checked_at TIMESTAMPTZ,
   
   -- Costs
-  cost_cents INTEGER DEFAULT 0,
+  cost_cents DECIMAL(10,4) DEFAULT 0, -- SMS: segments x configured per-segment rates
   segments INTEGER DEFAULT 1, -- SMS segments
   
   sent_at TIMESTAMPTZ,
@@ -246,9 +343,102 @@ CREATE INDEX idx_messages_tenant ON messages(tenant_id);
 CREATE INDEX idx_messages_campaign ON messages(campaign_id);
 CREATE INDEX idx_messages_contact ON messages(contact_id);
 CREATE INDEX idx_messages_provider_id ON messages(provider_message_id);
+-- Inbound messages are stored once per provider message, however often the webhook is retried
+CREATE UNIQUE INDEX idx_messages_inbound_provider_id ON messages(provider_message_id)
+  WHERE direction = 'inbound' AND provider_message_id IS NOT NULL;
 CREATE INDEX idx_messages_status ON messages(tenant_id, status);
 CREATE INDEX idx_messages_created ON messages(tenant_id, created_at DESC);
 
+-- ============================================
+-- CONVERSATIONS (Two-way SMS threads, one per contact per location number)
+-- ============================================
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  
+  unread_count INTEGER DEFAULT 0, -- Inbound messages since staff last read the thread
+  last_message_at TIMESTAMPTZ,
+  last_inbound_at TIMESTAMPTZ,
+  last_read_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(tenant_id, contact_id, location_id)
+);
+
+CREATE INDEX idx_conversations_inbox ON conversations(tenant_id, status, last_message_at DESC);
+CREATE INDEX idx_conversations_assigned ON conversations(tenant_id, assigned_user_id);
+CREATE INDEX idx_messages_thread ON messages(contact_id, location_id, created_at DESC);
+
+-- ============================================
+-- KEYWORDS (Inbound SMS auto-responders)
+-- ============================================
+CREATE TABLE keywords (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE CASCADE, -- NULL = every location
+  
+  keyword VARCHAR(50) NOT NULL, -- Stored uppercase, matched against the whole message
+  type VARCHAR(20) DEFAULT 'reply' CHECK (type IN ('reply', 'join')), -- join = text-to-join signup (double opt-in)
+  reply TEXT, -- Merge fields allowed; for join keywords, the welcome sent once confirmed
+  actions JSONB DEFAULT '[]', -- e.g. [{ "type": "add_tag", "tag": "vip" }, { "type": "enroll_automation", "automation_id": "..." }]
+  
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+  match_count INTEGER DEFAULT 0,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One definition per keyword per location (and one tenant-wide)
+CREATE UNIQUE INDEX idx_keywords_unique ON keywords(
+  tenant_id, COALESCE(location_id, '00000000-0000-0000-0000-000000000000'::uuid), keyword
+);
+
+-- ============================================
+-- SHORT LINKS (Tracked, per-message links in outbound SMS)
+-- ============================================
+CREATE TABLE short_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  
+  code VARCHAR(16) UNIQUE NOT NULL, -- Path segment, e.g. /l/aB3dE9xQ
+  original_url TEXT NOT NULL,
+  
+  message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+  
+  click_count INTEGER DEFAULT 0,
+  first_clicked_at TIMESTAMPTZ,
+  last_clicked_at TIMESTAMPTZ,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_short_links_message ON short_links(message_id);
+CREATE INDEX idx_short_links_contact ON short_links(tenant_id, contact_id);
+
+CREATE TABLE link_clicks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  short_link_id UUID NOT NULL REFERENCES short_links(id) ON DELETE CASCADE,
+  
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  
+  clicked_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_link_clicks_link ON link_clicks(short_link_id, clicked_at DESC);
+
 -- ============================================
 -- OPT-OUT LOG (Compliance audit trail)
 -- ============================================
@@ -262,7 +452,7 @@ CREATE TABLE opt_out_log (
   action VARCHAR(20) NOT NULL CHECK (action IN ('opt_out', 'opt_in')),
   
   -- How it happened
-  method VARCHAR(50) NOT NULL, -- 'keyword_reply', 'link_click', 'manual', 'import'
+  method VARCHAR(50) NOT NULL, -- 'keyword_reply', 'link_click', 'manual', 'import', 'bounce', 'complaint'
   keyword VARCHAR(20), -- e.g., 'STOP'
   source_message_id UUID REFERENCES messages(id),
   
@@ -275,6 +465,69 @@ CREATE TABLE opt_out_log (
 
 CREATE INDEX idx_opt_out_tenant_address ON opt_out_log(tenant_id, address);
 
+-- ============================================
+-- SIGNUP FORMS (Hosted, embeddable, age-gated)
+-- ============================================
+CREATE TABLE signup_forms (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  
+  -- What new signups get
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  tags TEXT[] DEFAULT '{}',
+  
+  -- Page content (branding comes from the tenant)
+  headline VARCHAR(255),
+  description TEXT,
+  button_text VARCHAR(50) DEFAULT 'Sign Up',
+  success_message TEXT,
+  
+  -- Exact consent language shown next to each checkbox
+  sms_disclosure TEXT NOT NULL,
+  email_disclosure TEXT NOT NULL,
+  disclosure_version INTEGER DEFAULT 1, -- Bumped whenever either disclosure changes
+  
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+  submission_count INTEGER DEFAULT 0,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_signup_forms_tenant ON signup_forms(tenant_id);
+
+-- ============================================
+-- CONSENT EVIDENCE (Every step of how consent was given)
+-- ============================================
+CREATE TABLE consent_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+  
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+  event VARCHAR(30) NOT NULL, -- 'join_requested', 'confirmation_sent', 'consent_confirmed', 'consent_given', 'age_confirmed', 'consent_revoked', 'opted_out', 'consent_restored', 'contacts_merged', ...
+  method VARCHAR(50) NOT NULL, -- 'keyword', 'web_form', 'api', ...
+  
+  -- Where it happened
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  keyword_id UUID REFERENCES keywords(id) ON DELETE SET NULL,
+  keyword VARCHAR(50),
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  form_id UUID REFERENCES signup_forms(id) ON DELETE SET NULL,
+  disclosure_version INTEGER,
+  content TEXT, -- Exact text the consumer sent or was shown
+  
+  -- Audit
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  details JSONB DEFAULT '{}',
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_consent_events_contact ON consent_events(contact_id, created_at DESC);
+
 -- ============================================
 -- AUTOMATION WORKFLOWS
 -- ============================================
@@ -303,6 +556,53 @@ CREATE TABLE automations (
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- One contact's progress through an automation
+CREATE TABLE automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  
+  -- What fired it, e.g. the order id or birthday year - a trigger only starts one run
+  trigger_key VARCHAR(255) NOT NULL,
+  trigger_data JSONB DEFAULT '{}',
+  actions JSONB, -- The automation's actions when the run started; later edits only apply to new runs
+  
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'waiting', 'completed', 'failed', 'cancelled')),
+  current_step INTEGER DEFAULT 0, -- Index into automations.actions
+  next_run_at TIMESTAMPTZ,
+  last_error TEXT,
+  
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(automation_id, contact_id, trigger_key)
+);
+
+CREATE INDEX idx_automation_runs_contact ON automation_runs(tenant_id, contact_id);
+CREATE INDEX idx_automation_runs_status ON automation_runs(automation_id, status);
+
+-- ============================================
+-- PURCHASES (Orders ingested from POS integrations)
+-- ============================================
+CREATE TABLE purchases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  
+  external_order_id VARCHAR(255) NOT NULL, -- POS order id, dedupes retried ingestion
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ordered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(tenant_id, external_order_id)
+);
+
+CREATE INDEX idx_purchases_contact ON purchases(tenant_id, contact_id, ordered_at DESC);
+
 -- ============================================
 -- GLOBAL OPT-OUT LIST (Cross-tenant for carriers)
 -- ============================================
@@ -315,6 +615,28 @@ CREATE TABLE global_opt_outs (
 
 CREATE INDEX idx_global_opt_outs_phone ON global_opt_outs(phone);
 
+-- ============================================
+-- WEBHOOK EVENTS (Inbound provider events, cross-tenant)
+-- ============================================
+CREATE TABLE webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(20) NOT NULL, -- 'telnyx'
+  event_id VARCHAR(255) NOT NULL, -- Provider's event id, used for deduplication
+  event_type VARCHAR(100),
+  payload JSONB NOT NULL,
+  
+  status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  
+  UNIQUE(provider, event_id)
+);
+
+CREATE INDEX idx_webhook_events_status ON webhook_events(status, received_at);
+
 -- ============================================
 -- API KEYS (For POS integrations, etc.)
 -- ============================================
@@ -330,23 +652,62 @@ CREATE TABLE api_keys (
   
   last_used_at TIMESTAMPTZ,
   expires_at TIMESTAMPTZ,
-  status VARCHAR(20) DEFAULT 'active',
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+  revoked_at TIMESTAMPTZ,
   
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE UNIQUE INDEX idx_api_keys_hash ON api_keys(key_hash);
+
+-- ============================================
+-- PRIVACY REQUESTS (Data-subject exports and erasures, for the audit trail)
+-- ============================================
+CREATE TABLE privacy_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  
+  type VARCHAR(20) NOT NULL CHECK (type IN ('export', 'erasure')),
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')), -- Which address the request was made for
+  address_hash VARCHAR(64) NOT NULL, -- SHA-256 of the normalized address, so an erasure doesn't leave it here
+  contact_ids UUID[] DEFAULT '{}',
+  counts JSONB DEFAULT '{}', -- Records exported or erased, by table
+  
+  -- Who ran it
+  requested_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_privacy_requests_tenant ON privacy_requests(tenant_id, created_at DESC);
+
 -- ============================================
 -- ROW LEVEL SECURITY POLICIES
 -- ============================================
 
 -- Enable RLS on tenant-scoped tables
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contact_imports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contact_import_errors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE segments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE keywords ENABLE ROW LEVEL SECURITY;
+ALTER TABLE short_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE link_clicks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE opt_out_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE signup_forms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE consent_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE privacy_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE automations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE automation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
 
 -- Create policies (example for contacts, repeat pattern for other tables)
@@ -358,10 +719,26 @@ CREATE POLICY tenant_isolation_users ON users
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
 
+CREATE POLICY tenant_isolation_user_sessions ON user_sessions
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
 CREATE POLICY tenant_isolation_locations ON locations
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
 
+CREATE POLICY tenant_isolation_contact_imports ON contact_imports
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_contact_import_errors ON contact_import_errors
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_segments ON segments
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
 CREATE POLICY tenant_isolation_campaigns ON campaigns
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
@@ -370,14 +747,50 @@ CREATE POLICY tenant_isolation_messages ON messages
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
 
+CREATE POLICY tenant_isolation_conversations ON conversations
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_keywords ON keywords
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_short_links ON short_links
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_link_clicks ON link_clicks
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
 CREATE POLICY tenant_isolation_opt_out_log ON opt_out_log
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
 
+CREATE POLICY tenant_isolation_signup_forms ON signup_forms
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_consent_events ON consent_events
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_privacy_requests ON privacy_requests
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
 CREATE POLICY tenant_isolation_automations ON automations
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
 
+CREATE POLICY tenant_isolation_automation_runs ON automation_runs
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
+CREATE POLICY tenant_isolation_purchases ON purchases
+  FOR ALL
+  USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
+
 CREATE POLICY tenant_isolation_api_keys ON api_keys
   FOR ALL
   USING (tenant_id::TEXT = current_setting('app.current_tenant', TRUE));
@@ -397,5 +810,11 @@ CREATE TRIGGER update_tenants_updated_at BEFORE UPDATE ON tenants FOR EACH ROW E
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER update_locations_updated_at BEFORE UPDATE ON locations FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_contact_imports_updated_at BEFORE UPDATE ON contact_imports FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_segments_updated_at BEFORE UPDATE ON segments FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_keywords_updated_at BEFORE UPDATE ON keywords FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_signup_forms_updated_at BEFORE UPDATE ON signup_forms FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER update_campaigns_updated_at BEFORE UPDATE ON campaigns FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER update_automations_updated_at BEFORE UPDATE ON automations FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER update_automation_runs_updated_at BEFORE UPDATE ON automation_runs FOR EACH ROW EXECUTE FUNCTION update_updated_at();
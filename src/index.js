@@ -8,12 +8,40 @@ const logger = require('./utils/logger');
 
 // Import webhook handlers
 const { handleTelnyxWebhook } = require('./webhooks/telnyx');
+const { handleSESWebhook } = require('./webhooks/ses');
 
 // Import queue workers
-const { startSMSWorker, startCampaignWorker } = require('./services/queue');
+const {
+  startSMSWorker, startEmailWorker, startCampaignWorker, startWebhookWorker, startAutomationWorker,
+  startImportWorker, scheduleAutomationScan
+} = require('./services/queue');
+const campaignService = require('./services/campaigns');
+const templates = require('./services/templates');
+const { calculateSegments, estimateSend } = require('./services/sms/segments');
+
+// Import API routers and middleware
+const authRouter = require('./api/auth');
+const apiKeysRouter = require('./api/apiKeys');
+const contactsRouter = require('./api/contacts');
+const adminRouter = require('./api/admin');
+const campaignsRouter = require('./api/campaigns');
+const segmentsRouter = require('./api/segments');
+const linksRouter = require('./api/links');
+const automationsRouter = require('./api/automations');
+const purchasesRouter = require('./api/purchases');
+const conversationsRouter = require('./api/conversations');
+const keywordsRouter = require('./api/keywords');
+const formsRouter = require('./api/forms');
+const hostedFormsRouter = require('./api/hostedForms');
+const importsRouter = require('./api/imports');
+const privacyRouter = require('./api/privacy');
+const { authenticate, requirePermission } = require('./middleware/auth');
 
 const app = express();
 
+// Behind a load balancer req.ip is the proxy's unless we trust its X-Forwarded-For
+app.set('trust proxy', config.trustProxyHops);
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -44,6 +72,9 @@ app.use('/webhooks/telnyx', express.json({
   }
 }));
 
+// SNS posts JSON as text/plain
+app.use('/webhooks/ses', express.text({ type: '*/*' }));
+
 // Standard JSON parsing for other routes
 app.use(express.json());
 
@@ -61,6 +92,25 @@ app.use((req, res, next) => {
 // ============================================
 
 app.post('/webhooks/telnyx', handleTelnyxWebhook);
+app.post('/webhooks/ses', handleSESWebhook);
+
+// ============================================
+// SHORT LINKS (Public click tracking redirects)
+// ============================================
+
+app.use('/l', linksRouter);
+
+// ============================================
+// SIGNUP FORMS (Public, embeddable)
+// ============================================
+
+app.use('/forms', hostedFormsRouter);
+
+// ============================================
+// PLATFORM ADMIN (ADMIN_API_KEY required)
+// ============================================
+
+app.use('/admin', adminRouter);
 
 // ============================================
 // HEALTH CHECK
@@ -81,92 +131,20 @@ app.get('/health', (req, res) => {
 // Import route modules
 const apiRouter = express.Router();
 
-// Tenant context middleware (for authenticated routes)
-apiRouter.use(async (req, res, next) => {
-  // TODO: Extract tenant from JWT token
-  // For now, allow tenant_id in header for testing
-  const tenantId = req.headers['x-tenant-id'];
-  if (tenantId) {
-    req.tenantId = tenantId;
-  }
-  next();
-});
+// Auth endpoints (login, refresh, logout) are reachable without a token
+apiRouter.use('/auth', authRouter);
 
-// Contacts API
-apiRouter.get('/contacts', async (req, res) => {
-  try {
-    const db = require('./db');
-    if (!req.tenantId) {
-      return res.status(401).json({ error: 'Tenant ID required' });
-    }
-    
-    const result = await db.queryWithTenant(req.tenantId, `
-      SELECT id, phone, email, first_name, last_name, 
-             sms_consent, email_consent, age_verified, tags,
-             created_at
-      FROM contacts 
-      ORDER BY created_at DESC 
-      LIMIT 100
-    `);
-    
-    res.json({ contacts: result.rows });
-  } catch (error) {
-    logger.error('Failed to fetch contacts', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch contacts' });
-  }
-});
+// Tenant context middleware - sets req.tenantId from the verified JWT or API key
+apiRouter.use(authenticate);
 
-apiRouter.post('/contacts', async (req, res) => {
-  try {
-    const db = require('./db');
-    const compliance = require('./services/compliance');
-    
-    if (!req.tenantId) {
-      return res.status(401).json({ error: 'Tenant ID required' });
-    }
-    
-    const { 
-      phone, email, first_name, last_name,
-      sms_consent, email_consent, age_verified,
-      location_id, tags
-    } = req.body;
-
-    // Normalize phone
-    const normalizedPhone = phone ? compliance.normalizePhone(phone) : null;
-
-    const result = await db.queryWithTenant(req.tenantId, `
-      INSERT INTO contacts (
-        tenant_id, phone, email, first_name, last_name,
-        sms_consent, sms_consent_at, sms_consent_method,
-        email_consent, email_consent_at, email_consent_method,
-        age_verified, age_verified_at, age_verification_method,
-        primary_location_id, tags
-      ) VALUES (
-        $1, $2, $3, $4, $5,
-        $6, CASE WHEN $6 THEN NOW() ELSE NULL END, CASE WHEN $6 THEN 'api' ELSE NULL END,
-        $7, CASE WHEN $7 THEN NOW() ELSE NULL END, CASE WHEN $7 THEN 'api' ELSE NULL END,
-        $8, CASE WHEN $8 THEN NOW() ELSE NULL END, CASE WHEN $8 THEN 'api' ELSE NULL END,
-        $9, $10
-      )
-      RETURNING id
-    `, [
-      req.tenantId, normalizedPhone, email, first_name, last_name,
-      sms_consent || false, email_consent || false, age_verified || false,
-      location_id, tags || []
-    ]);
-
-    res.status(201).json({ 
-      success: true, 
-      contactId: result.rows[0].id 
-    });
-  } catch (error) {
-    logger.error('Failed to create contact', { error: error.message });
-    res.status(500).json({ error: 'Failed to create contact' });
-  }
-});
+// API key management
+apiRouter.use('/api-keys', apiKeysRouter);
+
+// Contacts API
+apiRouter.use('/contacts', contactsRouter);
 
 // Send SMS API
-apiRouter.post('/sms/send', async (req, res) => {
+apiRouter.post('/sms/send', requirePermission('sms:send'), async (req, res) => {
   try {
     const { queueSMSWithQuietHours } = require('./services/queue');
     
@@ -180,6 +158,11 @@ apiRouter.post('/sms/send', async (req, res) => {
       return res.status(400).json({ error: 'contact_id and content required' });
     }
 
+    const template = templates.validateTemplate(content);
+    if (!template.valid) {
+      return res.status(400).json({ error: template.error });
+    }
+
     const result = await queueSMSWithQuietHours({
       tenantId: req.tenantId,
       contactId: contact_id,
@@ -198,6 +181,7 @@ apiRouter.post('/sms/send', async (req, res) => {
     res.json({ 
       success: true, 
       jobId: result.id,
+      segments: calculateSegments(content),
       message: 'SMS queued for delivery' 
     });
   } catch (error) {
@@ -206,86 +190,43 @@ apiRouter.post('/sms/send', async (req, res) => {
   }
 });
 
-// Campaigns API
-apiRouter.post('/campaigns', async (req, res) => {
-  try {
-    const db = require('./db');
-    
-    if (!req.tenantId) {
-      return res.status(401).json({ error: 'Tenant ID required' });
-    }
-    
-    const { 
-      name, type, sms_content, email_subject, email_content,
-      target_all, target_locations, target_tags, scheduled_at
-    } = req.body;
-
-    const result = await db.queryWithTenant(req.tenantId, `
-      INSERT INTO campaigns (
-        tenant_id, name, type, sms_content, email_subject, email_content,
-        target_all, target_locations, target_tags, scheduled_at,
-        status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'draft')
-      RETURNING id
-    `, [
-      req.tenantId, name, type, sms_content, email_subject, email_content,
-      target_all || false, target_locations || [], target_tags || [],
-      scheduled_at
-    ]);
-
-    res.status(201).json({ 
-      success: true, 
-      campaignId: result.rows[0].id 
-    });
-  } catch (error) {
-    logger.error('Failed to create campaign', { error: error.message });
-    res.status(500).json({ error: 'Failed to create campaign' });
+// Estimate SMS segments & cost (GSM-7/UCS-2 aware)
+apiRouter.post('/sms/estimate', requirePermission('sms:send'), (req, res) => {
+  const { content, recipients } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'content required' });
   }
+
+  res.json(estimateSend(content, Math.max(parseInt(recipients, 10) || 1, 1)));
 });
 
-apiRouter.post('/campaigns/:id/send', async (req, res) => {
-  try {
-    const { queueCampaign } = require('./services/queue');
-    const db = require('./db');
-    
-    if (!req.tenantId) {
-      return res.status(401).json({ error: 'Tenant ID required' });
-    }
-    
-    const campaignId = req.params.id;
+// Campaigns API
+apiRouter.use('/campaigns', campaignsRouter);
 
-    // Update status to scheduled
-    await db.queryWithTenant(req.tenantId, `
-      UPDATE campaigns SET status = 'scheduled' WHERE id = $1
-    `, [campaignId]);
+// Segments API
+apiRouter.use('/segments', segmentsRouter);
 
-    // Queue for processing
-    const job = await queueCampaign({
-      tenantId: req.tenantId,
-      campaignId
-    });
+// Automations API
+apiRouter.use('/automations', automationsRouter);
 
-    res.json({ 
-      success: true, 
-      jobId: job.id,
-      message: 'Campaign queued for sending' 
-    });
-  } catch (error) {
-    logger.error('Failed to send campaign', { error: error.message });
-    res.status(500).json({ error: 'Failed to send campaign' });
-  }
-});
+// Purchase ingestion (POS integrations)
+apiRouter.use('/purchases', purchasesRouter);
 
-// Queue stats
-apiRouter.get('/queue/stats', async (req, res) => {
-  try {
-    const { getQueueStats } = require('./services/queue');
-    const stats = await getQueueStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get queue stats' });
-  }
-});
+// Conversation inbox
+apiRouter.use('/conversations', conversationsRouter);
+
+// Keyword auto-responders
+apiRouter.use('/keywords', keywordsRouter);
+
+// Hosted signup forms
+apiRouter.use('/forms', formsRouter);
+
+// Bulk contact imports
+apiRouter.use('/imports', importsRouter);
+
+// Data-subject (CCPA) export & erasure
+apiRouter.use('/privacy', privacyRouter);
 
 app.use('/api', apiRouter);
 
@@ -314,13 +255,24 @@ async function start() {
     // Start queue workers
     logger.info('Starting queue workers...');
     startSMSWorker();
+    startEmailWorker();
     startCampaignWorker();
+    startWebhookWorker();
+    startAutomationWorker();
+    startImportWorker();
     logger.info('Queue workers started');
 
+    // Birthday/inactivity automation triggers
+    await scheduleAutomationScan();
+
+    // Re-queue scheduled campaigns in case Redis lost their delayed jobs
+    await campaignService.recoverScheduled();
+
     // Start HTTP server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Webhook URL: ${config.apiBaseUrl}/webhooks/telnyx`);
+      logger.info(`SES notification URL: ${config.apiBaseUrl}/webhooks/ses`);
     });
   } catch (error) {
     logger.error('Failed to start server', { error: error.message });
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const authService = require('../services/auth');
+const apiKeyService = require('../services/auth/apiKeys');
+const permissions = require('../services/auth/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Extract a bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  return token;
+}
+
+/**
+ * Require a valid access token or API key and set tenant context on the request
+ * Sets req.tenantId from the verified credential, never from client input:
+ * - JWT: req.user is the logged-in user
+ * - API key: req.apiKey is the key
+ * Authorization is left to requirePermission on each route
+ */
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    if (apiKeyService.isApiKey(token)) {
+      const apiKey = await apiKeyService.authenticate(token);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+      }
+
+      req.apiKey = apiKey;
+      req.tenantId = apiKey.tenant_id;
+      return next();
+    }
+
+    const user = await authService.authenticate(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    req.tenantId = user.tenant_id;
+    next();
+  } catch (error) {
+    logger.error('Authentication failed', { error: error.message });
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Send the standard 403 body for a denied action
+ */
+function forbidden(res, action) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: `Not permitted to perform ${action}`,
+    permission: action
+  });
+}
+
+/**
+ * Require the authenticated user's role (or API key's permissions) to allow an action
+ */
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (!permissions.can(req, action)) {
+      logger.warn('Permission denied', {
+        tenantId: req.tenantId,
+        userId: req.user?.id,
+        apiKeyId: req.apiKey?.id,
+        action
+      });
+      return forbidden(res, action);
+    }
+    next();
+  };
+}
+
+/**
+ * Require the platform operator key (ADMIN_API_KEY) for cross-tenant /admin routes
+ */
+function requireAdminKey(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!config.admin.apiKey) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const expected = Buffer.from(config.admin.apiKey);
+  const presented = Buffer.from(token || '');
+
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    logger.warn('Invalid admin key', { ip: req.ip, path: req.path });
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  forbidden,
+  requireAdminKey,
+  getBearerToken
+};
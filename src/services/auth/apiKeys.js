@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+const { API_KEY_PERMISSIONS } = require('./permissions');
+
+const KEY_PREFIX = 'ck_';
+const VALID_PERMISSIONS = Object.keys(API_KEY_PERMISSIONS);
+
+class ApiKeyService {
+  /**
+   * Check whether a bearer token looks like an API key rather than a JWT
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a new API key
+   * The plaintext key is only ever returned here - we store a SHA-256 hash
+   */
+  async createKey(tenantId, { name, permissions = VALID_PERMISSIONS, expiresAt = null, createdBy = null }) {
+    const invalid = permissions.filter(p => !VALID_PERMISSIONS.includes(p));
+    if (invalid.length > 0) {
+      return { success: false, error: `Invalid permissions: ${invalid.join(', ')}` };
+    }
+
+    const key = this.generateKey();
+
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO api_keys (tenant_id, name, key_hash, key_prefix, permissions, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, name, key_prefix, permissions, expires_at, status, created_at
+    `, [tenantId, name, this.hashKey(key), key.slice(0, 10), JSON.stringify(permissions), expiresAt, createdBy]);
+
+    logger.info('API key created', { tenantId, apiKeyId: result.rows[0].id });
+
+    return {
+      success: true,
+      key,
+      apiKey: result.rows[0]
+    };
+  }
+
+  /**
+   * List a tenant's keys (never includes hashes)
+   */
+  async listKeys(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, name, key_prefix, permissions, last_used_at, expires_at,
+             status, revoked_at, created_by, created_at
+      FROM api_keys
+      ORDER BY created_at DESC
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name, permissions and expiry
+   * The old key stops working immediately
+   */
+  async rotateKey(tenantId, keyId, rotatedBy = null) {
+    const existing = await db.queryWithTenant(tenantId, `
+      SELECT id, name, permissions, expires_at
+      FROM api_keys
+      WHERE id = $1 AND status = 'active'
+    `, [keyId]);
+
+    if (existing.rows.length === 0) {
+      return { success: false, error: 'API key not found' };
+    }
+
+    const { name, permissions, expires_at } = existing.rows[0];
+
+    await this.revokeKey(tenantId, keyId);
+
+    return this.createKey(tenantId, {
+      name,
+      permissions,
+      expiresAt: expires_at,
+      createdBy: rotatedBy
+    });
+  }
+
+  /**
+   * Revoke a key
+   */
+  async revokeKey(tenantId, keyId) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE api_keys SET status = 'revoked', revoked_at = NOW()
+      WHERE id = $1 AND status = 'active'
+      RETURNING id
+    `, [keyId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'API key not found' };
+    }
+
+    logger.info('API key revoked', { tenantId, apiKeyId: keyId });
+    return { success: true };
+  }
+
+  /**
+   * Resolve a presented key to its tenant and permissions
+   * Returns null for unknown, revoked or expired keys
+   */
+  async authenticate(key) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    // Lookup is by hash across tenants, like inbound SMS routing by phone number
+    const result = await db.query(`
+      SELECT k.id, k.tenant_id, k.name, k.permissions
+      FROM api_keys k
+      JOIN tenants t ON t.id = k.tenant_id
+      WHERE k.key_hash = $1
+        AND k.status = 'active'
+        AND (k.expires_at IS NULL OR k.expires_at > NOW())
+        AND t.status = 'active'
+    `, [this.hashKey(key)]);
+
+    const apiKey = result.rows[0];
+    if (!apiKey) {
+      return null;
+    }
+
+    // Throttle last_used_at writes to once a minute per key
+    await db.queryWithTenant(apiKey.tenant_id, `
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id = $1
+        AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `, [apiKey.id]);
+
+    return apiKey;
+  }
+
+  /**
+   * Generate a random plaintext key
+   */
+  generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Hash a plaintext key for storage/lookup
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,232 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+// Compared against when the user doesn't exist so response timing doesn't leak valid emails
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+class AuthService {
+  /**
+   * Authenticate a dashboard user by tenant slug, email and password
+   * Returns { success, accessToken, refreshToken, user } or { success: false, error }
+   */
+  async login({ tenant, email, password, ip, userAgent }) {
+    if (!tenant || !email || !password) {
+      return { success: false, error: 'tenant, email and password required' };
+    }
+
+    // Tenants are a global table, resolve the slug before switching to tenant context
+    const tenantResult = await db.query(`
+      SELECT id, status FROM tenants WHERE slug = $1
+    `, [tenant]);
+
+    const tenantRow = tenantResult.rows[0];
+    if (!tenantRow || tenantRow.status !== 'active') {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      return { success: false, error: 'Invalid credentials' };
+    }
+
+    const userResult = await db.queryWithTenant(tenantRow.id, `
+      SELECT id, tenant_id, email, name, role, status, password_hash
+      FROM users
+      WHERE LOWER(email) = LOWER($1)
+    `, [email]);
+
+    const user = userResult.rows[0];
+    const passwordMatches = await bcrypt.compare(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !passwordMatches) {
+      logger.warn('Failed login attempt', { tenantId: tenantRow.id, email });
+      return { success: false, error: 'Invalid credentials' };
+    }
+
+    // Invited users haven't set up their account, suspended users are locked out
+    if (user.status !== 'active') {
+      logger.warn('Login rejected for inactive user', { tenantId: user.tenant_id, userId: user.id, status: user.status });
+      return { success: false, error: 'Account is not active' };
+    }
+
+    await db.queryWithTenant(user.tenant_id, `
+      UPDATE users SET last_login_at = NOW() WHERE id = $1
+    `, [user.id]);
+
+    const tokens = await this.createSession(user, { ip, userAgent });
+
+    logger.info('User logged in', { tenantId: user.tenant_id, userId: user.id });
+
+    return {
+      success: true,
+      ...tokens,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The old session is revoked so each refresh token can only be used once
+   */
+  async refresh({ refreshToken, ip, userAgent }) {
+    const claims = this.verifyToken(refreshToken, 'refresh');
+    if (!claims) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const user = await this.getSessionUser(claims.tid, claims.sub, claims.sid);
+    if (!user) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    // Only the request that actually revokes the session gets a new one, so two
+    // concurrent refreshes with the same token can't both succeed
+    if (!(await this.revokeSession(claims.tid, claims.sid))) {
+      logger.warn('Refresh token reused', { tenantId: claims.tid, userId: claims.sub });
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const tokens = await this.createSession(user, { ip, userAgent });
+
+    return {
+      success: true,
+      ...tokens,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Revoke the session behind an access or refresh token
+   */
+  async logout(token) {
+    const claims = this.verifyToken(token);
+    if (!claims) {
+      return { success: false, error: 'Invalid token' };
+    }
+
+    await this.revokeSession(claims.tid, claims.sid);
+    logger.info('User logged out', { tenantId: claims.tid, userId: claims.sub });
+
+    return { success: true };
+  }
+
+  /**
+   * Resolve the user behind an access token
+   * Returns null if the token, session or user is no longer valid
+   */
+  async authenticate(accessToken) {
+    const claims = this.verifyToken(accessToken, 'access');
+    if (!claims) {
+      return null;
+    }
+
+    return this.getSessionUser(claims.tid, claims.sub, claims.sid);
+  }
+
+  /**
+   * Create a session row and sign the access/refresh token pair for it
+   */
+  async createSession(user, { ip, userAgent } = {}) {
+    const sessionId = uuidv4();
+    const claims = { tid: user.tenant_id, sid: sessionId, role: user.role };
+
+    const accessToken = jwt.sign({ ...claims, type: 'access' }, config.jwt.secret, {
+      subject: user.id,
+      expiresIn: config.jwt.expiresIn
+    });
+    const refreshToken = jwt.sign({ ...claims, type: 'refresh' }, config.jwt.secret, {
+      subject: user.id,
+      expiresIn: config.jwt.refreshExpiresIn
+    });
+
+    // Session lives as long as its refresh token
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    await db.queryWithTenant(user.tenant_id, `
+      INSERT INTO user_sessions (id, tenant_id, user_id, expires_at, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [sessionId, user.tenant_id, user.id, expiresAt, ip || null, userAgent || null]);
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: config.jwt.expiresIn
+    };
+  }
+
+  /**
+   * Load an active user for a live (unrevoked, unexpired) session
+   */
+  async getSessionUser(tenantId, userId, sessionId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT u.id, u.tenant_id, u.email, u.name, u.role, u.status
+      FROM users u
+      JOIN user_sessions s ON s.user_id = u.id
+      JOIN tenants t ON t.id = u.tenant_id
+      WHERE u.id = $1
+        AND s.id = $2
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+        AND u.status = 'active'
+        AND t.status = 'active'
+    `, [userId, sessionId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a session as revoked
+   * Returns true if this call revoked it, false if it was already revoked or gone
+   */
+  async revokeSession(tenantId, sessionId) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE user_sessions SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [sessionId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Verify a JWT signature and expiry, optionally requiring a token type
+   * Returns the claims or null
+   */
+  verifyToken(token, type = null) {
+    if (!token) return null;
+
+    try {
+      const claims = jwt.verify(token, config.jwt.secret);
+      if (type && claims.type !== type) return null;
+      if (!claims.tid || !claims.sid || !claims.sub) return null;
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hash a plaintext password for storage in users.password_hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, 10);
+  }
+
+  /**
+   * Strip sensitive fields from a user row
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      tenantId: user.tenant_id,
+      email: user.email,
+      name: user.name,
+      role: user.role
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,86 @@
+/**
+ * Role-based permission model
+ *
+ * Each role is granted a list of actions; roles build on the one below them.
+ * API keys don't have a role - their 'read'/'write' permissions map to the
+ * viewer and user actions respectively, so a key can never manage users,
+ * keys or compliance settings.
+ */
+
+const VIEWER_ACTIONS = [
+  'contacts:read',
+  'campaigns:read',
+  'conversations:read'
+];
+
+const USER_ACTIONS = [
+  ...VIEWER_ACTIONS,
+  'contacts:write',
+  'sms:send',
+  'campaigns:write',
+  'campaigns:send',
+  'conversations:reply'
+];
+
+const ADMIN_ACTIONS = [
+  ...USER_ACTIONS,
+  'contacts:export',
+  'contacts:delete',
+  'users:manage',
+  'api_keys:manage',
+  'compliance:manage'
+];
+
+const OWNER_ACTIONS = [
+  ...ADMIN_ACTIONS,
+  'tenant:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: OWNER_ACTIONS,
+  admin: ADMIN_ACTIONS,
+  user: USER_ACTIONS,
+  viewer: VIEWER_ACTIONS
+};
+
+const API_KEY_PERMISSIONS = {
+  read: VIEWER_ACTIONS,
+  write: USER_ACTIONS.filter(action => !VIEWER_ACTIONS.includes(action))
+};
+
+/**
+ * Check whether a role may perform an action
+ */
+function roleCan(role, action) {
+  return (ROLE_PERMISSIONS[role] || []).includes(action);
+}
+
+/**
+ * Check whether an API key's permissions list allows an action
+ */
+function apiKeyCan(permissions, action) {
+  return (permissions || []).some(
+    permission => (API_KEY_PERMISSIONS[permission] || []).includes(action)
+  );
+}
+
+/**
+ * Check whether the authenticated principal on a request may perform an action
+ */
+function can(req, action) {
+  if (req.user) {
+    return roleCan(req.user.role, action);
+  }
+  if (req.apiKey) {
+    return apiKeyCan(req.apiKey.permissions, action);
+  }
+  return false;
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  roleCan,
+  apiKeyCan,
+  can
+};
@@ -0,0 +1,429 @@
+const db = require('../../db');
+const queue = require('../queue');
+const compliance = require('../compliance');
+const templates = require('../templates');
+const { compileFilter, validateFilter } = require('../segments/filter');
+const logger = require('../../utils/logger');
+
+const TRIGGER_TYPES = ['new_contact', 'purchase', 'birthday', 'inactivity'];
+const ACTION_TYPES = ['send_sms', 'send_email', 'wait', 'add_tag', 'remove_tag', 'branch'];
+
+// Safety net against runaway runs - steps only move forward, so this is generous
+const MAX_STEPS_PER_RUN = 100;
+
+// SQL condition: contact `c` matches automation `a`'s location/tag targeting
+const TARGETING_SQL = `
+  (cardinality(a.target_locations) = 0 OR c.primary_location_id = ANY(a.target_locations))
+  AND (cardinality(a.target_tags) = 0 OR c.tags && a.target_tags)
+`;
+
+/**
+ * Check an automation definition before it's saved
+ * Returns { valid: true } or { valid: false, error }
+ *
+ * Actions run in order. `branch` evaluates a segment filter against the contact
+ * and jumps to then_step / else_step (an index after the branch, or "end").
+ */
+function validateAutomation({ trigger_type, trigger_config = {}, actions }) {
+  if (!TRIGGER_TYPES.includes(trigger_type)) {
+    return { valid: false, error: `trigger_type must be one of: ${TRIGGER_TYPES.join(', ')}` };
+  }
+  if (!trigger_config || typeof trigger_config !== 'object' || Array.isArray(trigger_config)) {
+    return { valid: false, error: 'trigger_config must be an object' };
+  }
+  const configError = validateTriggerConfig(trigger_type, trigger_config);
+  if (configError) {
+    return { valid: false, error: `trigger_config: ${configError}` };
+  }
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return { valid: false, error: 'actions must be a non-empty array' };
+  }
+  if (actions.length > MAX_STEPS_PER_RUN) {
+    return { valid: false, error: `automations can have at most ${MAX_STEPS_PER_RUN} actions` };
+  }
+
+  for (const [index, action] of actions.entries()) {
+    const error = validateAction(action, index, actions.length);
+    if (error) return { valid: false, error: `actions[${index}]: ${error}` };
+  }
+
+  return { valid: true };
+}
+
+// The daily scan casts these in SQL, so they must be clean integers
+function validateTriggerConfig(triggerType, config) {
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  switch (triggerType) {
+    case 'birthday':
+      return config.days_before === undefined || isInt(config.days_before, 0, 30)
+        ? null : 'days_before must be a whole number from 0 to 30';
+    case 'inactivity':
+      return config.days === undefined || isInt(config.days, 1, 3650)
+        ? null : 'days must be a whole number from 1 to 3650';
+    case 'purchase':
+      return config.min_amount === undefined || (typeof config.min_amount === 'number' && config.min_amount >= 0)
+        ? null : 'min_amount must be a non-negative number';
+    default:
+      return null;
+  }
+}
+
+// Reject typo'd merge fields at save time rather than sending blanks on every run
+function validateActionTemplates(action, fields) {
+  for (const field of fields) {
+    const template = templates.validateTemplate(action[field]);
+    if (!template.valid) return `${field}: ${template.error}`;
+  }
+  return null;
+}
+
+function validateAction(action, index, count) {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    return `type must be one of: ${ACTION_TYPES.join(', ')}`;
+  }
+
+  switch (action.type) {
+    case 'send_sms':
+      if (!action.content) return 'content required';
+      return validateActionTemplates(action, ['content']);
+    case 'send_email':
+      if (!action.subject || !(action.html || action.text)) return 'subject and html or text required';
+      return validateActionTemplates(action, ['subject', 'html', 'text']);
+    case 'wait':
+      return getWaitMs(action) > 0 ? null : 'minutes, hours or days required';
+    case 'add_tag':
+    case 'remove_tag':
+      return typeof action.tag === 'string' && action.tag ? null : 'tag required';
+    case 'branch': {
+      const filter = validateFilter(action.condition);
+      if (!action.condition || !filter.valid) return `invalid condition${filter.error ? `: ${filter.error}` : ''}`;
+
+      for (const key of ['then_step', 'else_step']) {
+        const target = action[key];
+        if (target === undefined || target === 'end') continue;
+        if (!Number.isInteger(target) || target <= index || target >= count) {
+          return `${key} must be a later step index or "end"`;
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function getWaitMs({ minutes = 0, hours = 0, days = 0 }) {
+  return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+class AutomationEngine {
+  /**
+   * Check an automation definition before it's saved
+   */
+  validateAutomation(definition) {
+    return validateAutomation(definition);
+  }
+
+  /**
+   * A contact was created
+   */
+  async handleNewContact(tenantId, contactId) {
+    return this.trigger(tenantId, 'new_contact', contactId, { key: 'new_contact' });
+  }
+
+  /**
+   * A purchase was ingested for a contact
+   * trigger_config.min_amount limits the automation to larger orders
+   */
+  async handlePurchase(tenantId, contactId, { orderId, amount, locationId = null }) {
+    return this.trigger(tenantId, 'purchase', contactId, {
+      key: `order:${orderId}`,
+      data: { order_id: orderId, amount, location_id: locationId },
+      matches: (config) => !config.min_amount || Number(amount) >= Number(config.min_amount)
+    });
+  }
+
+  /**
+   * Start a run of every active automation for this trigger that targets the contact
+   * Returns the number of runs started
+   */
+  async trigger(tenantId, triggerType, contactId, { key, data = {}, matches = () => true }) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT a.id, a.trigger_config
+      FROM automations a
+      JOIN contacts c ON c.id = $2
+      WHERE a.status = 'active' AND a.trigger_type = $1
+        AND ${TARGETING_SQL}
+    `, [triggerType, contactId]);
+
+    let started = 0;
+    for (const automation of result.rows) {
+      if (!matches(automation.trigger_config || {})) continue;
+      if (await this.startRun(tenantId, automation.id, contactId, key, data)) started++;
+    }
+
+    return started;
+  }
+
+  /**
+   * Create a run and queue its first step
+   * A trigger key only ever starts one run per contact (e.g. one birthday a year).
+   * The run keeps the actions as they are now, so editing the automation doesn't
+   * shift the steps under runs already in flight.
+   */
+  async startRun(tenantId, automationId, contactId, triggerKey, triggerData = {}) {
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO automation_runs (tenant_id, automation_id, contact_id, trigger_key, trigger_data, actions)
+      SELECT $1, $2, $3, $4, $5, a.actions FROM automations a WHERE a.id = $2
+      ON CONFLICT (automation_id, contact_id, trigger_key) DO NOTHING
+      RETURNING id
+    `, [tenantId, automationId, contactId, triggerKey, JSON.stringify(triggerData)]);
+
+    if (result.rows.length === 0) return null;
+
+    const runId = result.rows[0].id;
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE automations SET triggered_count = triggered_count + 1 WHERE id = $1
+    `, [automationId]);
+
+    await queue.queueAutomationStep({ tenantId, runId, step: 0 });
+
+    logger.info('Automation run started', { tenantId, automationId, contactId, runId, triggerKey });
+    return runId;
+  }
+
+  /**
+   * Daily scan for birthday and inactivity triggers (cross-tenant)
+   * Runs already started for the same trigger key are skipped in SQL
+   */
+  async dailyScan() {
+    const birthdays = await db.query(`
+      SELECT a.tenant_id, a.id AS automation_id, c.id AS contact_id,
+             'birthday:' || to_char(CURRENT_DATE, 'YYYY') AS trigger_key
+      FROM automations a
+      JOIN contacts c ON c.tenant_id = a.tenant_id
+      WHERE a.status = 'active' AND a.trigger_type = 'birthday'
+        AND c.date_of_birth IS NOT NULL
+        AND to_char(c.date_of_birth, 'MM-DD') =
+            to_char(CURRENT_DATE + COALESCE((a.trigger_config->>'days_before')::int, 0), 'MM-DD')
+        AND ${TARGETING_SQL}
+        AND NOT EXISTS (
+          SELECT 1 FROM automation_runs r
+          WHERE r.automation_id = a.id AND r.contact_id = c.id
+            AND r.trigger_key = 'birthday:' || to_char(CURRENT_DATE, 'YYYY')
+        )
+    `);
+
+    // One run per inactive stretch - a new order gives a new last_order_at and key
+    const inactive = await db.query(`
+      SELECT a.tenant_id, a.id AS automation_id, c.id AS contact_id,
+             'inactive:' || to_char(c.last_order_at, 'YYYY-MM-DD') AS trigger_key
+      FROM automations a
+      JOIN contacts c ON c.tenant_id = a.tenant_id
+      WHERE a.status = 'active' AND a.trigger_type = 'inactivity'
+        AND c.last_order_at IS NOT NULL
+        AND c.last_order_at < NOW() - make_interval(days => COALESCE((a.trigger_config->>'days')::int, 60))
+        AND ${TARGETING_SQL}
+        AND NOT EXISTS (
+          SELECT 1 FROM automation_runs r
+          WHERE r.automation_id = a.id AND r.contact_id = c.id
+            AND r.trigger_key = 'inactive:' || to_char(c.last_order_at, 'YYYY-MM-DD')
+        )
+    `);
+
+    let started = 0;
+    for (const row of [...birthdays.rows, ...inactive.rows]) {
+      if (await this.startRun(row.tenant_id, row.automation_id, row.contact_id, row.trigger_key)) started++;
+    }
+
+    logger.info('Automation daily scan complete', {
+      birthdays: birthdays.rows.length,
+      inactive: inactive.rows.length,
+      started
+    });
+
+    return { birthdays: birthdays.rows.length, inactive: inactive.rows.length, started };
+  }
+
+  /**
+   * Run a contact's automation from its current step until it waits or finishes
+   * Progress is saved after every step, so a retried job continues where it failed
+   */
+  async runSteps(tenantId, runId, { retry = false } = {}) {
+    const claim = await db.queryWithTenant(tenantId, `
+      UPDATE automation_runs SET status = 'running', next_run_at = NULL
+      WHERE id = $1 AND (status IN ('pending', 'waiting') OR (status = 'running' AND $2::boolean))
+      RETURNING id, automation_id, contact_id, current_step, actions
+    `, [runId, retry]);
+
+    if (claim.rows.length === 0) {
+      return { skipped: true };
+    }
+
+    const run = claim.rows[0];
+
+    const automationResult = await db.queryWithTenant(tenantId, `
+      SELECT id, status, actions FROM automations WHERE id = $1
+    `, [run.automation_id]);
+    const automation = automationResult.rows[0];
+
+    // Pausing an automation stops its in-flight runs
+    if (!automation || automation.status !== 'active') {
+      await this.finishRun(tenantId, runId, 'cancelled');
+      return { cancelled: true };
+    }
+
+    const contactResult = await db.queryWithTenant(tenantId, `
+      SELECT id, primary_location_id FROM contacts WHERE id = $1
+    `, [run.contact_id]);
+    const contact = contactResult.rows[0];
+
+    if (!contact) {
+      await this.finishRun(tenantId, runId, 'cancelled');
+      return { cancelled: true };
+    }
+
+    // Runs started before actions were kept on the run follow the current ones
+    const actions = run.actions || automation.actions;
+    let step = run.current_step;
+
+    try {
+      while (step !== null && step < actions.length) {
+        const action = actions[step];
+        const outcome = await this.executeAction(tenantId, { runId, automationId: automation.id, contact, step, action });
+
+        if (outcome.waitMs) {
+          const next = step + 1;
+          await db.queryWithTenant(tenantId, `
+            UPDATE automation_runs
+            SET status = 'waiting', current_step = $1, next_run_at = NOW() + make_interval(secs => $2)
+            WHERE id = $3
+          `, [next, outcome.waitMs / 1000, runId]);
+
+          await queue.queueAutomationStep({ tenantId, runId, step: next, delay: outcome.waitMs });
+          return { waiting: true, step: next };
+        }
+
+        step = outcome.next === undefined ? step + 1 : outcome.next;
+
+        await db.queryWithTenant(tenantId, `
+          UPDATE automation_runs SET current_step = $1 WHERE id = $2
+        `, [step === null ? actions.length : step, runId]);
+      }
+    } catch (error) {
+      await db.queryWithTenant(tenantId, `
+        UPDATE automation_runs SET last_error = $1 WHERE id = $2
+      `, [error.message, runId]);
+      throw error;
+    }
+
+    await this.finishRun(tenantId, runId, 'completed');
+    return { completed: true };
+  }
+
+  /**
+   * Execute one action step
+   * Returns {} to continue, { next } to jump (null ends the run) or { waitMs }
+   */
+  async executeAction(tenantId, { runId, automationId, contact, step, action }) {
+    // Deterministic job ids so a retried step doesn't queue the message twice
+    const jobId = `automation-${runId}-step-${step}`;
+
+    switch (action.type) {
+      case 'send_sms': {
+        // Compliance (consent, opt-out, quiet hours...) is checked here and again at send
+        const result = await queue.queueSMSWithQuietHours({
+          tenantId,
+          contactId: contact.id,
+          locationId: contact.primary_location_id,
+          content: action.content,
+          jobId: `${jobId}-sms`
+        });
+
+        if (result.blocked) {
+          logger.info('Automation SMS blocked by compliance', { runId, step, reasons: result.reasons });
+          return {};
+        }
+
+        await this.countSent(tenantId, automationId);
+        return {};
+      }
+
+      case 'send_email': {
+        // Checked here so a blocked email isn't counted, and again at send
+        const check = await compliance.checkMessage(tenantId, contact.id, 'email');
+        if (!check.approved) {
+          logger.info('Automation email blocked by compliance', { runId, step, reasons: check.reasons });
+          return {};
+        }
+
+        await queue.queueEmail({
+          tenantId,
+          contactId: contact.id,
+          locationId: contact.primary_location_id,
+          subject: action.subject,
+          html: action.html,
+          text: action.text,
+          jobId: `${jobId}-email`
+        });
+        await this.countSent(tenantId, automationId);
+        return {};
+      }
+
+      case 'wait':
+        return { waitMs: getWaitMs(action) };
+
+      case 'add_tag':
+        await db.queryWithTenant(tenantId, `
+          UPDATE contacts SET tags = array_append(tags, $1)
+          WHERE id = $2 AND NOT ($1 = ANY(tags))
+        `, [action.tag, contact.id]);
+        return {};
+
+      case 'remove_tag':
+        await db.queryWithTenant(tenantId, `
+          UPDATE contacts SET tags = array_remove(tags, $1) WHERE id = $2
+        `, [action.tag, contact.id]);
+        return {};
+
+      case 'branch': {
+        const params = [contact.id];
+        const condition = compileFilter(action.condition, params);
+        const result = await db.queryWithTenant(tenantId, `
+          SELECT EXISTS (SELECT 1 FROM contacts c WHERE c.id = $1 ${condition ? `AND ${condition}` : ''}) AS matched
+        `, params);
+
+        const target = result.rows[0].matched ? action.then_step : action.else_step;
+        if (target === undefined) return {};
+        return { next: target === 'end' ? null : target };
+      }
+
+      default:
+        throw new Error(`Unknown automation action: ${action.type}`);
+    }
+  }
+
+  /**
+   * Count a queued message toward the automation's sent_count
+   */
+  async countSent(tenantId, automationId) {
+    await db.queryWithTenant(tenantId, `
+      UPDATE automations SET sent_count = sent_count + 1 WHERE id = $1
+    `, [automationId]);
+  }
+
+  /**
+   * Close out a run
+   */
+  async finishRun(tenantId, runId, status, error = null) {
+    await db.queryWithTenant(tenantId, `
+      UPDATE automation_runs
+      SET status = $1, completed_at = NOW(), next_run_at = NULL, last_error = COALESCE($2, last_error)
+      WHERE id = $3
+    `, [status, error, runId]);
+  }
+}
+
+module.exports = new AutomationEngine();
@@ -0,0 +1,180 @@
+/**
+ * Campaign audience targeting
+ *
+ * Builds the recipient query shared by the campaign worker and anything that
+ * needs to count or preview a campaign's audience.
+ */
+
+const db = require('../../db');
+const { compileFilter } = require('../segments/filter');
+
+/**
+ * Load a campaign along with its saved segment's filter
+ */
+async function loadCampaign(tenantId, campaignId) {
+  const result = await db.queryWithTenant(tenantId, `
+    SELECT campaigns.*, s.filter AS segment_filter
+    FROM campaigns
+    LEFT JOIN segments s ON campaigns.segment_id = s.id
+    WHERE campaigns.id = $1
+  `, [campaignId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Which channels a campaign sends on
+ */
+function getChannels(campaign) {
+  return {
+    sms: campaign.type === 'sms' || campaign.type === 'both',
+    email: campaign.type === 'email' || campaign.type === 'both'
+  };
+}
+
+/**
+ * Build the recipient query for a campaign
+ * Pass afterId/limit to read one keyset page (ordered by contact id)
+ * Returns { text, params }
+ */
+function buildRecipientQuery(tenantId, campaign, { afterId = null, limit = null } = {}) {
+  const channels = getChannels(campaign);
+  const params = [tenantId, campaign.id];
+
+  // Per-channel eligibility - a 'both' campaign reaches contacts on whichever
+  // channel(s) they consented to. Contacts already messaged on a channel for
+  // this campaign (e.g. before a pause) are skipped.
+  const smsEligible = `(c.phone IS NOT NULL AND c.sms_consent = TRUE AND c.sms_opted_out = FALSE
+    AND NOT EXISTS (SELECT 1 FROM global_opt_outs g WHERE g.phone = c.phone)
+    AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.campaign_id = $2 AND m.contact_id = c.id AND m.type = 'sms'))`;
+  const emailEligible = `(c.email IS NOT NULL AND c.email_consent = TRUE AND c.email_opted_out = FALSE
+    AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.campaign_id = $2 AND m.contact_id = c.id AND m.type = 'email'))`;
+
+  let text = `
+    SELECT c.id, c.phone, c.email, c.primary_location_id,
+           c.timezone, l.timezone AS location_timezone,
+           ${channels.sms ? smsEligible : 'FALSE'} AS sms_eligible,
+           ${channels.email ? emailEligible : 'FALSE'} AS email_eligible
+    FROM contacts c
+    LEFT JOIN locations l ON c.primary_location_id = l.id
+    WHERE c.tenant_id = $1
+  `;
+
+  // Add consent filters
+  const channelFilters = [];
+  if (channels.sms) channelFilters.push(smsEligible);
+  if (channels.email) channelFilters.push(emailEligible);
+  text += ` AND (${channelFilters.join(' OR ')})`;
+
+  // Age verification required
+  text += ` AND c.age_verified = TRUE`;
+
+  text += buildTargetingFilters(campaign, params);
+  text += buildPage(params, { afterId, limit });
+
+  return { text, params };
+}
+
+/**
+ * Build the campaign's targeting as SQL conditions: locations, tags, its
+ * target_filter and its saved segment's filter (campaigns loaded with
+ * loadCampaign carry that as segment_filter)
+ * Pushes values onto params and returns the AND clauses
+ */
+function buildTargetingFilters(campaign, params) {
+  let text = '';
+
+  // Location targeting
+  if (campaign.target_locations && campaign.target_locations.length > 0) {
+    params.push(campaign.target_locations);
+    text += ` AND c.primary_location_id = ANY($${params.length})`;
+  }
+
+  // Tag targeting
+  if (campaign.target_tags && campaign.target_tags.length > 0) {
+    params.push(campaign.target_tags);
+    text += ` AND c.tags && $${params.length}`;
+  }
+
+  // Advanced filter and saved segment
+  for (const filter of [campaign.target_filter, campaign.segment_filter]) {
+    const condition = compileFilter(filter, params);
+    if (condition) text += ` AND ${condition}`;
+  }
+
+  return text;
+}
+
+/**
+ * Build keyset pagination (ordered by contact id)
+ */
+function buildPage(params, { afterId = null, limit = null }) {
+  let text = '';
+
+  if (afterId) {
+    params.push(afterId);
+    text += ` AND c.id > $${params.length}`;
+  }
+
+  text += ` ORDER BY c.id`;
+
+  if (limit) {
+    params.push(limit);
+    text += ` LIMIT $${params.length}`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a query for every contact the campaign targets, before any consent or
+ * compliance filtering, with what's needed to run the compliance checks in bulk
+ * Used by the preview to explain why contacts are excluded
+ */
+function buildTargetedContactsQuery(tenantId, campaign, { afterId = null, limit = null } = {}) {
+  const params = [tenantId, campaign.id];
+
+  let text = `
+    SELECT c.id, c.first_name, c.last_name, c.phone, c.email,
+           c.sms_consent, c.sms_consent_at, c.sms_opted_out,
+           c.email_consent, c.email_opted_out,
+           c.age_verified, c.date_of_birth,
+           c.timezone, l.timezone AS location_timezone, l.state,
+           EXISTS (SELECT 1 FROM global_opt_outs g WHERE g.phone = c.phone) AS on_global_opt_out,
+           EXISTS (SELECT 1 FROM messages m WHERE m.campaign_id = $2 AND m.contact_id = c.id AND m.type = 'sms') AS sms_already_sent,
+           EXISTS (SELECT 1 FROM messages m WHERE m.campaign_id = $2 AND m.contact_id = c.id AND m.type = 'email') AS email_already_sent,
+           (SELECT COUNT(*) FROM messages m
+            WHERE m.contact_id = c.id AND m.type = 'sms' AND m.direction = 'outbound'
+              AND m.created_at > NOW() - INTERVAL '24 hours')::int AS sms_sent_24h,
+           (SELECT COUNT(*) FROM messages m
+            WHERE m.contact_id = c.id AND m.type = 'email' AND m.direction = 'outbound'
+              AND m.created_at > NOW() - INTERVAL '24 hours')::int AS email_sent_24h
+    FROM contacts c
+    LEFT JOIN locations l ON c.primary_location_id = l.id
+    WHERE c.tenant_id = $1
+  `;
+
+  text += buildTargetingFilters(campaign, params);
+  text += buildPage(params, { afterId, limit });
+
+  return { text, params };
+}
+
+/**
+ * Build a COUNT(*) over a campaign's audience
+ */
+function buildRecipientCountQuery(tenantId, campaign) {
+  const { text, params } = buildRecipientQuery(tenantId, campaign);
+  return {
+    text: `SELECT COUNT(*) AS count FROM (${text}) recipients`,
+    params
+  };
+}
+
+module.exports = {
+  loadCampaign,
+  getChannels,
+  buildRecipientQuery,
+  buildRecipientCountQuery,
+  buildTargetedContactsQuery
+};
@@ -0,0 +1,369 @@
+const db = require('../../db');
+const queue = require('../queue');
+const compliance = require('../compliance');
+const audience = require('./audience');
+const { estimateSend } = require('../sms/segments');
+const logger = require('../../utils/logger');
+
+// Preview outcomes, in the order they're checked - a contact lands in the first that applies
+const PREVIEW_BUCKETS = [
+  'no_address',
+  'already_sent',
+  'no_consent',
+  'opted_out',
+  'not_age_verified',
+  'global_opt_out',
+  'rate_limited',
+  'quiet_hours',
+  'eligible'
+];
+
+const PREVIEW_PAGE_SIZE = 1000;
+
+class CampaignService {
+  /**
+   * Send a draft campaign now, or at its scheduled_at if that's in the future
+   */
+  async send(tenantId, campaignId) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    if (!campaign) {
+      return { success: false, code: 'not_found', error: 'Campaign not found' };
+    }
+
+    const result = await this.transition(tenantId, campaignId, ['draft'], 'scheduled');
+    if (!result.success) return result;
+
+    // A past scheduled_at just means no delay
+    const job = await queue.queueCampaign({ tenantId, campaignId, scheduledAt: campaign.scheduled_at });
+    const scheduledAt = campaign.scheduled_at && new Date(campaign.scheduled_at) > new Date()
+      ? campaign.scheduled_at
+      : null;
+
+    return { ...result, jobId: job.id, scheduledAt };
+  }
+
+  /**
+   * Set or change when a campaign sends, before it has started
+   * A scheduled campaign's pending job is replaced; a draft just stores the time
+   */
+  async schedule(tenantId, campaignId, scheduledAt) {
+    const when = new Date(scheduledAt);
+    if (Number.isNaN(when.getTime()) || when <= new Date()) {
+      return { success: false, code: 'invalid', error: 'scheduled_at must be a future date' };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE campaigns SET scheduled_at = $1
+      WHERE id = $2 AND status IN ('draft', 'scheduled') AND started_at IS NULL
+      RETURNING status
+    `, [when, campaignId]);
+
+    if (result.rows.length === 0) {
+      return this.transitionError(tenantId, campaignId, 'rescheduled');
+    }
+
+    const status = result.rows[0].status;
+    let jobId = null;
+
+    if (status === 'scheduled') {
+      await queue.removeCampaignJobs(campaignId);
+      const job = await queue.queueCampaign({ tenantId, campaignId, scheduledAt: when });
+      jobId = job.id;
+    }
+
+    logger.info('Campaign scheduled', { tenantId, campaignId, scheduledAt: when });
+    return { success: true, status, scheduledAt: when, jobId };
+  }
+
+  /**
+   * Take a scheduled campaign that hasn't started back to draft
+   */
+  async unschedule(tenantId, campaignId) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE campaigns SET status = 'draft', scheduled_at = NULL
+      WHERE id = $1 AND status = 'scheduled' AND started_at IS NULL
+      RETURNING id
+    `, [campaignId]);
+
+    if (result.rows.length === 0) {
+      return this.transitionError(tenantId, campaignId, 'unscheduled');
+    }
+
+    const removed = await queue.removeCampaignJobs(campaignId);
+    logger.info('Campaign unscheduled', { tenantId, campaignId, removedJobs: removed });
+
+    return { success: true, status: 'draft' };
+  }
+
+  /**
+   * Re-queue every scheduled campaign's job (run on startup)
+   * Job ids are deterministic, so campaigns whose job survived are left alone.
+   * Covers Redis flushes and redeploys without firing anything twice.
+   */
+  async recoverScheduled() {
+    // Cross-tenant scan, like inbound SMS routing
+    const result = await db.query(`
+      SELECT id, tenant_id, scheduled_at
+      FROM campaigns
+      WHERE status = 'scheduled'
+    `);
+
+    for (const campaign of result.rows) {
+      await queue.queueCampaign({
+        tenantId: campaign.tenant_id,
+        campaignId: campaign.id,
+        scheduledAt: campaign.scheduled_at
+      });
+    }
+
+    logger.info('Scheduled campaigns recovered', { count: result.rows.length });
+    return result.rows.length;
+  }
+
+  /**
+   * Pause a scheduled or sending campaign (or a sent one whose sends are still queued)
+   * Pending jobs are removed; resume re-queues whoever hasn't been sent to
+   */
+  async pause(tenantId, campaignId) {
+    const fromStatuses = await this.haltableStatuses(tenantId, campaignId, ['scheduled', 'sending']);
+    const result = await this.transition(tenantId, campaignId, fromStatuses, 'paused');
+    if (!result.success) return result;
+
+    const removed = await queue.removeCampaignJobs(campaignId);
+    logger.info('Campaign paused', { tenantId, campaignId, removedJobs: removed });
+
+    return { ...result, removedJobs: removed };
+  }
+
+  /**
+   * Resume a paused campaign
+   * A campaign paused before it started goes back to waiting for its schedule;
+   * otherwise the campaign worker skips contacts who already have a message for it
+   */
+  async resume(tenantId, campaignId) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    if (!campaign) {
+      return { success: false, code: 'not_found', error: 'Campaign not found' };
+    }
+
+    if (!campaign.started_at) {
+      const result = await this.transition(tenantId, campaignId, ['paused'], 'scheduled');
+      if (!result.success) return result;
+
+      const job = await queue.queueCampaign({ tenantId, campaignId, scheduledAt: campaign.scheduled_at });
+      logger.info('Campaign resumed', { tenantId, campaignId, jobId: job.id });
+
+      return { ...result, jobId: job.id };
+    }
+
+    const result = await this.transition(tenantId, campaignId, ['paused'], 'sending');
+    if (!result.success) return result;
+
+    const job = await queue.queueCampaign({ tenantId, campaignId, resume: true });
+    logger.info('Campaign resumed', { tenantId, campaignId, jobId: job.id });
+
+    return { ...result, jobId: job.id };
+  }
+
+  /**
+   * Cancel a campaign that hasn't finished sending
+   */
+  async cancel(tenantId, campaignId) {
+    const fromStatuses = await this.haltableStatuses(tenantId, campaignId, ['draft', 'scheduled', 'sending', 'paused']);
+    const result = await this.transition(tenantId, campaignId, fromStatuses, 'cancelled');
+    if (!result.success) return result;
+
+    const removed = await queue.removeCampaignJobs(campaignId);
+    logger.info('Campaign cancelled', { tenantId, campaignId, removedJobs: removed });
+
+    return { ...result, removedJobs: removed };
+  }
+
+  /**
+   * Dry-run a campaign: who it would reach on each channel, and why the rest
+   * are excluded, plus a content scan of each message body. Nothing is sent.
+   * Contacts deferred by quiet hours would still be sent to once quiet hours end.
+   */
+  async preview(tenantId, campaignId, { sampleSize = 5 } = {}) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    if (!campaign) {
+      return { success: false, code: 'not_found', error: 'Campaign not found' };
+    }
+
+    const channels = Object.entries(audience.getChannels(campaign))
+      .filter(([, enabled]) => enabled)
+      .map(([channel]) => channel);
+
+    const breakdown = {};
+    for (const channel of channels) {
+      breakdown[channel] = {
+        counts: Object.fromEntries(PREVIEW_BUCKETS.map(bucket => [bucket, 0])),
+        samples: Object.fromEntries(PREVIEW_BUCKETS.map(bucket => [bucket, []]))
+      };
+    }
+
+    let targeted = 0;
+    let afterId = null;
+
+    while (true) {
+      const { text, params } = audience.buildTargetedContactsQuery(tenantId, campaign, {
+        afterId,
+        limit: PREVIEW_PAGE_SIZE
+      });
+      const page = await db.queryWithTenant(tenantId, text, params);
+      if (page.rows.length === 0) break;
+
+      for (const contact of page.rows) {
+        for (const channel of channels) {
+          const { bucket, reasons } = this.classifyRecipient(contact, channel);
+          const result = breakdown[channel];
+
+          result.counts[bucket]++;
+          if (result.samples[bucket].length < sampleSize) {
+            result.samples[bucket].push({
+              id: contact.id,
+              first_name: contact.first_name,
+              last_name: contact.last_name,
+              phone: contact.phone,
+              email: contact.email,
+              reasons
+            });
+          }
+        }
+      }
+
+      targeted += page.rows.length;
+      afterId = page.rows[page.rows.length - 1].id;
+    }
+
+    const content = {};
+    if (campaign.sms_content && breakdown.sms) {
+      content.sms = compliance.scanContent(campaign.sms_content);
+    }
+    if (breakdown.email) {
+      const body = campaign.email_plain_text || campaign.email_content || '';
+      content.email = compliance.scanContent(`${campaign.email_subject || ''}\n${body}`);
+    }
+
+    // Projected SMS cost covers everyone who'd be sent to, including quiet-hours deferrals
+    // (segments are counted on the template as written, merge fields included)
+    let smsCost = null;
+    if (campaign.sms_content && breakdown.sms) {
+      const { eligible, quiet_hours: deferred } = breakdown.sms.counts;
+      smsCost = estimateSend(campaign.sms_content, eligible + deferred);
+    }
+
+    return {
+      success: true,
+      campaignId,
+      status: campaign.status,
+      targeted,
+      channels: breakdown,
+      content,
+      smsCost
+    };
+  }
+
+  /**
+   * Work out which preview bucket a targeted contact falls into for a channel
+   * Mirrors the campaign worker's filters and the compliance engine's checks
+   */
+  classifyRecipient(contact, channel) {
+    const address = channel === 'sms' ? contact.phone : contact.email;
+    if (!address) {
+      return { bucket: 'no_address', reasons: [`Contact has no ${channel === 'sms' ? 'phone number' : 'email address'}`] };
+    }
+
+    if (contact[`${channel}_already_sent`]) {
+      return { bucket: 'already_sent', reasons: ['Already messaged for this campaign'] };
+    }
+
+    const consent = compliance.checkConsent(contact, channel);
+    if (!consent.approved) return { bucket: 'no_consent', reasons: consent.reasons };
+
+    const optOut = compliance.checkOptOut(contact, channel);
+    if (!optOut.approved) return { bucket: 'opted_out', reasons: optOut.reasons };
+
+    const age = compliance.checkAgeVerification(contact);
+    if (!age.approved) return { bucket: 'not_age_verified', reasons: age.reasons };
+
+    if (channel === 'sms' && contact.on_global_opt_out) {
+      return { bucket: 'global_opt_out', reasons: ['Phone number on global opt-out list'] };
+    }
+
+    const sentToday = contact[`${channel}_sent_24h`];
+    if (sentToday >= compliance.maxMessagesPerDay) {
+      return {
+        bucket: 'rate_limited',
+        reasons: [`Rate limit exceeded (${sentToday}/${compliance.maxMessagesPerDay} messages in 24h)`]
+      };
+    }
+
+    if (channel === 'sms') {
+      const quietHours = compliance.checkQuietHours(contact);
+      if (!quietHours.approved) {
+        return { bucket: 'quiet_hours', reasons: quietHours.reasons };
+      }
+    }
+
+    return { bucket: 'eligible', reasons: [] };
+  }
+
+  /**
+   * Statuses a pause/cancel can move a campaign from. A sent campaign only
+   * finished fanning out - while any of its sends are still queued (e.g. held
+   * until quiet hours end) it can still be halted; the send workers skip
+   * whatever's left once it's paused or cancelled.
+   */
+  async haltableStatuses(tenantId, campaignId, statuses) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+    if (campaign && campaign.status === 'sent' && await queue.hasPendingCampaignJobs(campaignId)) {
+      return [...statuses, 'sent'];
+    }
+    return statuses;
+  }
+
+  /**
+   * Load a campaign (with its saved segment's filter)
+   */
+  async getCampaign(tenantId, campaignId) {
+    return audience.loadCampaign(tenantId, campaignId);
+  }
+
+  /**
+   * Move a campaign between statuses if it's currently in one of the allowed ones
+   * Returns { success, status } or { success: false, error, code }
+   */
+  async transition(tenantId, campaignId, fromStatuses, toStatus) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE campaigns SET status = $1
+      WHERE id = $2 AND status = ANY($3)
+      RETURNING id, status
+    `, [toStatus, campaignId, fromStatuses]);
+
+    if (result.rows.length > 0) {
+      return { success: true, status: toStatus };
+    }
+
+    return this.transitionError(tenantId, campaignId, `moved to ${toStatus}`);
+  }
+
+  /**
+   * Explain why a campaign couldn't be changed
+   */
+  async transitionError(tenantId, campaignId, action) {
+    const campaign = await this.getCampaign(tenantId, campaignId);
+
+    if (!campaign) {
+      return { success: false, code: 'not_found', error: 'Campaign not found' };
+    }
+
+    return {
+      success: false,
+      code: 'invalid_status',
+      error: `Campaign is ${campaign.status} and can't be ${action}`
+    };
+  }
+}
+
+module.exports = new CampaignService();
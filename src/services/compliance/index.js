@@ -261,14 +261,16 @@ class ComplianceEngine {
 
   /**
    * Process an opt-out
+   * address is a phone number for SMS or an email address for email
    */
-  async processOptOut(tenantId, phone, channel, method, sourceMessageId = null) {
-    const normalizedPhone = this.normalizePhone(phone);
+  async processOptOut(tenantId, address, channel, method, sourceMessageId = null) {
+    const normalizedAddress = this.normalizeAddress(address, channel);
+    const addressField = channel === 'sms' ? 'phone' : 'LOWER(email)';
     
     // Find the contact
     const contactResult = await db.queryWithTenant(tenantId, `
-      SELECT id FROM contacts WHERE phone = $1
-    `, [normalizedPhone]);
+      SELECT id FROM contacts WHERE ${addressField} = $1
+    `, [normalizedAddress]);
 
     let contactId = null;
     if (contactResult.rows.length > 0) {
@@ -278,9 +280,12 @@ class ComplianceEngine {
       const field = channel === 'sms' ? 'sms_opted_out' : 'email_opted_out';
       const atField = channel === 'sms' ? 'sms_opted_out_at' : 'email_opted_out_at';
       
+      // STOP also cancels a text-to-join that's waiting on its YES
+      const cancelPending = channel === 'sms' ? ', sms_consent_pending_at = NULL' : '';
+      
       await db.queryWithTenant(tenantId, `
         UPDATE contacts 
-        SET ${field} = TRUE, ${atField} = NOW()
+        SET ${field} = TRUE, ${atField} = NOW()${cancelPending}
         WHERE id = $1
       `, [contactId]);
     }
@@ -289,7 +294,7 @@ class ComplianceEngine {
     await db.queryWithTenant(tenantId, `
       INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method, source_message_id)
       VALUES ($1, $2, $3, $4, 'opt_out', $5, $6)
-    `, [tenantId, contactId, channel, normalizedPhone, method, sourceMessageId]);
+    `, [tenantId, contactId, channel, normalizedAddress, method, sourceMessageId]);
 
     // Add to global opt-out list (for SMS)
     if (channel === 'sms') {
@@ -297,55 +302,97 @@ class ComplianceEngine {
         INSERT INTO global_opt_outs (phone, source_tenant_id)
         VALUES ($1, $2)
         ON CONFLICT (phone) DO NOTHING
-      `, [normalizedPhone, tenantId]);
+      `, [normalizedAddress, tenantId]);
     }
 
-    logger.info(`Opt-out processed: ${normalizedPhone} from ${channel}`, { tenantId, contactId });
+    logger.info(`Opt-out processed: ${normalizedAddress} from ${channel}`, { tenantId, contactId, method });
     
     return { success: true, contactId };
   }
 
   /**
-   * Process an opt-in (re-subscribe)
+   * Process an opt-in (re-subscribe) from a contact who opted out
+   * Consent they gave before opting out is restored. A contact who never
+   * consented only has the opt-out lifted - consent takes a signup (text-to-join,
+   * a form), which also confirms their age.
+   * Returns { success, contactId, consentRestored }
    */
-  async processOptIn(tenantId, phone, channel, method) {
+  async processOptIn(tenantId, phone, channel, method, sourceMessageId = null) {
     const normalizedPhone = this.normalizePhone(phone);
     
     const contactResult = await db.queryWithTenant(tenantId, `
-      SELECT id FROM contacts WHERE phone = $1
+      SELECT id, sms_consent_at, sms_consent_method, email_consent_at, email_consent_method
+      FROM contacts WHERE phone = $1
     `, [normalizedPhone]);
 
     if (contactResult.rows.length === 0) {
       return { success: false, error: 'Contact not found' };
     }
 
-    const contactId = contactResult.rows[0].id;
+    const contact = contactResult.rows[0];
+    const contactId = contact.id;
+    const consentRestored = Boolean(contact[`${channel}_consent_at`]);
     
     // Update contact status
     const field = channel === 'sms' ? 'sms_opted_out' : 'email_opted_out';
     const consentField = channel === 'sms' ? 'sms_consent' : 'email_consent';
     const consentAtField = channel === 'sms' ? 'sms_consent_at' : 'email_consent_at';
+    const consentMethodField = channel === 'sms' ? 'sms_consent_method' : 'email_consent_method';
     
     await db.queryWithTenant(tenantId, `
       UPDATE contacts 
-      SET ${field} = FALSE, ${consentField} = TRUE, ${consentAtField} = NOW()
+      SET ${field} = FALSE${consentRestored ? `, ${consentField} = TRUE, ${consentAtField} = NOW(), ${consentMethodField} = $2` : ''}
       WHERE id = $1
-    `, [contactId]);
+    `, consentRestored ? [contactId, method] : [contactId]);
 
     // Log the opt-in
     await db.queryWithTenant(tenantId, `
-      INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method)
-      VALUES ($1, $2, $3, $4, 'opt_in', $5)
-    `, [tenantId, contactId, channel, normalizedPhone, method]);
+      INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method, source_message_id)
+      VALUES ($1, $2, $3, $4, 'opt_in', $5, $6)
+    `, [tenantId, contactId, channel, normalizedPhone, method, sourceMessageId]);
+
+    if (consentRestored) {
+      await this.recordConsentEvent(tenantId, {
+        contactId,
+        channel,
+        event: 'consent_restored',
+        method,
+        messageId: sourceMessageId,
+        details: {
+          previous_consent_at: contact[consentAtField],
+          previous_consent_method: contact[consentMethodField]
+        }
+      });
+    }
 
     // Remove from global opt-out (for SMS)
     if (channel === 'sms') {
       await db.query('DELETE FROM global_opt_outs WHERE phone = $1', [normalizedPhone]);
     }
 
-    logger.info(`Opt-in processed: ${normalizedPhone} to ${channel}`, { tenantId, contactId });
+    logger.info(`Opt-in processed: ${normalizedPhone} to ${channel}`, { tenantId, contactId, consentRestored });
     
-    return { success: true, contactId };
+    return { success: true, contactId, consentRestored };
+  }
+
+  /**
+   * Record a step in how a contact gave (or confirmed) consent
+   * These rows are the evidence we produce if consent is ever disputed
+   */
+  async recordConsentEvent(tenantId, {
+    contactId, channel = 'sms', event, method, locationId = null, keywordId = null, keyword = null,
+    messageId = null, formId = null, disclosureVersion = null, content = null,
+    ipAddress = null, userAgent = null, details = {}
+  }) {
+    await db.queryWithTenant(tenantId, `
+      INSERT INTO consent_events (
+        tenant_id, contact_id, channel, event, method, location_id, keyword_id, keyword,
+        message_id, form_id, disclosure_version, content, ip_address, user_agent, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      tenantId, contactId, channel, event, method, locationId, keywordId, keyword,
+      messageId, formId, disclosureVersion, content, ipAddress, userAgent, JSON.stringify(details)
+    ]);
   }
 
   /**
@@ -384,6 +431,13 @@ class ComplianceEngine {
     };
   }
 
+  /**
+   * Normalize an address for a channel (E.164 phone for SMS, lowercase email)
+   */
+  normalizeAddress(address, channel) {
+    return channel === 'sms' ? this.normalizePhone(address) : address.trim().toLowerCase();
+  }
+
   /**
    * Normalize phone number to E.164 format
    */
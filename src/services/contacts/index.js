@@ -0,0 +1,503 @@
+const dayjs = require('dayjs');
+const db = require('../../db');
+const compliance = require('../compliance');
+const automationEngine = require('../automations');
+const logger = require('../../utils/logger');
+
+const CONTACT_LIST_FIELDS = `
+  id, phone, email, first_name, last_name, primary_location_id,
+  sms_consent, sms_opted_out, email_consent, email_opted_out, age_verified,
+  tags, total_orders, total_spent, last_order_at, created_at
+`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Boolean list filters -> column
+const BOOLEAN_FILTERS = {
+  sms_consent: 'sms_consent',
+  email_consent: 'email_consent',
+  sms_opted_out: 'sms_opted_out',
+  email_opted_out: 'email_opted_out',
+  age_verified: 'age_verified'
+};
+
+// Range list filters -> [column, operator, type]
+const RANGE_FILTERS = {
+  min_orders: ['total_orders', '>=', 'number'],
+  max_orders: ['total_orders', '<=', 'number'],
+  min_spent: ['total_spent', '>=', 'number'],
+  max_spent: ['total_spent', '<=', 'number'],
+  last_order_after: ['last_order_at', '>=', 'date'],
+  last_order_before: ['last_order_at', '<', 'date']
+};
+
+// Profile fields PATCH can set directly
+const PROFILE_FIELDS = ['first_name', 'last_name', 'timezone', 'tags', 'custom_fields', 'primary_location_id', 'date_of_birth'];
+
+class ContactService {
+  /**
+   * Find a contact by id, phone or email (POS integrations usually only know the latter)
+   */
+  async findContact(tenantId, { contactId = null, phone = null, email = null }) {
+    let result;
+
+    if (contactId) {
+      result = await db.queryWithTenant(tenantId, 'SELECT id FROM contacts WHERE id = $1', [contactId]);
+    } else if (phone) {
+      result = await db.queryWithTenant(tenantId, 'SELECT id FROM contacts WHERE phone = $1', [compliance.normalizePhone(phone)]);
+    } else if (email) {
+      result = await db.queryWithTenant(tenantId, 'SELECT id FROM contacts WHERE LOWER(email) = LOWER($1)', [email]);
+    } else {
+      return null;
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List contacts newest first, a page at a time
+   * Filters: q (phone, email or name), sms_consent, email_consent, sms_opted_out,
+   * email_opted_out, age_verified, tags (comma-separated, any), location_id,
+   * min_orders, max_orders, min_spent, max_spent, last_order_after, last_order_before
+   * Returns { contacts, nextCursor } - pass nextCursor back as cursor for the next page
+   */
+  async listContacts(tenantId, filters = {}) {
+    const params = [];
+    // Erased contacts are only kept to suppress messages
+    const conditions = ['erased_at IS NULL'];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (filters.q) {
+      const q = String(filters.q).trim();
+      const digits = q.replace(/\D/g, '');
+      const like = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+
+      if (/^[\d\s()+.-]+$/.test(q) && digits.length >= 3) {
+        conditions.push(`phone LIKE ${param(`%${digits}%`)}`);
+      } else if (q.includes('@')) {
+        conditions.push(`email ILIKE ${param(like)}`);
+      } else {
+        const pattern = param(like);
+        conditions.push(`(CONCAT_WS(' ', first_name, last_name) ILIKE ${pattern} OR email ILIKE ${pattern})`);
+      }
+    }
+
+    for (const [filter, column] of Object.entries(BOOLEAN_FILTERS)) {
+      if (filters[filter] === undefined) continue;
+      if (!['true', 'false'].includes(filters[filter])) {
+        return { success: false, code: 'invalid', error: `${filter} must be true or false` };
+      }
+      conditions.push(`${column} = ${param(filters[filter] === 'true')}`);
+    }
+
+    for (const [filter, [column, operator, type]] of Object.entries(RANGE_FILTERS)) {
+      if (filters[filter] === undefined) continue;
+
+      const value = type === 'number' ? Number(filters[filter]) : dayjs(filters[filter]);
+      if (type === 'number' ? Number.isNaN(value) : !value.isValid()) {
+        return { success: false, code: 'invalid', error: `${filter} must be a ${type}` };
+      }
+      conditions.push(`${column} ${operator} ${param(type === 'number' ? value : value.toISOString())}`);
+    }
+
+    if (filters.tags) {
+      const tags = String(filters.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+      conditions.push(`tags && ${param(tags)}::text[]`);
+    }
+    if (filters.location_id) {
+      conditions.push(`primary_location_id = ${param(filters.location_id)}`);
+    }
+
+    if (filters.cursor) {
+      const cursor = this.decodeCursor(filters.cursor);
+      if (!cursor) {
+        return { success: false, code: 'invalid', error: 'Invalid cursor' };
+      }
+      conditions.push(`(created_at, id) < (${param(cursor.createdAt)}::timestamptz, ${param(cursor.id)}::uuid)`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${CONTACT_LIST_FIELDS}, created_at::text AS cursor_created_at
+      FROM contacts
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${param(limit + 1)}
+    `, params);
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = result.rows.length > limit
+      ? Buffer.from(JSON.stringify([last.cursor_created_at, last.id])).toString('base64url')
+      : null;
+
+    return {
+      success: true,
+      contacts: rows.map(({ cursor_created_at, ...contact }) => contact),
+      nextCursor
+    };
+  }
+
+  /**
+   * Decode a list cursor (full-precision created_at + id), or null if it's malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (typeof createdAt !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) return null;
+      return { createdAt, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load a contact with its most recent consent history
+   */
+  async getContact(tenantId, contactId) {
+    const result = await db.queryWithTenant(tenantId, 'SELECT * FROM contacts WHERE id = $1', [contactId]);
+    if (result.rows.length === 0) return null;
+
+    const history = await db.queryWithTenant(tenantId, `
+      SELECT channel, event, method, location_id, keyword, form_id, disclosure_version,
+             content, ip_address, details, created_at
+      FROM consent_events
+      WHERE contact_id = $1
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [contactId]);
+
+    return { ...result.rows[0], consent_history: history.rows };
+  }
+
+  /**
+   * Update a contact
+   *
+   * Consent columns move together: granting consent needs a method (and takes an
+   * optional past date, default now), revoking clears the date and method, and
+   * changing a phone or email drops the consent given for the old address unless
+   * it's re-granted in the same update. Lifting an opt-out needs fresh consent.
+   * Every consent, opt-out and age change is recorded with who made it
+   * (actor: { userId, apiKeyId, ipAddress, userAgent }).
+   */
+  async updateContact(tenantId, contactId, changes, actor = {}) {
+    const result = await db.queryWithTenant(tenantId, 'SELECT * FROM contacts WHERE id = $1', [contactId]);
+    const existing = result.rows[0];
+    if (!existing) {
+      return { success: false, code: 'not_found', error: 'Contact not found' };
+    }
+    if (existing.erased_at) {
+      return { success: false, code: 'conflict', error: 'Contact was erased on request and is kept only to suppress messages' };
+    }
+
+    const plan = await this.planUpdate(tenantId, existing, changes);
+    if (plan.error) {
+      return { success: false, code: 'invalid', error: plan.error };
+    }
+
+    const columns = Object.keys(plan.sets);
+    if (columns.length === 0) {
+      return { success: true, contact: existing };
+    }
+
+    let updated;
+    try {
+      updated = await db.queryWithTenant(tenantId, `
+        UPDATE contacts SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+        WHERE id = $1
+        RETURNING *
+      `, [contactId, ...columns.map(column => plan.sets[column])]);
+    } catch (error) {
+      // unique_violation on (tenant_id, phone) or (tenant_id, email)
+      if (error.code === '23505') {
+        return { success: false, code: 'conflict', error: 'Another contact already has that phone or email' };
+      }
+      throw error;
+    }
+
+    const contact = updated.rows[0];
+    const method = actor.apiKeyId ? 'api' : 'dashboard';
+    const audit = { user_id: actor.userId || null, api_key_id: actor.apiKeyId || null };
+
+    for (const { channel, action } of plan.optOutChanges) {
+      const address = channel === 'sms' ? contact.phone : contact.email;
+      if (action === 'opt_out' && address) {
+        // Logs it and (for SMS) adds the number to the global opt-out list
+        await compliance.processOptOut(tenantId, address, channel, 'manual');
+      } else if (action === 'opt_in') {
+        await db.queryWithTenant(tenantId, `
+          INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method, ip_address, user_agent)
+          VALUES ($1, $2, $3, $4, 'opt_in', 'manual', $5, $6)
+        `, [tenantId, contactId, channel, compliance.normalizeAddress(address, channel), actor.ipAddress || null, actor.userAgent || null]);
+
+        // Only this tenant's own entry - a STOP sent to another tenant stands
+        // until the person texts START there
+        if (channel === 'sms') {
+          await db.query('DELETE FROM global_opt_outs WHERE phone = $1 AND source_tenant_id = $2', [address, tenantId]);
+        }
+      }
+    }
+
+    for (const event of plan.events) {
+      await compliance.recordConsentEvent(tenantId, {
+        contactId,
+        channel: event.channel,
+        event: event.event,
+        method: event.method || method,
+        ipAddress: actor.ipAddress || null,
+        userAgent: actor.userAgent || null,
+        details: { ...audit, ...event.details }
+      });
+    }
+
+    logger.info('Contact updated', { tenantId, contactId, fields: columns, ...audit });
+    return { success: true, contact };
+  }
+
+  /**
+   * Work out the columns to set and the consent events to record for an update
+   * Returns { sets, events, optOutChanges } or { error }
+   */
+  async planUpdate(tenantId, existing, changes) {
+    const sets = {};
+    const events = [];
+    const optOutChanges = [];
+
+    // Profile fields
+    for (const field of PROFILE_FIELDS) {
+      if (changes[field] === undefined) continue;
+      const value = changes[field];
+
+      if (field === 'tags' && (!Array.isArray(value) || value.some(tag => typeof tag !== 'string' || !tag))) {
+        return { error: 'tags must be an array of strings' };
+      }
+      if (field === 'custom_fields' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+        return { error: 'custom_fields must be an object' };
+      }
+      if (field === 'date_of_birth' && value !== null && (!DATE_PATTERN.test(value) || !dayjs(value).isValid())) {
+        return { error: 'date_of_birth must be YYYY-MM-DD' };
+      }
+      if (field === 'timezone' && value !== null && !this.isValidTimezone(value)) {
+        return { error: 'timezone must be an IANA timezone, e.g. America/Los_Angeles' };
+      }
+      if (field === 'primary_location_id' && value) {
+        const location = await db.queryWithTenant(tenantId, 'SELECT id FROM locations WHERE id = $1', [value]);
+        if (location.rows.length === 0) return { error: 'Location not found' };
+      }
+
+      sets[field] = field === 'custom_fields' ? JSON.stringify(value) : value;
+    }
+
+    // Addresses
+    const addresses = { sms: existing.phone, email: existing.email };
+    if (changes.phone !== undefined) {
+      const phone = changes.phone ? compliance.normalizePhone(String(changes.phone)) : null;
+      if (phone && !/^\+\d{11,15}$/.test(phone)) return { error: 'Invalid phone number' };
+      sets.phone = addresses.sms = phone;
+    }
+    if (changes.email !== undefined) {
+      const email = changes.email ? String(changes.email).trim() : null;
+      if (email && !EMAIL_PATTERN.test(email)) return { error: 'Invalid email' };
+      sets.email = addresses.email = email;
+    }
+    if (!addresses.sms && !addresses.email) {
+      return { error: 'A contact needs a phone or an email' };
+    }
+
+    // Consent and opt-out, per channel
+    for (const channel of ['sms', 'email']) {
+      const address = addresses[channel];
+      const previousAddress = channel === 'sms' ? existing.phone : existing.email;
+      const addressChanged = address !== previousAddress;
+      const consent = changes[`${channel}_consent`];
+      const method = changes[`${channel}_consent_method`];
+      const consentAt = changes[`${channel}_consent_at`];
+      const optedOut = changes[`${channel}_opted_out`];
+
+      if (consent !== undefined && typeof consent !== 'boolean') {
+        return { error: `${channel}_consent must be true or false` };
+      }
+      if (optedOut !== undefined && typeof optedOut !== 'boolean') {
+        return { error: `${channel}_opted_out must be true or false` };
+      }
+      if ((method !== undefined || consentAt !== undefined) && consent !== true) {
+        return { error: `${channel}_consent_method and ${channel}_consent_at can only be set with ${channel}_consent: true` };
+      }
+
+      const stillOptedOut = optedOut === undefined ? existing[`${channel}_opted_out`] : optedOut;
+
+      if (consent === true) {
+        if (!address) return { error: `${channel}_consent needs a ${channel === 'sms' ? 'phone' : 'email'}` };
+        if (!method || typeof method !== 'string') return { error: `${channel}_consent_method required when granting consent` };
+        if (stillOptedOut) {
+          return { error: `Contact has opted out of ${channel}; set ${channel}_opted_out: false with the new consent` };
+        }
+
+        const at = consentAt === undefined ? dayjs() : dayjs(consentAt);
+        if (!at.isValid() || at.isAfter(dayjs())) return { error: `${channel}_consent_at must be a date in the past` };
+
+        sets[`${channel}_consent`] = true;
+        sets[`${channel}_consent_at`] = at.toISOString();
+        sets[`${channel}_consent_method`] = method.slice(0, 50);
+        if (channel === 'sms') {
+          sets.sms_consent_ip = null;
+          sets.sms_consent_pending_at = null;
+        }
+        events.push({
+          channel, event: 'consent_given', method: method.slice(0, 50),
+          details: { consented_at: at.toISOString(), address }
+        });
+      } else if (consent === false || (addressChanged && existing[`${channel}_consent`])) {
+        // Revoked, or given for an address the contact no longer has
+        sets[`${channel}_consent`] = false;
+        sets[`${channel}_consent_at`] = null;
+        sets[`${channel}_consent_method`] = null;
+        if (channel === 'sms') sets.sms_consent_ip = null;
+
+        if (existing[`${channel}_consent`]) {
+          events.push({
+            channel, event: 'consent_revoked',
+            details: { reason: consent === false ? 'manual' : 'address_changed', previous_address: previousAddress }
+          });
+        }
+      }
+
+      if (optedOut === true && !existing[`${channel}_opted_out`]) {
+        sets[`${channel}_opted_out`] = true;
+        sets[`${channel}_opted_out_at`] = new Date().toISOString();
+        if (channel === 'sms') sets.sms_consent_pending_at = null;
+        optOutChanges.push({ channel, action: 'opt_out' });
+        events.push({ channel, event: 'opted_out', details: { address } });
+      } else if (optedOut === false && existing[`${channel}_opted_out`]) {
+        if (consent !== true) {
+          return { error: `Lifting a ${channel} opt-out needs fresh consent: set ${channel}_consent: true with a ${channel}_consent_method` };
+        }
+        sets[`${channel}_opted_out`] = false;
+        sets[`${channel}_opted_out_at`] = null;
+        optOutChanges.push({ channel, action: 'opt_in' });
+        events.push({ channel, event: 'opt_out_lifted', details: { address } });
+      }
+    }
+
+    // Age verification
+    if (changes.age_verified !== undefined || changes.age_verification_method !== undefined) {
+      const verified = changes.age_verified;
+      const method = changes.age_verification_method;
+
+      if (verified === true) {
+        if (!method || typeof method !== 'string') return { error: 'age_verification_method required when verifying age' };
+        const dob = sets.date_of_birth !== undefined ? sets.date_of_birth : existing.date_of_birth;
+        if (dob && dayjs().diff(dayjs(dob), 'year') < 21) return { error: 'Contact is under 21' };
+
+        sets.age_verified = true;
+        sets.age_verified_at = new Date().toISOString();
+        sets.age_verification_method = method.slice(0, 50);
+        events.push({ channel: 'sms', event: 'age_verified', method: method.slice(0, 50), details: {} });
+      } else if (verified === false) {
+        if (method !== undefined) return { error: 'age_verification_method can only be set with age_verified: true' };
+        sets.age_verified = false;
+        sets.age_verified_at = null;
+        sets.age_verification_method = null;
+        if (existing.age_verified) events.push({ channel: 'sms', event: 'age_unverified', details: {} });
+      } else {
+        return { error: 'age_verified must be true or false (and age_verification_method needs age_verified: true)' };
+      }
+    }
+
+    return { sets, events, optOutChanges };
+  }
+
+  /**
+   * Whether a string is a timezone Intl knows
+   */
+  isValidTimezone(timezone) {
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a contact. Their messages stay (unlinked) for reporting.
+   * A contact who opted out of either channel (or an erased suppression record)
+   * is refused - deleting it would lose the opt-out; erasure keeps it instead.
+   */
+  async deleteContact(tenantId, contactId, actor = {}) {
+    const result = await db.queryWithTenant(tenantId, `
+      DELETE FROM contacts
+      WHERE id = $1 AND sms_opted_out IS NOT TRUE AND email_opted_out IS NOT TRUE AND erased_at IS NULL
+      RETURNING id
+    `, [contactId]);
+
+    if (result.rows.length === 0) {
+      const existing = await db.queryWithTenant(tenantId, 'SELECT id FROM contacts WHERE id = $1', [contactId]);
+      if (existing.rows.length === 0) {
+        return { success: false, code: 'not_found', error: 'Contact not found' };
+      }
+      return {
+        success: false,
+        code: 'conflict',
+        error: 'Contact has opted out - erase it through /api/privacy/erase so the opt-out is kept'
+      };
+    }
+
+    logger.info('Contact deleted', { tenantId, contactId, userId: actor.userId || null, apiKeyId: actor.apiKeyId || null });
+    return { success: true };
+  }
+
+  /**
+   * Run automations for a newly created contact
+   * Failures are logged rather than failing whatever created the contact
+   */
+  async contactCreated(tenantId, contactId) {
+    try {
+      await automationEngine.handleNewContact(tenantId, contactId);
+    } catch (error) {
+      logger.error('Failed to trigger new contact automations', { tenantId, contactId, error: error.message });
+    }
+  }
+
+  /**
+   * Ingest a purchase: store it, roll it into the contact's order stats and fire
+   * purchase automations. Re-sending the same order id is a no-op.
+   */
+  async recordPurchase(tenantId, { contactId, orderId, amount = 0, locationId = null, orderedAt = null }) {
+    const purchase = await db.queryWithTenant(tenantId, `
+      INSERT INTO purchases (tenant_id, contact_id, location_id, external_order_id, amount, ordered_at)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+      ON CONFLICT (tenant_id, external_order_id) DO NOTHING
+      RETURNING id, ordered_at
+    `, [tenantId, contactId, locationId, orderId, amount, orderedAt]);
+
+    if (purchase.rows.length === 0) {
+      return { success: true, duplicate: true };
+    }
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE contacts SET
+        total_orders = total_orders + 1,
+        total_spent = total_spent + $1,
+        last_order_at = GREATEST(last_order_at, $2)
+      WHERE id = $3
+    `, [amount, purchase.rows[0].ordered_at, contactId]);
+
+    let automationsStarted = 0;
+    try {
+      automationsStarted = await automationEngine.handlePurchase(tenantId, contactId, { orderId, amount, locationId });
+    } catch (error) {
+      logger.error('Failed to trigger purchase automations', { tenantId, contactId, orderId, error: error.message });
+    }
+
+    logger.info('Purchase recorded', { tenantId, contactId, orderId, purchaseId: purchase.rows[0].id });
+    return { success: true, purchaseId: purchase.rows[0].id, automationsStarted };
+  }
+}
+
+module.exports = new ContactService();
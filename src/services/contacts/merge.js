@@ -0,0 +1,294 @@
+/**
+ * Duplicate contacts
+ *
+ * POS syncs, forms and keyword replies each create contacts, so one person can
+ * end up as two rows (typically one with a phone, one with an email). This finds
+ * likely pairs and merges one contact into another.
+ */
+
+const dayjs = require('dayjs');
+const db = require('../../db');
+const compliance = require('../compliance');
+const logger = require('../../utils/logger');
+
+// Same E.164 rules as compliance.normalizePhone, for phones stored before normalization
+const NORMALIZED_PHONE_SQL = `
+  CASE WHEN LENGTH(regexp_replace(phone, '\\D', '', 'g')) = 10
+    THEN '+1' || regexp_replace(phone, '\\D', '', 'g')
+    ELSE '+' || regexp_replace(phone, '\\D', '', 'g')
+  END
+`;
+
+const DUPLICATE_FIELDS = `
+  id, phone, email, first_name, last_name, date_of_birth, primary_location_id,
+  sms_consent, sms_opted_out, email_consent, email_opted_out, age_verified,
+  tags, total_orders, total_spent, last_order_at, created_at
+`;
+
+/**
+ * Groups of contacts that look like the same person, matched on normalized
+ * phone, email, or first + last name with date of birth
+ * Returns [{ matched_on: ['phone', ...], contacts: [...] }]
+ */
+async function findDuplicates(tenantId, { limit = 50 } = {}) {
+  const result = await db.queryWithTenant(tenantId, `
+    WITH keyed AS (
+      SELECT id, 'phone' AS matched_on, ${NORMALIZED_PHONE_SQL} AS match_key
+      FROM contacts WHERE phone IS NOT NULL AND erased_at IS NULL
+      UNION ALL
+      SELECT id, 'email', LOWER(TRIM(email))
+      FROM contacts WHERE email IS NOT NULL AND erased_at IS NULL
+      UNION ALL
+      SELECT id, 'name_dob', LOWER(TRIM(first_name)) || '|' || LOWER(TRIM(last_name)) || '|' || date_of_birth::text
+      FROM contacts
+      WHERE first_name IS NOT NULL AND last_name IS NOT NULL AND date_of_birth IS NOT NULL AND erased_at IS NULL
+    )
+    SELECT matched_on, array_agg(id ORDER BY id) AS contact_ids
+    FROM keyed
+    GROUP BY matched_on, match_key
+    HAVING COUNT(*) > 1
+    LIMIT $1
+  `, [Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]);
+
+  // The same contacts can match on more than one rule - report them once
+  const groups = new Map();
+  for (const row of result.rows) {
+    const key = row.contact_ids.join(',');
+    if (!groups.has(key)) groups.set(key, { matched_on: [], contactIds: row.contact_ids });
+    groups.get(key).matched_on.push(row.matched_on);
+  }
+
+  const ids = [...new Set(result.rows.flatMap(row => row.contact_ids))];
+  const contacts = await db.queryWithTenant(tenantId, `
+    SELECT ${DUPLICATE_FIELDS} FROM contacts WHERE id = ANY($1)
+  `, [ids]);
+  const byId = new Map(contacts.rows.map(contact => [contact.id, contact]));
+
+  return [...groups.values()].map(({ matched_on, contactIds }) => ({
+    matched_on,
+    contacts: contactIds.map(id => byId.get(id)).filter(Boolean)
+  }));
+}
+
+/**
+ * Same address, allowing for unnormalized phones and email case
+ */
+function sameAddress(a, b, channel) {
+  return compliance.normalizeAddress(a, channel) === compliance.normalizeAddress(b, channel);
+}
+
+/**
+ * Earliest/latest non-null date
+ */
+function pickDate(dates, latest) {
+  const valid = dates.filter(Boolean).map(date => dayjs(date));
+  if (valid.length === 0) return null;
+  return valid.reduce((best, date) => ((latest ? date.isAfter(best) : date.isBefore(best)) ? date : best)).toISOString();
+}
+
+/**
+ * Work out the merged contact's columns
+ *
+ * Profile fields come from the surviving contact, filled in from the duplicate.
+ * Consent for a channel only survives if every contact with that address had
+ * it, and an opt-out on either contact wins. Returns { sets } or { error }.
+ */
+function planMerge(survivor, duplicate) {
+  const both = [survivor, duplicate];
+  const sets = {};
+
+  // Contacts with different addresses, or different birthdays, aren't one person we can merge
+  for (const [channel, field] of [['sms', 'phone'], ['email', 'email']]) {
+    if (survivor[field] && duplicate[field] && !sameAddress(survivor[field], duplicate[field], channel)) {
+      return { error: `Contacts have different ${field === 'phone' ? 'phone numbers' : 'emails'}` };
+    }
+  }
+  if (survivor.date_of_birth && duplicate.date_of_birth
+    && dayjs(survivor.date_of_birth).format('YYYY-MM-DD') !== dayjs(duplicate.date_of_birth).format('YYYY-MM-DD')) {
+    return { error: 'Contacts have different dates of birth' };
+  }
+
+  sets.phone = survivor.phone || duplicate.phone ? compliance.normalizePhone(survivor.phone || duplicate.phone) : null;
+  sets.email = survivor.email || duplicate.email;
+
+  for (const field of ['first_name', 'last_name', 'primary_location_id', 'timezone', 'date_of_birth']) {
+    sets[field] = survivor[field] ?? duplicate[field];
+  }
+
+  sets.tags = [...new Set([...(duplicate.tags || []), ...(survivor.tags || [])])];
+  sets.custom_fields = JSON.stringify({ ...(duplicate.custom_fields || {}), ...(survivor.custom_fields || {}) });
+
+  sets.total_orders = (survivor.total_orders || 0) + (duplicate.total_orders || 0);
+  sets.total_spent = (Number(survivor.total_spent) || 0) + (Number(duplicate.total_spent) || 0);
+  sets.last_order_at = pickDate(both.map(contact => contact.last_order_at), true);
+
+  for (const [channel, field] of [['sms', 'phone'], ['email', 'email']]) {
+    const holders = both.filter(contact => contact[field]);
+    const optedOut = both.filter(contact => contact[`${channel}_opted_out`]);
+    const consented = holders.length > 0 && holders.every(contact => contact[`${channel}_consent`]);
+    // Most recent consent is the best evidence
+    const source = consented
+      ? holders.reduce((best, contact) => (dayjs(contact[`${channel}_consent_at`]).isAfter(best[`${channel}_consent_at`]) ? contact : best))
+      : null;
+
+    sets[`${channel}_consent`] = consented;
+    sets[`${channel}_consent_at`] = source ? source[`${channel}_consent_at`] : null;
+    sets[`${channel}_consent_method`] = source ? source[`${channel}_consent_method`] : null;
+    sets[`${channel}_opted_out`] = optedOut.length > 0;
+    sets[`${channel}_opted_out_at`] = pickDate(optedOut.map(contact => contact[`${channel}_opted_out_at`]), true);
+
+    if (channel === 'sms') {
+      sets.sms_consent_ip = source ? source.sms_consent_ip : null;
+      sets.sms_consent_pending_at = consented || optedOut.length > 0
+        ? null
+        : pickDate(both.map(contact => contact.sms_consent_pending_at), true);
+    }
+  }
+
+  // Verification is about the person, so either contact's counts - unless the birthday says otherwise
+  const verified = both.find(contact => contact.age_verified);
+  const underage = sets.date_of_birth && dayjs().diff(dayjs(sets.date_of_birth), 'year') < 21;
+  sets.age_verified = Boolean(verified) && !underage;
+  sets.age_verified_at = sets.age_verified ? verified.age_verified_at : null;
+  sets.age_verification_method = sets.age_verified ? verified.age_verification_method : null;
+
+  return { sets };
+}
+
+/**
+ * Merge the duplicate contact into the survivor and delete it
+ * Messages, opt-out history, consent evidence, purchases, links, conversations
+ * and automation runs move to the survivor.
+ * actor: { userId, apiKeyId, ipAddress, userAgent }
+ */
+async function mergeContacts(tenantId, survivorId, duplicateId, actor = {}) {
+  if (survivorId === duplicateId) {
+    return { success: false, code: 'invalid', error: 'Cannot merge a contact into itself' };
+  }
+
+  let outcome;
+  try {
+    outcome = await mergeWithinTransaction(tenantId, survivorId, duplicateId, actor);
+  } catch (error) {
+    // unique_violation - normalizing the phone collided with a third contact
+    if (error.code !== '23505') throw error;
+    return { success: false, code: 'conflict', error: 'Another contact already has the merged phone or email' };
+  }
+
+  if (outcome.success) {
+    logger.info('Contacts merged', {
+      tenantId, survivorId, duplicateId, moved: outcome.moved,
+      userId: actor.userId || null, apiKeyId: actor.apiKeyId || null
+    });
+  }
+
+  return outcome;
+}
+
+/**
+ * The merge itself, all or nothing
+ */
+function mergeWithinTransaction(tenantId, survivorId, duplicateId, actor) {
+  return db.transactionWithTenant(tenantId, async (client) => {
+    const loaded = await client.query(`
+      SELECT * FROM contacts WHERE id = ANY($1) ORDER BY id FOR UPDATE
+    `, [[survivorId, duplicateId]]);
+
+    const survivor = loaded.rows.find(contact => contact.id === survivorId);
+    const duplicate = loaded.rows.find(contact => contact.id === duplicateId);
+    if (!survivor || !duplicate) {
+      return { success: false, code: 'not_found', error: 'Contact not found' };
+    }
+    if (survivor.erased_at || duplicate.erased_at) {
+      return { success: false, code: 'conflict', error: 'Erased contacts cannot be merged' };
+    }
+
+    const plan = planMerge(survivor, duplicate);
+    if (plan.error) {
+      return { success: false, code: 'conflict', error: plan.error };
+    }
+
+    const moved = {};
+    for (const table of ['messages', 'opt_out_log', 'consent_events', 'purchases', 'short_links']) {
+      const result = await client.query(`UPDATE ${table} SET contact_id = $1 WHERE contact_id = $2`, [survivorId, duplicateId]);
+      moved[table] = result.rowCount;
+    }
+
+    // A trigger that already started a run for the survivor doesn't start a second one
+    await client.query(`
+      DELETE FROM automation_runs d
+      USING automation_runs s
+      WHERE d.contact_id = $2 AND s.contact_id = $1
+        AND s.automation_id = d.automation_id AND s.trigger_key = d.trigger_key
+    `, [survivorId, duplicateId]);
+    const runs = await client.query('UPDATE automation_runs SET contact_id = $1 WHERE contact_id = $2', [survivorId, duplicateId]);
+    moved.automation_runs = runs.rowCount;
+
+    // One thread per location: fold the duplicate's into the survivor's where both exist
+    await client.query(`
+      UPDATE conversations s SET
+        unread_count = s.unread_count + d.unread_count,
+        status = CASE WHEN d.status = 'open' THEN 'open' ELSE s.status END,
+        closed_at = CASE WHEN d.status = 'open' THEN NULL ELSE s.closed_at END,
+        assigned_user_id = COALESCE(s.assigned_user_id, d.assigned_user_id),
+        last_message_at = GREATEST(s.last_message_at, d.last_message_at),
+        last_inbound_at = GREATEST(s.last_inbound_at, d.last_inbound_at)
+      FROM conversations d
+      WHERE s.contact_id = $1 AND d.contact_id = $2 AND s.location_id = d.location_id
+    `, [survivorId, duplicateId]);
+    await client.query(`
+      DELETE FROM conversations d
+      USING conversations s
+      WHERE d.contact_id = $2 AND s.contact_id = $1 AND s.location_id = d.location_id
+    `, [survivorId, duplicateId]);
+    const conversations = await client.query('UPDATE conversations SET contact_id = $1 WHERE contact_id = $2', [survivorId, duplicateId]);
+    moved.conversations = conversations.rowCount;
+
+    // Frees the duplicate's phone/email for the survivor
+    await client.query('DELETE FROM contacts WHERE id = $1', [duplicateId]);
+
+    const columns = Object.keys(plan.sets);
+    const updated = await client.query(`
+      UPDATE contacts SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, [survivorId, ...columns.map(column => plan.sets[column])]);
+    const contact = updated.rows[0];
+
+    // Evidence of how each channel's consent came out of the merge
+    for (const [channel, field] of [['sms', 'phone'], ['email', 'email']]) {
+      if (!contact[field]) continue;
+
+      const stateOf = record => ({
+        id: record.id,
+        address: record[field],
+        consent: record[`${channel}_consent`],
+        consent_at: record[`${channel}_consent_at`],
+        consent_method: record[`${channel}_consent_method`],
+        opted_out: record[`${channel}_opted_out`]
+      });
+
+      await client.query(`
+        INSERT INTO consent_events (tenant_id, contact_id, channel, event, method, ip_address, user_agent, details)
+        VALUES ($1, $2, $3, 'contacts_merged', 'merge', $4, $5, $6)
+      `, [
+        tenantId, survivorId, channel, actor.ipAddress || null, actor.userAgent || null,
+        JSON.stringify({
+          user_id: actor.userId || null,
+          api_key_id: actor.apiKeyId || null,
+          survivor: stateOf(survivor),
+          duplicate: stateOf(duplicate),
+          result: stateOf(contact)
+        })
+      ]);
+    }
+
+    return { success: true, contact, moved };
+  });
+}
+
+module.exports = {
+  findDuplicates,
+  planMerge,
+  mergeContacts
+};
@@ -0,0 +1,148 @@
+jest.mock('../../db', () => ({ query: jest.fn(), queryWithTenant: jest.fn(), transactionWithTenant: jest.fn() }));
+
+const dayjs = require('dayjs');
+const { planMerge } = require('./merge');
+
+const contact = (overrides = {}) => ({
+  id: 'contact',
+  phone: null,
+  email: null,
+  first_name: null,
+  last_name: null,
+  date_of_birth: null,
+  tags: [],
+  custom_fields: {},
+  total_orders: 0,
+  total_spent: '0',
+  sms_consent: false,
+  sms_opted_out: false,
+  email_consent: false,
+  email_opted_out: false,
+  age_verified: false,
+  ...overrides
+});
+
+const smsConsent = (at, method = 'web_form') => ({
+  sms_consent: true, sms_consent_at: new Date(at), sms_consent_method: method, sms_consent_ip: '203.0.113.9'
+});
+
+describe('planMerge', () => {
+  describe('opt-outs', () => {
+    it('keeps an opt-out from either contact', () => {
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...smsConsent('2024-01-01') }),
+        contact({ email: 'a@b.co', email_opted_out: true, email_opted_out_at: new Date('2024-02-01') })
+      );
+      expect(sets.email_opted_out).toBe(true);
+      expect(sets.email_opted_out_at).toBe('2024-02-01T00:00:00.000Z');
+      expect(sets.sms_opted_out).toBe(false);
+    });
+
+    it('keeps an opt-out even when the other contact consented', () => {
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...smsConsent('2024-03-01') }),
+        contact({ phone: '5551234567', sms_opted_out: true, sms_opted_out_at: new Date('2024-02-01') })
+      );
+      expect(sets.sms_opted_out).toBe(true);
+      expect(sets.sms_consent_pending_at).toBeNull();
+    });
+  });
+
+  describe('consent', () => {
+    it('survives when every contact with the address had it, taking the latest evidence', () => {
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...smsConsent('2024-01-01', 'keyword') }),
+        contact({ phone: '+15551234567', ...smsConsent('2024-06-01', 'web_form') })
+      );
+      expect(sets).toMatchObject({
+        sms_consent: true,
+        sms_consent_at: new Date('2024-06-01'),
+        sms_consent_method: 'web_form',
+        sms_consent_ip: '203.0.113.9'
+      });
+    });
+
+    it('is dropped when any contact with the address lacked it', () => {
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...smsConsent('2024-01-01') }),
+        contact({ phone: '+15551234567' })
+      );
+      expect(sets).toMatchObject({ sms_consent: false, sms_consent_at: null, sms_consent_method: null, sms_consent_ip: null });
+    });
+
+    it('only counts contacts that hold the address', () => {
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...smsConsent('2024-01-01') }),
+        contact({ email: 'a@b.co' })
+      );
+      expect(sets.sms_consent).toBe(true);
+      expect(sets.email_consent).toBe(false);
+    });
+
+    it('ignores a consent flag on a contact without the address', () => {
+      const { sets } = planMerge(
+        contact({ email: 'a@b.co' }),
+        contact({ phone: '+15551234567', email_consent: true, email_consent_at: new Date('2024-01-01') })
+      );
+      expect(sets.email_consent).toBe(false);
+    });
+  });
+
+  describe('addresses', () => {
+    it('refuses contacts with different phone numbers', () => {
+      expect(planMerge(contact({ phone: '+15551234567' }), contact({ phone: '+15559999999' })))
+        .toEqual({ error: 'Contacts have different phone numbers' });
+    });
+
+    it('refuses contacts with different emails', () => {
+      expect(planMerge(contact({ email: 'a@b.co' }), contact({ email: 'c@d.co' })))
+        .toEqual({ error: 'Contacts have different emails' });
+    });
+
+    it('refuses contacts with different birthdays', () => {
+      expect(planMerge(contact({ date_of_birth: '1980-01-01' }), contact({ date_of_birth: '1980-01-02' })))
+        .toEqual({ error: 'Contacts have different dates of birth' });
+    });
+
+    it('treats differently formatted copies of one address as the same', () => {
+      const { sets } = planMerge(contact({ phone: '(555) 123-4567', email: 'A@B.co' }), contact({ phone: '+15551234567', email: 'a@b.co' }));
+      expect(sets.phone).toBe('+15551234567');
+    });
+
+    it('fills in an address only the duplicate has', () => {
+      const { sets } = planMerge(contact({ phone: '+15551234567' }), contact({ email: 'a@b.co' }));
+      expect(sets).toMatchObject({ phone: '+15551234567', email: 'a@b.co' });
+    });
+  });
+
+  describe('age verification', () => {
+    const verified = { age_verified: true, age_verified_at: new Date('2024-01-01'), age_verification_method: 'id_scan' };
+
+    it('carries over from either contact', () => {
+      const { sets } = planMerge(contact({ phone: '+15551234567' }), contact({ email: 'a@b.co', ...verified }));
+      expect(sets).toMatchObject({ age_verified: true, age_verification_method: 'id_scan' });
+    });
+
+    it('is cleared when the merged date of birth is under 21', () => {
+      const dob = dayjs().subtract(19, 'year').format('YYYY-MM-DD');
+      const { sets } = planMerge(
+        contact({ phone: '+15551234567', ...verified }),
+        contact({ email: 'a@b.co', date_of_birth: dob })
+      );
+      expect(sets).toMatchObject({
+        date_of_birth: dob, age_verified: false, age_verified_at: null, age_verification_method: null
+      });
+    });
+  });
+
+  it('combines profile data, preferring the survivor', () => {
+    const { sets } = planMerge(
+      contact({ first_name: 'Jane', tags: ['vip'], custom_fields: { strain: 'a' }, total_orders: 2, total_spent: '50.5', last_order_at: new Date('2024-01-01') }),
+      contact({ first_name: 'J', last_name: 'Doe', tags: ['vip', 'pos'], custom_fields: { strain: 'b', size: 'm' }, total_orders: 1, total_spent: '10', last_order_at: new Date('2024-05-01') })
+    );
+    expect(sets).toMatchObject({ first_name: 'Jane', last_name: 'Doe', total_orders: 3, total_spent: 60.5 });
+    expect(sets.tags.sort()).toEqual(['pos', 'vip']);
+    expect(JSON.parse(sets.custom_fields)).toEqual({ strain: 'a', size: 'm' });
+    expect(sets.last_order_at).toBe('2024-05-01T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,197 @@
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+const CONVERSATION_FIELDS = `
+  conv.id, conv.contact_id, conv.location_id, conv.status, conv.assigned_user_id,
+  conv.unread_count, conv.last_message_at, conv.last_inbound_at, conv.last_read_at,
+  conv.closed_at, conv.created_at,
+  c.first_name, c.last_name, c.phone, c.sms_opted_out,
+  l.name AS location_name, l.sms_phone_number AS location_phone
+`;
+
+class ConversationService {
+  /**
+   * Thread an inbound text into its conversation, reopening it if it was closed
+   */
+  async recordInbound(tenantId, { contactId, locationId }) {
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO conversations (
+        tenant_id, contact_id, location_id, unread_count, last_message_at, last_inbound_at
+      ) VALUES ($1, $2, $3, 1, NOW(), NOW())
+      ON CONFLICT (tenant_id, contact_id, location_id) DO UPDATE SET
+        unread_count = conversations.unread_count + 1,
+        last_message_at = NOW(),
+        last_inbound_at = NOW(),
+        status = 'open',
+        closed_at = NULL
+      RETURNING id
+    `, [tenantId, contactId, locationId]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Bump a conversation after a staff reply
+   */
+  async recordReply(tenantId, conversationId) {
+    await db.queryWithTenant(tenantId, `
+      UPDATE conversations SET last_message_at = NOW(), unread_count = 0, last_read_at = NOW()
+      WHERE id = $1
+    `, [conversationId]);
+  }
+
+  /**
+   * List conversations, most recent first
+   * assignedTo is a user id or 'unassigned'
+   */
+  async listConversations(tenantId, { status = 'open', assignedTo = null, unreadOnly = false, limit = 50, before = null } = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`conv.status = $${params.length}`);
+    }
+    if (assignedTo === 'unassigned') {
+      conditions.push('conv.assigned_user_id IS NULL');
+    } else if (assignedTo) {
+      params.push(assignedTo);
+      conditions.push(`conv.assigned_user_id = $${params.length}`);
+    }
+    if (unreadOnly) {
+      conditions.push('conv.unread_count > 0');
+    }
+    if (before) {
+      params.push(before);
+      conditions.push(`conv.last_message_at < $${params.length}`);
+    }
+
+    params.push(Math.min(limit, 200));
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${CONVERSATION_FIELDS}
+      FROM conversations conv
+      JOIN contacts c ON conv.contact_id = c.id
+      JOIN locations l ON conv.location_id = l.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY conv.last_message_at DESC NULLS LAST
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Total unread inbound messages across open conversations
+   */
+  async getUnreadCount(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT COALESCE(SUM(unread_count), 0)::int AS unread,
+             COUNT(*) FILTER (WHERE unread_count > 0)::int AS conversations
+      FROM conversations
+      WHERE status = 'open'
+    `);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Load a conversation
+   */
+  async getConversation(tenantId, conversationId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${CONVERSATION_FIELDS}
+      FROM conversations conv
+      JOIN contacts c ON conv.contact_id = c.id
+      JOIN locations l ON conv.location_id = l.id
+      WHERE conv.id = $1
+    `, [conversationId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A conversation's messages (both directions, campaign texts included), newest first
+   */
+  async getMessages(tenantId, conversation, { limit = 50, before = null } = {}) {
+    const params = [conversation.contact_id, conversation.location_id];
+    let beforeFilter = '';
+
+    if (before) {
+      params.push(before);
+      beforeFilter = `AND created_at < $${params.length}`;
+    }
+    params.push(Math.min(limit, 200));
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, direction, content, status, campaign_id, created_at, sent_at, delivered_at
+      FROM messages
+      WHERE contact_id = $1 AND location_id = $2 AND type = 'sms' ${beforeFilter}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Mark everything in a conversation as read
+   */
+  async markRead(tenantId, conversationId) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE conversations SET unread_count = 0, last_read_at = NOW()
+      WHERE id = $1
+      RETURNING id
+    `, [conversationId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Assign a conversation to a user in the tenant, or unassign with null
+   */
+  async assign(tenantId, conversationId, userId) {
+    if (userId) {
+      const user = await db.queryWithTenant(tenantId, `
+        SELECT id FROM users WHERE id = $1 AND status = 'active'
+      `, [userId]);
+
+      if (user.rows.length === 0) {
+        return { success: false, code: 'invalid', error: 'User not found' };
+      }
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE conversations SET assigned_user_id = $1 WHERE id = $2 RETURNING id
+    `, [userId || null, conversationId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Conversation not found' };
+    }
+
+    logger.info('Conversation assigned', { tenantId, conversationId, userId });
+    return { success: true, assignedUserId: userId || null };
+  }
+
+  /**
+   * Close or reopen a conversation
+   * A new inbound text reopens a closed conversation on its own
+   */
+  async setStatus(tenantId, conversationId, status) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE conversations SET
+        status = $1,
+        closed_at = CASE WHEN $1 = 'closed' THEN NOW() ELSE NULL END
+      WHERE id = $2
+      RETURNING id
+    `, [status, conversationId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Conversation not found' };
+    }
+
+    return { success: true, status };
+  }
+}
+
+module.exports = new ConversationService();
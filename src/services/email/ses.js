@@ -0,0 +1,287 @@
+const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const config = require('../../../config');
+const db = require('../../db');
+const compliance = require('../compliance');
+const templates = require('../templates');
+const logger = require('../../utils/logger');
+
+/**
+ * Build the SES client from config
+ * Falls back to the default AWS credential chain when keys aren't set
+ */
+function createSESClient() {
+  const options = { region: config.aws.region };
+
+  if (config.aws.accessKeyId && config.aws.secretAccessKey) {
+    options.credentials = {
+      accessKeyId: config.aws.accessKeyId,
+      secretAccessKey: config.aws.secretAccessKey
+    };
+  }
+
+  return new SESClient(options);
+}
+
+class SESEmailService {
+  constructor(client = createSESClient()) {
+    this.client = client;
+  }
+
+  /**
+   * Swap the SES client, e.g. for a local stand-in in tests
+   * The stand-in only needs a send(command) method resolving to { MessageId }
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Send an email with full compliance checking
+   */
+  async sendMessage({ tenantId, contactId, locationId = null, subject, html, text, campaignId = null }) {
+    // 1. Run compliance checks
+    const complianceResult = await compliance.checkMessage(tenantId, contactId, 'email');
+
+    if (complianceResult.approved && !complianceResult.contact.email) {
+      complianceResult.approved = false;
+      complianceResult.reasons.push('Contact has no email address');
+    }
+
+    if (!complianceResult.approved) {
+      logger.warn('Email blocked by compliance', {
+        tenantId,
+        contactId,
+        reasons: complianceResult.reasons
+      });
+
+      return {
+        success: false,
+        blocked: true,
+        reasons: complianceResult.reasons
+      };
+    }
+
+    const contact = complianceResult.contact;
+
+    // Fill in merge fields - the rendered text is what's scanned, stored and sent
+    ({ subject, html, text } = await templates.renderForContact(tenantId, contact, locationId, { subject, html, text }));
+
+    // 2. Content compliance scan
+    const contentScan = compliance.scanContent(`${subject}\n${text || html}`, contact.state);
+    if (!contentScan.approved) {
+      logger.warn('Email content flagged', {
+        tenantId,
+        contactId,
+        issues: contentScan.issues
+      });
+      // Log but don't block - let user review
+    }
+
+    const fromAddress = config.aws.ses.fromEmail;
+
+    // 3. Create message record
+    const messageResult = await db.queryWithTenant(tenantId, `
+      INSERT INTO messages (
+        tenant_id, campaign_id, contact_id, location_id,
+        type, direction, to_address, from_address, subject, content,
+        status, provider, consent_verified_at
+      ) VALUES ($1, $2, $3, $4, 'email', 'outbound', $5, $6, $7, $8, 'queued', 'ses', NOW())
+      RETURNING id
+    `, [tenantId, campaignId, contactId, locationId, contact.email, fromAddress, subject, html || text]);
+
+    const messageId = messageResult.rows[0].id;
+
+    // 4. Send via SES
+    try {
+      const body = {};
+      if (html) body.Html = { Data: html, Charset: 'UTF-8' };
+      if (text) body.Text = { Data: text, Charset: 'UTF-8' };
+
+      const response = await this.client.send(new SendEmailCommand({
+        Source: fromAddress,
+        Destination: { ToAddresses: [contact.email] },
+        Message: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: body
+        }
+      }));
+
+      // 5. Update message with SES response
+      await db.queryWithTenant(tenantId, `
+        UPDATE messages SET
+          provider_message_id = $1,
+          status = 'sent',
+          sent_at = NOW()
+        WHERE id = $2
+      `, [response.MessageId, messageId]);
+
+      if (campaignId) {
+        await this.updateCampaignStats(tenantId, campaignId, 'sent');
+      }
+
+      logger.info('Email sent successfully', {
+        tenantId,
+        messageId,
+        sesId: response.MessageId
+      });
+
+      return {
+        success: true,
+        messageId,
+        sesId: response.MessageId
+      };
+
+    } catch (error) {
+      // Update message as failed
+      await db.queryWithTenant(tenantId, `
+        UPDATE messages SET
+          status = 'failed',
+          provider_error = $1
+        WHERE id = $2
+      `, [error.message, messageId]);
+
+      logger.error('Email send failed', {
+        tenantId,
+        messageId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        messageId,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Process an SES feedback notification (bounce, complaint, delivery)
+   * Permanent bounces and complaints opt the recipient out of email
+   */
+  async handleFeedback(notification) {
+    const type = notification.notificationType || notification.eventType;
+    const sesMessageId = notification.mail?.messageId;
+
+    switch (type) {
+      case 'Bounce': {
+        const { bounceType, bouncedRecipients = [] } = notification.bounce || {};
+        const permanent = bounceType === 'Permanent';
+
+        // Transient (soft) bounces are recorded but the message stays as-is
+        const message = await this.updateMessageStatus({
+          sesMessageId,
+          status: permanent ? 'bounced' : null,
+          providerStatus: `bounce_${(bounceType || 'undetermined').toLowerCase()}`,
+          error: bouncedRecipients[0]?.diagnosticCode
+        });
+
+        if (permanent && message) {
+          for (const recipient of bouncedRecipients) {
+            await compliance.processOptOut(message.tenant_id, recipient.emailAddress, 'email', 'bounce', message.id);
+          }
+        }
+        return { type, permanent, messageId: message?.id };
+      }
+
+      case 'Complaint': {
+        const { complainedRecipients = [], complaintFeedbackType } = notification.complaint || {};
+
+        const message = await this.updateMessageStatus({
+          sesMessageId,
+          status: 'complained',
+          providerStatus: 'complaint',
+          error: complaintFeedbackType
+        });
+
+        if (message) {
+          for (const recipient of complainedRecipients) {
+            await compliance.processOptOut(message.tenant_id, recipient.emailAddress, 'email', 'complaint', message.id);
+          }
+        }
+        return { type, messageId: message?.id };
+      }
+
+      case 'Delivery': {
+        const message = await this.updateMessageStatus({
+          sesMessageId,
+          status: 'delivered',
+          providerStatus: 'delivery'
+        });
+        return { type, messageId: message?.id };
+      }
+
+      default:
+        logger.info('Unhandled SES notification type', { type });
+        return { type, ignored: true };
+    }
+  }
+
+  /**
+   * Update message status from an SES notification
+   * A null status only records the provider status/error, and a delivery
+   * arriving after a bounce or complaint doesn't overwrite it
+   */
+  async updateMessageStatus({ sesMessageId, status, providerStatus, error = null }) {
+    if (!sesMessageId) return null;
+
+    const result = await db.query(`
+      WITH previous AS (
+        SELECT id, status,
+          ($1 = 'delivered' AND status IN ('bounced', 'complained')) AS superseded
+        FROM messages
+        WHERE provider = 'ses' AND provider_message_id = $4
+        FOR UPDATE
+      )
+      UPDATE messages m SET
+        status = CASE WHEN p.superseded THEN m.status ELSE COALESCE($1, m.status) END,
+        provider_status = CASE WHEN p.superseded THEN m.provider_status ELSE $2 END,
+        provider_error = COALESCE($3, m.provider_error),
+        status_updated_at = NOW(),
+        delivered_at = CASE WHEN $1 = 'delivered' AND NOT p.superseded THEN NOW() ELSE m.delivered_at END
+      FROM previous p
+      WHERE m.id = p.id
+      RETURNING m.id, m.tenant_id, m.contact_id, m.campaign_id, m.status, p.status AS previous_status
+    `, [status, providerStatus, error, sesMessageId]);
+
+    if (result.rows.length === 0) {
+      logger.warn('SES notification for unknown message', { sesMessageId, providerStatus });
+      return null;
+    }
+
+    // Only count a change once - SNS can redeliver, and a late delivery can be superseded
+    const { tenant_id, campaign_id, status: newStatus, previous_status } = result.rows[0];
+    if (campaign_id && status && newStatus === status && previous_status !== status) {
+      await this.updateCampaignStats(tenant_id, campaign_id, status);
+    }
+
+    logger.info('Email status updated', {
+      messageId: result.rows[0].id,
+      status: status || providerStatus
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update campaign statistics
+   * SES has no "sent" notification, so sent is counted when SES accepts the
+   * email; a permanent bounce counts as failed
+   */
+  async updateCampaignStats(tenantId, campaignId, status) {
+    const fieldMap = {
+      'sent': 'sent_count',
+      'delivered': 'delivered_count',
+      'failed': 'failed_count',
+      'bounced': 'failed_count'
+    };
+
+    const field = fieldMap[status];
+    if (!field) return;
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE campaigns SET ${field} = ${field} + 1 WHERE id = $1
+    `, [campaignId]);
+  }
+}
+
+module.exports = new SESEmailService();
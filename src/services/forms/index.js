@@ -0,0 +1,468 @@
+const dayjs = require('dayjs');
+const db = require('../../db');
+const compliance = require('../compliance');
+const contactService = require('../contacts');
+const logger = require('../../utils/logger');
+
+const MINIMUM_AGE = 21;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORM_FIELDS = `
+  id, name, location_id, tags, headline, description, button_text, success_message,
+  sms_disclosure, email_disclosure, disclosure_version, status, submission_count,
+  created_at, updated_at
+`;
+
+class FormService {
+  /**
+   * Default TCPA disclosure for the SMS checkbox
+   */
+  defaultSmsDisclosure(brand) {
+    return `By checking this box, I agree to receive recurring automated marketing text messages from ${brand} ` +
+      'at the number provided. Consent is not a condition of purchase. Msg frequency varies. ' +
+      'Msg & data rates may apply. Reply HELP for help, STOP to cancel.';
+  }
+
+  /**
+   * Default disclosure for the email checkbox
+   */
+  defaultEmailDisclosure(brand) {
+    return `By checking this box, I agree to receive marketing emails from ${brand}. ` +
+      'I can unsubscribe at any time.';
+  }
+
+  /**
+   * Whether a submitted checkbox/boolean value means "checked"
+   */
+  isChecked(value) {
+    return value === true || value === 'true' || value === 'on' || value === '1' || value === 'yes';
+  }
+
+  /**
+   * Check a form definition before it's saved
+   */
+  async validateForm(tenantId, { name, location_id, tags, status }) {
+    if (name !== undefined && !name) {
+      return { valid: false, error: 'name required' };
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag))) {
+      return { valid: false, error: 'tags must be an array of strings' };
+    }
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      return { valid: false, error: 'status must be active or inactive' };
+    }
+    if (location_id) {
+      const location = await db.queryWithTenant(tenantId, 'SELECT id FROM locations WHERE id = $1', [location_id]);
+      if (location.rows.length === 0) {
+        return { valid: false, error: 'Location not found' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * List a tenant's forms
+   */
+  async listForms(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${FORM_FIELDS} FROM signup_forms ORDER BY created_at DESC
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Load one of a tenant's forms
+   */
+  async getForm(tenantId, formId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${FORM_FIELDS} FROM signup_forms WHERE id = $1
+    `, [formId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a form - disclosures default to the standard language with the tenant's brand
+   */
+  async createForm(tenantId, input) {
+    const validation = await this.validateForm(tenantId, input);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: validation.error };
+    }
+    if (!input.name) {
+      return { success: false, code: 'invalid', error: 'name required' };
+    }
+
+    const tenant = await db.query('SELECT name, company_name FROM tenants WHERE id = $1', [tenantId]);
+    const brand = tenant.rows[0].company_name || tenant.rows[0].name;
+
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO signup_forms (
+        tenant_id, name, location_id, tags, headline, description, button_text, success_message,
+        sms_disclosure, email_disclosure, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'Sign Up'), $8, $9, $10, COALESCE($11, 'active'))
+      RETURNING ${FORM_FIELDS}
+    `, [
+      tenantId, input.name, input.location_id || null, input.tags || [],
+      input.headline || null, input.description || null, input.button_text || null, input.success_message || null,
+      input.sms_disclosure || this.defaultSmsDisclosure(brand),
+      input.email_disclosure || this.defaultEmailDisclosure(brand),
+      input.status || null
+    ]);
+
+    logger.info('Signup form created', { tenantId, formId: result.rows[0].id });
+    return { success: true, form: result.rows[0] };
+  }
+
+  /**
+   * Update a form. Changing either disclosure bumps disclosure_version so
+   * evidence always points at the language the consumer actually saw.
+   */
+  async updateForm(tenantId, formId, input) {
+    const existing = await this.getForm(tenantId, formId);
+    if (!existing) {
+      return { success: false, code: 'not_found', error: 'Form not found' };
+    }
+
+    const validation = await this.validateForm(tenantId, input);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: validation.error };
+    }
+    if (input.sms_disclosure === '' || input.email_disclosure === '') {
+      return { success: false, code: 'invalid', error: 'Disclosures cannot be empty' };
+    }
+
+    const updated = { ...existing };
+    for (const field of [
+      'name', 'location_id', 'tags', 'headline', 'description', 'button_text', 'success_message',
+      'sms_disclosure', 'email_disclosure', 'status'
+    ]) {
+      if (input[field] !== undefined) updated[field] = input[field];
+    }
+
+    const disclosureChanged = updated.sms_disclosure !== existing.sms_disclosure ||
+      updated.email_disclosure !== existing.email_disclosure;
+
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE signup_forms SET
+        name = $1, location_id = $2, tags = $3, headline = $4, description = $5,
+        button_text = $6, success_message = $7, sms_disclosure = $8, email_disclosure = $9,
+        status = $10,
+        disclosure_version = disclosure_version + $11
+      WHERE id = $12
+      RETURNING ${FORM_FIELDS}
+    `, [
+      updated.name, updated.location_id || null, updated.tags, updated.headline, updated.description,
+      updated.button_text, updated.success_message, updated.sms_disclosure, updated.email_disclosure,
+      updated.status, disclosureChanged ? 1 : 0, formId
+    ]);
+
+    return { success: true, form: result.rows[0] };
+  }
+
+  /**
+   * Load an active form with its tenant's branding for the public pages
+   * Cross-tenant lookup - the form id is the only identifier a visitor has
+   */
+  async loadPublicForm(formId) {
+    const result = await db.query(`
+      SELECT f.id, f.tenant_id, f.location_id, f.tags, f.headline, f.description,
+             f.button_text, f.success_message, f.sms_disclosure, f.email_disclosure,
+             f.disclosure_version,
+             t.name AS tenant_name, t.company_name, t.logo_url, t.primary_color
+      FROM signup_forms f
+      JOIN tenants t ON f.tenant_id = t.id
+      WHERE f.id = $1 AND f.status = 'active' AND t.status = 'active'
+    `, [formId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * What an embed needs to render the form itself
+   */
+  publicConfig(form) {
+    return {
+      id: form.id,
+      brand: form.company_name || form.tenant_name,
+      logoUrl: form.logo_url,
+      primaryColor: form.primary_color,
+      headline: form.headline,
+      description: form.description,
+      buttonText: form.button_text,
+      minimumAge: MINIMUM_AGE,
+      smsDisclosure: form.sms_disclosure,
+      emailDisclosure: form.email_disclosure,
+      disclosureVersion: form.disclosure_version
+    };
+  }
+
+  /**
+   * Check a submission: 21+ by date of birth, an address for each consent given,
+   * and the disclosure version the page showed still current
+   */
+  validateSubmission(form, input) {
+    const smsConsent = this.isChecked(input.sms_consent);
+    const emailConsent = this.isChecked(input.email_consent);
+    const phone = input.phone ? compliance.normalizePhone(String(input.phone)) : null;
+    const email = input.email ? String(input.email).trim().toLowerCase() : null;
+    const dateOfBirth = input.date_of_birth ? String(input.date_of_birth).trim() : '';
+
+    if (parseInt(input.disclosure_version, 10) !== form.disclosure_version) {
+      return { valid: false, code: 'conflict', error: 'This form has changed. Please reload the page and try again.' };
+    }
+
+    // Round-tripping the date catches impossible ones like 1990-02-30
+    const birthDate = dayjs(dateOfBirth);
+    if (!DATE_PATTERN.test(dateOfBirth) || birthDate.format('YYYY-MM-DD') !== dateOfBirth || birthDate.isAfter(dayjs())) {
+      return { valid: false, error: 'Please enter your date of birth.' };
+    }
+    if (dayjs().diff(birthDate, 'year') < MINIMUM_AGE) {
+      return { valid: false, code: 'underage', error: `You must be ${MINIMUM_AGE} or older to sign up.` };
+    }
+
+    if (!smsConsent && !emailConsent) {
+      return { valid: false, error: 'Please choose text messages, email or both.' };
+    }
+    if (phone && !/^\+\d{11,15}$/.test(phone)) {
+      return { valid: false, error: 'Please enter a valid mobile number.' };
+    }
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return { valid: false, error: 'Please enter a valid email address.' };
+    }
+    if (smsConsent && !phone) {
+      return { valid: false, error: 'Please enter your mobile number to get texts.' };
+    }
+    if (emailConsent && !email) {
+      return { valid: false, error: 'Please enter your email address to get emails.' };
+    }
+
+    return {
+      valid: true,
+      submission: {
+        phone,
+        email,
+        firstName: input.first_name ? String(input.first_name).trim().slice(0, 100) : null,
+        lastName: input.last_name ? String(input.last_name).trim().slice(0, 100) : null,
+        dateOfBirth,
+        smsConsent,
+        emailConsent
+      }
+    };
+  }
+
+  /**
+   * Handle a submission to a form from loadPublicForm: create or update the
+   * contact, grant the consents that were checked and record the evidence for each
+   */
+  async submit(form, input, { ipAddress = null, userAgent = null, pageUrl = null } = {}) {
+    const validation = this.validateSubmission(form, input);
+    if (!validation.valid) {
+      return { success: false, code: validation.code || 'invalid', error: validation.error };
+    }
+
+    const tenantId = form.tenant_id;
+    const submission = validation.submission;
+
+    const { contact, created, granted } = await this.upsertContact(tenantId, form, submission, ipAddress);
+
+    const contactId = contact ? contact.id : created;
+    const evidence = {
+      contactId,
+      method: 'web_form',
+      locationId: form.location_id,
+      formId: form.id,
+      disclosureVersion: form.disclosure_version,
+      ipAddress,
+      userAgent
+    };
+
+    if (granted.sms) {
+      await compliance.recordConsentEvent(tenantId, {
+        ...evidence, channel: 'sms', event: 'consent_given', content: form.sms_disclosure,
+        details: { phone: submission.phone, page_url: pageUrl }
+      });
+    }
+    if (granted.email) {
+      await compliance.recordConsentEvent(tenantId, {
+        ...evidence, channel: 'email', event: 'consent_given', content: form.email_disclosure,
+        details: { email: submission.email, page_url: pageUrl }
+      });
+    }
+    if (created || granted.sms || granted.email) {
+      await compliance.recordConsentEvent(tenantId, {
+        ...evidence,
+        channel: granted.sms || !granted.email ? 'sms' : 'email',
+        event: 'age_confirmed',
+        content: `Date of birth entered: ${submission.dateOfBirth} (${MINIMUM_AGE}+ required)`,
+        details: { date_of_birth: submission.dateOfBirth, page_url: pageUrl }
+      });
+    }
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE signup_forms SET submission_count = submission_count + 1 WHERE id = $1
+    `, [form.id]);
+
+    if (created) {
+      await contactService.contactCreated(tenantId, contactId);
+    }
+
+    logger.info('Signup form submitted', { tenantId, formId: form.id, contactId, created: Boolean(created), granted });
+
+    return { success: true, contactId, created: Boolean(created), message: form.success_message };
+  }
+
+  /**
+   * Find the submitter by phone, then email, and create or update them.
+   * Returns { contact, created, granted } - contact as it was before the update
+   * (null when created), created the new contact's id, and granted the channels
+   * consent was recorded for.
+   *
+   * Nothing about a submission is authenticated - anyone can type in someone
+   * else's number or address - so an existing contact's opt-outs are never
+   * lifted here (texting START does that), a contact matched only by email
+   * keeps their phone, and one whose email bounced or complained isn't touched.
+   */
+  async upsertContact(tenantId, form, submission, ipAddress) {
+    const existing = await this.findContact(tenantId, submission);
+
+    if (!existing) {
+      // A number on the global STOP list stays opted out until they text START
+      const globalOptOut = submission.phone
+        ? await db.query('SELECT id FROM global_opt_outs WHERE phone = $1', [submission.phone])
+        : { rows: [] };
+      const onGlobalOptOut = globalOptOut.rows.length > 0;
+      const granted = { sms: submission.smsConsent && !onGlobalOptOut, email: submission.emailConsent };
+
+      try {
+        const result = await db.queryWithTenant(tenantId, `
+          INSERT INTO contacts (
+            tenant_id, phone, email, first_name, last_name, primary_location_id, tags,
+            sms_consent, sms_consent_at, sms_consent_method, sms_consent_ip,
+            email_consent, email_consent_at, email_consent_method,
+            sms_opted_out, sms_opted_out_at,
+            age_verified, age_verified_at, age_verification_method, date_of_birth
+          ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7,
+            $8, CASE WHEN $8 THEN NOW() END, CASE WHEN $8 THEN 'web_form' END, CASE WHEN $8 THEN $10 END,
+            $9, CASE WHEN $9 THEN NOW() END, CASE WHEN $9 THEN 'web_form' END,
+            $12, CASE WHEN $12 THEN NOW() END,
+            TRUE, NOW(), 'dob', $11
+          )
+          RETURNING id
+        `, [
+          tenantId, submission.phone, submission.email, submission.firstName, submission.lastName,
+          form.location_id, form.tags || [], granted.sms, granted.email,
+          ipAddress, submission.dateOfBirth, onGlobalOptOut
+        ]);
+
+        return { contact: null, created: result.rows[0].id, granted };
+      } catch (error) {
+        // unique_violation - submitted twice at once; update the row that won
+        if (error.code !== '23505') throw error;
+      }
+    }
+
+    const contact = existing || await this.findContact(tenantId, submission);
+    const nothingGranted = { sms: false, email: false };
+
+    if (contact.matched_by === 'email' && contact.email_opted_out && await this.isEmailSuppressed(tenantId, contact.id)) {
+      logger.info('Signup form matched a bounced or complained address - left untouched', { tenantId, contactId: contact.id });
+      return { contact, created: null, granted: nothingGranted };
+    }
+
+    // Don't take an email that already belongs to a different contact
+    let email = submission.email;
+    if (email && !contact.email) {
+      const taken = await db.queryWithTenant(tenantId, `
+        SELECT id FROM contacts WHERE LOWER(email) = $1 AND id <> $2
+      `, [email, contact.id]);
+      if (taken.rows.length > 0) email = null;
+    }
+
+    // Consent only attaches to an address that is (or becomes) the contact's own
+    const phoneIsTheirs = Boolean(submission.phone) && (!contact.phone || contact.phone === submission.phone);
+    const emailIsTheirs = Boolean(email) && (!contact.email || contact.email.toLowerCase() === email);
+    const granted = {
+      sms: submission.smsConsent && phoneIsTheirs && !contact.sms_opted_out,
+      email: submission.emailConsent && emailIsTheirs && !contact.email_opted_out
+    };
+
+    if (!granted.sms && !granted.email) {
+      return { contact, created: null, granted };
+    }
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE contacts SET
+        first_name = COALESCE(first_name, $2),
+        last_name = COALESCE(last_name, $3),
+        phone = COALESCE(phone, $4),
+        email = COALESCE(email, $5),
+        primary_location_id = COALESCE(primary_location_id, $6),
+        tags = ARRAY(SELECT DISTINCT unnest(tags || $7::text[])),
+        sms_consent = sms_consent OR $8,
+        sms_consent_at = CASE WHEN $8 THEN NOW() ELSE sms_consent_at END,
+        sms_consent_method = CASE WHEN $8 THEN 'web_form' ELSE sms_consent_method END,
+        sms_consent_ip = CASE WHEN $8 THEN $10 ELSE sms_consent_ip END,
+        sms_consent_pending_at = CASE WHEN $8 THEN NULL ELSE sms_consent_pending_at END,
+        email_consent = email_consent OR $9,
+        email_consent_at = CASE WHEN $9 THEN NOW() ELSE email_consent_at END,
+        email_consent_method = CASE WHEN $9 THEN 'web_form' ELSE email_consent_method END,
+        date_of_birth = COALESCE(date_of_birth, $11),
+        age_verified_at = CASE WHEN age_verified THEN age_verified_at ELSE NOW() END,
+        age_verification_method = CASE WHEN age_verified THEN age_verification_method ELSE 'dob' END,
+        age_verified = TRUE,
+        erased_at = NULL -- Signed up again after an erasure
+      WHERE id = $1
+    `, [
+      contact.id, submission.firstName, submission.lastName, phoneIsTheirs ? submission.phone : null, email,
+      form.location_id, form.tags || [], granted.sms, granted.email,
+      ipAddress, submission.dateOfBirth
+    ]);
+
+    return { contact, created: null, granted };
+  }
+
+  /**
+   * Whether a contact's email is suppressed because it bounced or drew a complaint
+   * (their latest email opt-out came from SES rather than the person)
+   */
+  async isEmailSuppressed(tenantId, contactId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT method FROM opt_out_log
+      WHERE contact_id = $1 AND channel = 'email' AND action = 'opt_out'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [contactId]);
+
+    return ['bounce', 'complaint'].includes(result.rows[0]?.method);
+  }
+
+  /**
+   * Existing contact for a submission, matched on phone first
+   */
+  async findContact(tenantId, { phone, email }) {
+    if (phone) {
+      const byPhone = await db.queryWithTenant(tenantId, `
+        SELECT id, phone, email, sms_opted_out, email_opted_out, 'phone' AS matched_by
+        FROM contacts WHERE phone = $1
+      `, [phone]);
+      if (byPhone.rows.length > 0) return byPhone.rows[0];
+    }
+
+    if (email) {
+      const byEmail = await db.queryWithTenant(tenantId, `
+        SELECT id, phone, email, sms_opted_out, email_opted_out, 'email' AS matched_by
+        FROM contacts WHERE LOWER(email) = $1
+      `, [email]);
+      if (byEmail.rows.length > 0) return byEmail.rows[0];
+    }
+
+    return null;
+  }
+}
+
+module.exports = new FormService();
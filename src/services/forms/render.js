@@ -0,0 +1,94 @@
+/**
+ * HTML for hosted signup forms
+ *
+ * Self-contained pages (inline styles, no scripts) so they can be linked to
+ * directly or embedded in a tenant's site with an iframe.
+ */
+
+const { escapeHtml } = require('../templates');
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+function page(form, body) {
+  const brand = escapeHtml(form.company_name || form.tenant_name);
+  const color = COLOR_PATTERN.test(form.primary_color || '') ? form.primary_color : '#4F46E5';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${brand}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 24px; color: #111827; }
+  .form { max-width: 420px; margin: 0 auto; }
+  .logo { max-height: 64px; display: block; margin-bottom: 16px; }
+  h1 { font-size: 22px; margin: 0 0 8px; }
+  p { margin: 0 0 16px; }
+  label { display: block; font-size: 14px; margin-bottom: 12px; }
+  input[type=text], input[type=tel], input[type=email], input[type=date] { display: block; width: 100%; box-sizing: border-box; padding: 10px; margin-top: 4px; border: 1px solid #D1D5DB; border-radius: 6px; font-size: 16px; }
+  .consent { display: flex; gap: 8px; align-items: flex-start; font-size: 12px; color: #4B5563; }
+  .consent input { margin-top: 2px; }
+  .error { background: #FEF2F2; color: #B91C1C; padding: 10px; border-radius: 6px; margin-bottom: 16px; }
+  button { width: 100%; padding: 12px; border: 0; border-radius: 6px; background: ${color}; color: #fff; font-size: 16px; cursor: pointer; }
+</style>
+</head>
+<body>
+<div class="form">
+${form.logo_url ? `<img class="logo" src="${escapeHtml(form.logo_url)}" alt="${brand}">` : ''}
+${body}
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * The signup form, optionally re-filled with a rejected submission and its error
+ * Consent boxes are never pre-checked
+ */
+function renderForm(form, { values = {}, error = null } = {}) {
+  const value = field => escapeHtml(values[field] ? String(values[field]) : '');
+  const checked = field => ['on', 'true', true].includes(values[field]) ? ' checked' : '';
+
+  return page(form, `
+<h1>${escapeHtml(form.headline || `Join ${form.company_name || form.tenant_name}`)}</h1>
+${form.description ? `<p>${escapeHtml(form.description)}</p>` : ''}
+${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+<form method="post">
+  <input type="hidden" name="disclosure_version" value="${form.disclosure_version}">
+  <label>Date of birth (you must be 21 or older)
+    <input type="date" name="date_of_birth" value="${value('date_of_birth')}" required>
+  </label>
+  <label>First name <input type="text" name="first_name" value="${value('first_name')}" autocomplete="given-name"></label>
+  <label>Last name <input type="text" name="last_name" value="${value('last_name')}" autocomplete="family-name"></label>
+  <label>Mobile number <input type="tel" name="phone" value="${value('phone')}" autocomplete="tel"></label>
+  <label>Email <input type="email" name="email" value="${value('email')}" autocomplete="email"></label>
+  <label class="consent"><input type="checkbox" name="sms_consent"${checked('sms_consent')}> <span>${escapeHtml(form.sms_disclosure)}</span></label>
+  <label class="consent"><input type="checkbox" name="email_consent"${checked('email_consent')}> <span>${escapeHtml(form.email_disclosure)}</span></label>
+  <button type="submit">${escapeHtml(form.button_text || 'Sign Up')}</button>
+</form>`);
+}
+
+/**
+ * Shown after a successful submission
+ */
+function renderSuccess(form) {
+  return page(form, `
+<h1>You're signed up!</h1>
+<p>${escapeHtml(form.success_message || `Thanks for joining ${form.company_name || form.tenant_name}.`)}</p>`);
+}
+
+/**
+ * Shown to anyone under 21 - nothing they entered is kept
+ */
+function renderUnderage(form) {
+  return page(form, `
+<h1>Sorry</h1>
+<p>You must be 21 or older to sign up.</p>`);
+}
+
+module.exports = {
+  renderForm,
+  renderSuccess,
+  renderUnderage
+};
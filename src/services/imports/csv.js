@@ -0,0 +1,81 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing
+ *
+ * Handles quoted fields (with embedded commas, quotes and newlines), CRLF or LF
+ * line endings and a leading byte-order mark, which is what spreadsheet exports
+ * produce.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are dropped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Quote a value for CSV output. Values a spreadsheet would run as a formula
+ * get a leading apostrophe (phone numbers like +15551234567 are left alone).
+ */
+function escapeField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,74 @@
+const { parseCsv, toCsv } = require('./csv');
+
+describe('CSV', () => {
+  describe('parseCsv', () => {
+    it('splits rows and fields', () => {
+      expect(parseCsv('phone,email\n5551234567,a@b.co\n')).toEqual([
+        ['phone', 'email'],
+        ['5551234567', 'a@b.co']
+      ]);
+    });
+
+    it('handles quoted commas, quotes and newlines', () => {
+      expect(parseCsv('name,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\n')).toEqual([
+        ['name', 'note'],
+        ['Doe, Jane', 'said "hi"\nthen left']
+      ]);
+    });
+
+    it('accepts CRLF, LF and lone CR line endings', () => {
+      expect(parseCsv('a\r\nb\nc\rd')).toEqual([['a'], ['b'], ['c'], ['d']]);
+    });
+
+    it('drops a byte-order mark and blank lines', () => {
+      expect(parseCsv('﻿phone\n\n5551234567\n\n')).toEqual([['phone'], ['5551234567']]);
+    });
+
+    it('keeps empty fields', () => {
+      expect(parseCsv('a,,c\n,,\n')).toEqual([['a', '', 'c'], ['', '', '']]);
+    });
+
+    it('reads a last row without a trailing newline', () => {
+      expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('only treats a quote at the start of a field as quoting', () => {
+      expect(parseCsv('5" tall,x')).toEqual([['5" tall', 'x']]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('quotes fields with commas, quotes or newlines', () => {
+      expect(toCsv([['a,b', 'say "hi"', 'line\nbreak', 'plain']]))
+        .toBe('"a,b","say ""hi""","line\nbreak",plain\r\n');
+    });
+
+    it('writes null and undefined as empty fields', () => {
+      expect(toCsv([[null, undefined, 0]])).toBe(',,0\r\n');
+    });
+
+    it.each([
+      ['=HYPERLINK("http://x")', '"\'=HYPERLINK(""http://x"")"'],
+      ['@SUM(A1)', "'@SUM(A1)"],
+      ['+cmd|calc', "'+cmd|calc"],
+      ['-2+3', "'-2+3"],
+      ['\tTAB', "'\tTAB"]
+    ])('neutralizes the formula %j', (value, expected) => {
+      expect(toCsv([[value]])).toBe(`${expected}\r\n`);
+    });
+
+    it.each([
+      '+15551234567',
+      '+1 (555) 123-4567',
+      '-42',
+      '-1.5'
+    ])('leaves the number %j alone', (value) => {
+      expect(toCsv([[value]])).toBe(`${value}\r\n`);
+    });
+
+    it('round-trips through parseCsv', () => {
+      const rows = [['phone', 'note'], ['+15551234567', 'multi\nline, "quoted"']];
+      expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+  });
+});
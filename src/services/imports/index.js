@@ -0,0 +1,641 @@
+const dayjs = require('dayjs');
+const config = require('../../../config');
+const db = require('../../db');
+const queue = require('../queue');
+const compliance = require('../compliance');
+const { parseCsv, toCsv } = require('./csv');
+const logger = require('../../utils/logger');
+
+// Rows read, upserted and checkpointed together
+const IMPORT_BATCH_SIZE = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const US_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME_PATTERN = /^[T ]\d{2}:\d{2}/;
+const CUSTOM_FIELD_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Contact fields a column can map to (plus custom_fields.<key>)
+const IMPORT_FIELDS = [
+  'phone', 'email', 'first_name', 'last_name', 'date_of_birth', 'age_verified', 'tags',
+  'sms_consent', 'sms_consent_method', 'sms_consent_at',
+  'email_consent', 'email_consent_method', 'email_consent_at'
+];
+
+// Common spreadsheet headers, for suggesting a mapping
+const HEADER_ALIASES = {
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilephone', 'cell', 'cellphone'],
+  email: ['email', 'emailaddress', 'email_address', 'e-mail'],
+  first_name: ['firstname', 'first'],
+  last_name: ['lastname', 'last', 'surname'],
+  date_of_birth: ['dateofbirth', 'dob', 'birthday', 'birthdate'],
+  tags: ['tags'],
+  sms_consent: ['smsconsent', 'smsoptin', 'textoptin'],
+  sms_consent_at: ['smsconsentat', 'smsconsentdate', 'smsoptindate'],
+  sms_consent_method: ['smsconsentmethod', 'smsoptinmethod'],
+  email_consent: ['emailconsent', 'emailoptin'],
+  email_consent_at: ['emailconsentat', 'emailconsentdate', 'emailoptindate'],
+  email_consent_method: ['emailconsentmethod', 'emailoptinmethod']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'opted in', 'subscribed'];
+const FALSE_VALUES = ['', 'false', 'no', 'n', '0', 'opted out', 'unsubscribed'];
+
+const IMPORT_SUMMARY_FIELDS = `
+  id, filename, headers, column_mapping, defaults, status, total_rows, processed_rows,
+  created_count, updated_count, skipped_count, error_count, error,
+  started_at, completed_at, created_at
+`;
+
+class ImportService {
+  /**
+   * Guess a mapping from the file's headers
+   */
+  suggestMapping(headers) {
+    const mapping = {};
+
+    for (const header of headers) {
+      const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+
+      if (field && !Object.values(mapping).includes(field)) {
+        mapping[header] = field;
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Store an uploaded CSV. Nothing is imported until the mapping is confirmed with startImport.
+   */
+  async createImport(tenantId, { csv, filename = null, userId = null }) {
+    const rows = parseCsv(csv || '');
+
+    if (rows.length < 2) {
+      return { success: false, code: 'invalid', error: 'CSV needs a header row and at least one data row' };
+    }
+    if (rows.length - 1 > config.imports.maxRows) {
+      return { success: false, code: 'invalid', error: `CSV has more than ${config.imports.maxRows} rows` };
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    if (headers.some(header => !header) || new Set(headers).size !== headers.length) {
+      return { success: false, code: 'invalid', error: 'Every column needs a unique, non-empty header' };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO contact_imports (tenant_id, created_by_user_id, filename, headers, csv_data, total_rows)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${IMPORT_SUMMARY_FIELDS}
+    `, [tenantId, userId, filename, headers, csv, rows.length - 1]);
+
+    logger.info('Contact import uploaded', { tenantId, importId: result.rows[0].id, rows: rows.length - 1 });
+
+    return {
+      success: true,
+      import: result.rows[0],
+      suggestedMapping: this.suggestMapping(headers)
+    };
+  }
+
+  /**
+   * Check a column mapping and import defaults against the uploaded headers
+   */
+  async validateMapping(tenantId, headers, mapping, defaults) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { valid: false, error: 'mapping must be an object of { "<CSV header>": "<field>" }' };
+    }
+
+    const fields = Object.values(mapping);
+    for (const [header, field] of Object.entries(mapping)) {
+      if (!headers.includes(header)) {
+        return { valid: false, error: `No column named "${header}" in the file` };
+      }
+
+      if (typeof field !== 'string') {
+        return { valid: false, error: `Field for column "${header}" must be a string` };
+      }
+
+      const customKey = field.startsWith('custom_fields.') ? field.slice('custom_fields.'.length) : null;
+      if (!IMPORT_FIELDS.includes(field) && !(customKey && CUSTOM_FIELD_KEY.test(customKey))) {
+        return { valid: false, error: `Unknown field "${field}" for column "${header}"` };
+      }
+    }
+
+    if (new Set(fields).size !== fields.length) {
+      return { valid: false, error: 'Each field can only be mapped from one column' };
+    }
+    if (!fields.includes('phone') && !fields.includes('email')) {
+      return { valid: false, error: 'Map a column to phone or email' };
+    }
+    if (fields.includes('sms_consent') && !fields.includes('sms_consent_at')) {
+      return { valid: false, error: 'sms_consent needs a sms_consent_at column (when each contact consented)' };
+    }
+    if (fields.includes('email_consent') && !fields.includes('email_consent_at')) {
+      return { valid: false, error: 'email_consent needs an email_consent_at column (when each contact consented)' };
+    }
+
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+      return { valid: false, error: 'defaults must be an object' };
+    }
+
+    const { location_id, tags, sms_consent_method, email_consent_method } = defaults;
+    if ([sms_consent_method, email_consent_method].some(method => method !== undefined && typeof method !== 'string')) {
+      return { valid: false, error: 'defaults consent methods must be strings' };
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag))) {
+      return { valid: false, error: 'defaults.tags must be an array of strings' };
+    }
+    if (location_id) {
+      const location = await db.queryWithTenant(tenantId, 'SELECT id FROM locations WHERE id = $1', [location_id]);
+      if (location.rows.length === 0) {
+        return { valid: false, error: 'Location not found' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Confirm the column mapping and queue the import
+   * defaults: { location_id, tags, sms_consent_method, email_consent_method } applied to every row
+   */
+  async startImport(tenantId, importId, { mapping, defaults = {} }) {
+    const existing = await db.queryWithTenant(tenantId, `
+      SELECT id, headers, status FROM contact_imports WHERE id = $1
+    `, [importId]);
+
+    if (existing.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Import not found' };
+    }
+
+    const contactImport = existing.rows[0];
+    if (contactImport.status !== 'uploaded') {
+      return { success: false, code: 'conflict', error: `Import is already ${contactImport.status}` };
+    }
+
+    const validation = await this.validateMapping(tenantId, contactImport.headers, mapping, defaults);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: validation.error };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE contact_imports SET status = 'queued', column_mapping = $1, defaults = $2
+      WHERE id = $3 AND status = 'uploaded'
+      RETURNING ${IMPORT_SUMMARY_FIELDS}
+    `, [JSON.stringify(mapping), JSON.stringify(defaults), importId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'conflict', error: 'Import was started by another request' };
+    }
+
+    await queue.queueContactImport({ tenantId, importId });
+
+    return { success: true, import: result.rows[0] };
+  }
+
+  /**
+   * List a tenant's imports, newest first
+   */
+  async listImports(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${IMPORT_SUMMARY_FIELDS} FROM contact_imports ORDER BY created_at DESC LIMIT 100
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Load an import's status and counts
+   */
+  async getImport(tenantId, importId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT ${IMPORT_SUMMARY_FIELDS} FROM contact_imports WHERE id = $1
+    `, [importId]);
+
+    const contactImport = result.rows[0];
+    if (!contactImport) return null;
+
+    return {
+      ...contactImport,
+      progress: contactImport.total_rows > 0
+        ? Math.round((contactImport.processed_rows / contactImport.total_rows) * 100)
+        : 0
+    };
+  }
+
+  /**
+   * The per-row report as CSV: row number, outcome, message, then the row as uploaded
+   */
+  async buildErrorReport(tenantId, importId) {
+    const contactImport = await db.queryWithTenant(tenantId, `
+      SELECT headers FROM contact_imports WHERE id = $1
+    `, [importId]);
+
+    if (contactImport.rows.length === 0) return null;
+
+    const errors = await db.queryWithTenant(tenantId, `
+      SELECT row_number, outcome, message, row_data
+      FROM contact_import_errors
+      WHERE import_id = $1
+      ORDER BY row_number
+    `, [importId]);
+
+    return toCsv([
+      ['row', 'outcome', 'message', ...contactImport.rows[0].headers],
+      ...errors.rows.map(error => [error.row_number, error.outcome, error.message, ...(error.row_data || [])])
+    ]);
+  }
+
+  /**
+   * Worker entry point: import rows in batches from the last checkpoint
+   * onProgress(percent) is called after each batch
+   */
+  async processImport(tenantId, importId, { onProgress = () => {} } = {}) {
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE contact_imports SET status = 'processing', started_at = COALESCE(started_at, NOW())
+      WHERE id = $1 AND status IN ('queued', 'processing')
+      RETURNING headers, csv_data, column_mapping, defaults, processed_rows, total_rows
+    `, [importId]);
+
+    if (result.rows.length === 0) {
+      return { skipped: true };
+    }
+
+    const { headers, csv_data, column_mapping, defaults, total_rows } = result.rows[0];
+    let { processed_rows: processed } = result.rows[0];
+    const rows = parseCsv(csv_data).slice(1);
+
+    // A retry redoes the batch that was in flight - drop its report rows first
+    await db.queryWithTenant(tenantId, `
+      DELETE FROM contact_import_errors WHERE import_id = $1 AND row_number > $2
+    `, [importId, processed + 1]);
+
+    while (processed < rows.length) {
+      const batch = rows.slice(processed, processed + IMPORT_BATCH_SIZE);
+      const counts = await this.importBatch(tenantId, importId, {
+        headers, rows: batch, firstIndex: processed, mapping: column_mapping, defaults
+      });
+
+      processed += batch.length;
+
+      await db.queryWithTenant(tenantId, `
+        UPDATE contact_imports SET
+          processed_rows = $1,
+          created_count = created_count + $2,
+          updated_count = updated_count + $3,
+          skipped_count = skipped_count + $4,
+          error_count = error_count + $5
+        WHERE id = $6
+      `, [processed, counts.created, counts.updated, counts.skipped, counts.errors, importId]);
+
+      await onProgress(Math.round((processed / total_rows) * 100));
+    }
+
+    // The file is full of PII - don't keep it once it's been imported
+    const finished = await db.queryWithTenant(tenantId, `
+      UPDATE contact_imports SET status = 'completed', completed_at = NOW(), csv_data = NULL
+      WHERE id = $1
+      RETURNING created_count, updated_count, skipped_count, error_count
+    `, [importId]);
+
+    logger.info('Contact import completed', { tenantId, importId, ...finished.rows[0] });
+    return finished.rows[0];
+  }
+
+  /**
+   * Mark an import failed (out of retries)
+   */
+  async markFailed(tenantId, importId, message) {
+    await db.queryWithTenant(tenantId, `
+      UPDATE contact_imports SET status = 'failed', error = $1, completed_at = NOW() WHERE id = $2
+    `, [message, importId]);
+  }
+
+  /**
+   * Validate and upsert one batch of rows. Returns counts by outcome.
+   */
+  async importBatch(tenantId, importId, { headers, rows, firstIndex, mapping, defaults }) {
+    const counts = { created: 0, updated: 0, skipped: 0, errors: 0 };
+    const report = [];
+
+    // Header is line 1, so data row i is line i + 2
+    const records = rows.map((row, i) => ({
+      rowNumber: firstIndex + i + 2,
+      row,
+      ...this.parseRow(headers, row, mapping, defaults)
+    }));
+
+    const valid = records.filter(record => !record.error);
+    const phones = valid.map(record => record.contact.phone).filter(Boolean);
+    const emails = valid.map(record => record.contact.email).filter(Boolean);
+
+    const [globalOptOuts, existing] = await Promise.all([
+      db.query('SELECT phone FROM global_opt_outs WHERE phone = ANY($1)', [phones]),
+      db.queryWithTenant(tenantId, `
+        SELECT id, phone, LOWER(email) AS email, sms_opted_out, email_opted_out, erased_at
+        FROM contacts
+        WHERE phone = ANY($1) OR LOWER(email) = ANY($2)
+      `, [phones, emails])
+    ]);
+
+    const optedOut = new Set(globalOptOuts.rows.map(row => row.phone));
+    const byPhone = new Map();
+    const byEmail = new Map();
+    for (const contact of existing.rows) {
+      if (contact.phone) byPhone.set(contact.phone, contact);
+      if (contact.email) byEmail.set(contact.email, contact);
+    }
+
+    for (const record of records) {
+      if (record.error) {
+        counts.errors++;
+        report.push([record.rowNumber, 'error', record.error, record.row]);
+        continue;
+      }
+
+      const { contact } = record;
+
+      if (contact.phone && optedOut.has(contact.phone)) {
+        counts.skipped++;
+        report.push([record.rowNumber, 'skipped', 'Phone number is on the global opt-out list', record.row]);
+        continue;
+      }
+
+      const match = (contact.phone && byPhone.get(contact.phone)) || (contact.email && byEmail.get(contact.email));
+
+      // Don't rebuild a profile the person had erased (or keep their row in the report)
+      if (match && match.erased_at) {
+        counts.skipped++;
+        report.push([record.rowNumber, 'skipped', 'Contact had their data erased on request', []]);
+        continue;
+      }
+
+      try {
+        const outcome = match
+          ? await this.updateContact(tenantId, match, contact, byEmail)
+          : await this.insertContact(tenantId, contact);
+
+        counts[match ? 'updated' : 'created']++;
+        for (const warning of outcome.warnings) {
+          report.push([record.rowNumber, 'warning', warning, record.row]);
+        }
+
+        // Later rows in the file for the same person update this contact
+        const saved = { id: outcome.id, ...outcome.state };
+        if (saved.phone) byPhone.set(saved.phone, saved);
+        if (saved.email) byEmail.set(saved.email, saved);
+
+        await this.recordImportedConsent(tenantId, importId, record.rowNumber, outcome.id, contact, outcome.applied);
+      } catch (error) {
+        // unique_violation - the row's phone and email belong to two different contacts
+        if (error.code !== '23505') throw error;
+        counts.errors++;
+        report.push([record.rowNumber, 'error', 'Phone and email already belong to different contacts', record.row]);
+      }
+    }
+
+    if (report.length > 0) {
+      await db.queryWithTenant(tenantId, `
+        INSERT INTO contact_import_errors (tenant_id, import_id, row_number, outcome, message, row_data)
+        SELECT $1, $2, r.row_number, r.outcome, r.message,
+               ARRAY(SELECT jsonb_array_elements_text(r.row_data))
+        FROM jsonb_to_recordset($3::jsonb) AS r(row_number INTEGER, outcome TEXT, message TEXT, row_data JSONB)
+      `, [tenantId, importId, JSON.stringify(report.map(([row_number, outcome, message, row_data]) => ({
+        row_number, outcome, message, row_data
+      })))]);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Turn a CSV row into contact values, or { error }
+   */
+  parseRow(headers, row, mapping, defaults) {
+    const values = {};
+    const customFields = {};
+
+    for (const [header, field] of Object.entries(mapping)) {
+      const value = (row[headers.indexOf(header)] || '').trim();
+
+      if (field.startsWith('custom_fields.')) {
+        if (value) customFields[field.slice('custom_fields.'.length)] = value;
+      } else {
+        values[field] = value;
+      }
+    }
+
+    const contact = {
+      phone: values.phone ? compliance.normalizePhone(values.phone) : null,
+      email: values.email ? values.email.toLowerCase() : null,
+      firstName: values.first_name || null,
+      lastName: values.last_name || null,
+      dateOfBirth: null,
+      ageVerified: false,
+      tags: [...(defaults.tags || []), ...(values.tags ? values.tags.split(/[,;]/).map(tag => tag.trim()).filter(Boolean) : [])],
+      customFields,
+      locationId: defaults.location_id || null
+    };
+
+    if (!contact.phone && !contact.email) {
+      return { error: 'Row has no phone or email' };
+    }
+    if (values.phone && !/^\+\d{11,15}$/.test(contact.phone)) {
+      return { error: `Invalid phone number "${values.phone}"` };
+    }
+    if (contact.email && !EMAIL_PATTERN.test(contact.email)) {
+      return { error: `Invalid email "${values.email}"` };
+    }
+
+    if (values.date_of_birth) {
+      const dob = this.parseDate(values.date_of_birth);
+      if (!dob) return { error: `Invalid date_of_birth "${values.date_of_birth}"` };
+      if (dayjs().diff(dob, 'year') < 21) return { error: 'Contact is under 21' };
+      contact.dateOfBirth = dob.format('YYYY-MM-DD');
+    }
+
+    const ageVerified = this.parseBoolean(values.age_verified);
+    if (ageVerified === null) return { error: `Invalid age_verified "${values.age_verified}"` };
+    contact.ageVerified = ageVerified;
+
+    // Consent only counts with proof of how and when it was given
+    for (const channel of ['sms', 'email']) {
+      const consented = this.parseBoolean(values[`${channel}_consent`]);
+      if (consented === null) {
+        return { error: `Invalid ${channel}_consent "${values[`${channel}_consent`]}"` };
+      }
+      if (!consented) continue;
+
+      const address = channel === 'sms' ? contact.phone : contact.email;
+      const method = values[`${channel}_consent_method`] || defaults[`${channel}_consent_method`];
+      const consentedAt = this.parseDate(values[`${channel}_consent_at`]);
+
+      if (!address) {
+        return { error: `${channel}_consent is set but the row has no ${channel === 'sms' ? 'phone' : 'email'}` };
+      }
+      if (!method) {
+        return { error: `${channel}_consent is set but no ${channel}_consent_method was given` };
+      }
+      if (!consentedAt || consentedAt.isAfter(dayjs())) {
+        return { error: `${channel}_consent is set but ${channel}_consent_at is missing or invalid` };
+      }
+
+      contact[`${channel}Consent`] = { method: method.slice(0, 50), at: consentedAt.toISOString() };
+    }
+
+    return { contact };
+  }
+
+  /**
+   * Parse a yes/no cell. Blank is false; returns null for anything unrecognized.
+   */
+  parseBoolean(value) {
+    const normalized = (value || '').trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * Parse a date cell (ISO date or date-time, or MM/DD/YYYY); null if blank or invalid
+   */
+  parseDate(value) {
+    const text = (value || '').trim();
+    const us = text.match(US_DATE_PATTERN);
+    const iso = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : text;
+    const day = iso.slice(0, 10);
+
+    // Round-tripping the day catches impossible ones like 2020-02-30, which dayjs rolls over
+    if (!DATE_PATTERN.test(day) || dayjs(day).format('YYYY-MM-DD') !== day) return null;
+    if (iso.length > 10 && !TIME_PATTERN.test(iso.slice(10))) return null;
+
+    const date = dayjs(iso);
+    return date.isValid() ? date : null;
+  }
+
+  /**
+   * Insert a new contact from an import row
+   */
+  async insertContact(tenantId, contact) {
+    const { smsConsent, emailConsent } = contact;
+
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO contacts (
+        tenant_id, phone, email, first_name, last_name, primary_location_id, tags, custom_fields,
+        date_of_birth, age_verified, age_verified_at, age_verification_method,
+        sms_consent, sms_consent_at, sms_consent_method,
+        email_consent, email_consent_at, email_consent_method
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8,
+        $9, $10, CASE WHEN $10 THEN NOW() END, CASE WHEN $10 THEN 'import' END,
+        $11, $12, $13,
+        $14, $15, $16
+      )
+      RETURNING id
+    `, [
+      tenantId, contact.phone, contact.email, contact.firstName, contact.lastName, contact.locationId,
+      [...new Set(contact.tags)], JSON.stringify(contact.customFields),
+      contact.dateOfBirth, contact.ageVerified,
+      Boolean(smsConsent), smsConsent?.at || null, smsConsent?.method || null,
+      Boolean(emailConsent), emailConsent?.at || null, emailConsent?.method || null
+    ]);
+
+    return {
+      id: result.rows[0].id,
+      warnings: [],
+      applied: { sms: Boolean(smsConsent), email: Boolean(emailConsent) },
+      state: { phone: contact.phone, email: contact.email, sms_opted_out: false, email_opted_out: false }
+    };
+  }
+
+  /**
+   * Merge an import row into an existing contact. Imports add data and consent
+   * but never revoke it, and never override an opt-out.
+   */
+  async updateContact(tenantId, existing, contact, byEmail) {
+    const warnings = [];
+    const { smsConsent, emailConsent } = contact;
+
+    // Addresses are only filled in, never replaced - and consent is for the row's
+    // address, so it isn't applied when the contact has a different one
+    const emailOwner = contact.email && byEmail.get(contact.email);
+    const phoneConflict = Boolean(contact.phone && existing.phone && existing.phone !== contact.phone);
+    const emailConflict = Boolean(contact.email && (
+      (existing.email && existing.email !== contact.email) || (emailOwner && emailOwner.id !== existing.id)
+    ));
+    if (phoneConflict) warnings.push('Contact already has a different phone number - phone not updated');
+    if (emailConflict) warnings.push('Contact already has a different email, or the email belongs to another contact - email not updated');
+
+    let applySms = Boolean(smsConsent) && !phoneConflict;
+    let applyEmail = Boolean(emailConsent) && !emailConflict;
+    if (applySms && existing.sms_opted_out) {
+      applySms = false;
+      warnings.push('Contact has opted out of SMS - consent not applied');
+    }
+    if (applyEmail && existing.email_opted_out) {
+      applyEmail = false;
+      warnings.push('Contact has opted out of email - consent not applied');
+    }
+
+    const phone = existing.phone || contact.phone;
+    const email = existing.email || (emailConflict ? null : contact.email);
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE contacts SET
+        phone = COALESCE(phone, $2),
+        email = COALESCE(email, $3),
+        first_name = COALESCE($4, first_name),
+        last_name = COALESCE($5, last_name),
+        primary_location_id = COALESCE(primary_location_id, $6),
+        tags = ARRAY(SELECT DISTINCT unnest(tags || $7::text[])),
+        custom_fields = custom_fields || $8::jsonb,
+        date_of_birth = COALESCE(date_of_birth, $9),
+        age_verified_at = CASE WHEN NOT age_verified AND $10 THEN NOW() ELSE age_verified_at END,
+        age_verification_method = CASE WHEN NOT age_verified AND $10 THEN 'import' ELSE age_verification_method END,
+        age_verified = age_verified OR $10,
+        sms_consent = sms_consent OR $11,
+        sms_consent_at = CASE WHEN $11 THEN $12 ELSE sms_consent_at END,
+        sms_consent_method = CASE WHEN $11 THEN $13 ELSE sms_consent_method END,
+        email_consent = email_consent OR $14,
+        email_consent_at = CASE WHEN $14 THEN $15 ELSE email_consent_at END,
+        email_consent_method = CASE WHEN $14 THEN $16 ELSE email_consent_method END
+      WHERE id = $1
+    `, [
+      existing.id, phone, email, contact.firstName, contact.lastName,
+      contact.locationId, contact.tags, JSON.stringify(contact.customFields),
+      contact.dateOfBirth, contact.ageVerified,
+      applySms, smsConsent?.at || null, smsConsent?.method || null,
+      applyEmail, emailConsent?.at || null, emailConsent?.method || null
+    ]);
+
+    return {
+      id: existing.id,
+      warnings,
+      applied: { sms: applySms, email: applyEmail },
+      state: { phone, email, sms_opted_out: existing.sms_opted_out, email_opted_out: existing.email_opted_out }
+    };
+  }
+
+  /**
+   * Evidence for consent that came in through an import
+   */
+  async recordImportedConsent(tenantId, importId, rowNumber, contactId, contact, applied) {
+    for (const channel of ['sms', 'email']) {
+      const consent = contact[`${channel}Consent`];
+      if (!consent || !applied[channel]) continue;
+
+      await compliance.recordConsentEvent(tenantId, {
+        contactId,
+        channel,
+        event: 'consent_imported',
+        method: consent.method,
+        locationId: contact.locationId,
+        details: { import_id: importId, row: rowNumber, consented_at: consent.at }
+      });
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,217 @@
+jest.mock('../../db', () => ({ query: jest.fn(), queryWithTenant: jest.fn() }));
+jest.mock('../queue', () => ({}));
+
+const dayjs = require('dayjs');
+const db = require('../../db');
+const importService = require('./index');
+
+const HEADERS = [
+  'Phone', 'Email', 'DOB', 'Age Verified',
+  'SMS Opt In', 'SMS Opt In Date', 'SMS Method',
+  'Email Opt In', 'Email Opt In Date'
+];
+const MAPPING = {
+  Phone: 'phone',
+  Email: 'email',
+  DOB: 'date_of_birth',
+  'Age Verified': 'age_verified',
+  'SMS Opt In': 'sms_consent',
+  'SMS Opt In Date': 'sms_consent_at',
+  'SMS Method': 'sms_consent_method',
+  'Email Opt In': 'email_consent',
+  'Email Opt In Date': 'email_consent_at'
+};
+
+function parse(values, defaults = {}) {
+  const row = HEADERS.map(header => values[header] || '');
+  return importService.parseRow(HEADERS, row, MAPPING, defaults);
+}
+
+describe('ImportService', () => {
+  describe('parseDate', () => {
+    it.each([
+      ['2020-02-29', '2020-02-29'],
+      ['02/29/2020', '2020-02-29'],
+      ['3/5/1990', '1990-03-05'],
+      [' 1990-03-05 ', '1990-03-05']
+    ])('parses %j', (value, expected) => {
+      expect(importService.parseDate(value).format('YYYY-MM-DD')).toBe(expected);
+    });
+
+    it('parses date-times', () => {
+      expect(importService.parseDate('2024-01-05T13:45:00Z').toISOString()).toBe('2024-01-05T13:45:00.000Z');
+      expect(importService.parseDate('2024-01-05 13:45').isValid()).toBe(true);
+    });
+
+    it.each([
+      '2020-02-30',
+      '2021-02-29',
+      '02/30/2020',
+      '13/01/2020',
+      '2020-13-01',
+      'March 5 1990',
+      '2020-01-01garbage',
+      '',
+      null
+    ])('rejects %j', (value) => {
+      expect(importService.parseDate(value)).toBeNull();
+    });
+  });
+
+  describe('parseRow', () => {
+    it('needs a phone or an email', () => {
+      expect(parse({})).toEqual({ error: 'Row has no phone or email' });
+    });
+
+    it('normalizes addresses', () => {
+      const { contact } = parse({ Phone: '(555) 123-4567', Email: 'Jane@Example.COM' });
+      expect(contact).toMatchObject({ phone: '+15551234567', email: 'jane@example.com' });
+    });
+
+    it('rejects a bad phone or email', () => {
+      expect(parse({ Phone: '12' }).error).toBe('Invalid phone number "12"');
+      expect(parse({ Email: 'nope' }).error).toBe('Invalid email "nope"');
+    });
+
+    describe('age', () => {
+      it('keeps a 21+ date of birth', () => {
+        expect(parse({ Email: 'a@b.co', DOB: '01/15/1980' }).contact.dateOfBirth).toBe('1980-01-15');
+      });
+
+      it('refuses anyone under 21', () => {
+        const dob = dayjs().subtract(20, 'year').format('YYYY-MM-DD');
+        expect(parse({ Email: 'a@b.co', DOB: dob })).toEqual({ error: 'Contact is under 21' });
+      });
+
+      it('refuses an impossible date of birth instead of rolling it over', () => {
+        expect(parse({ Email: 'a@b.co', DOB: '1980-02-30' })).toEqual({ error: 'Invalid date_of_birth "1980-02-30"' });
+      });
+
+      it('reads age_verified as a yes/no cell', () => {
+        expect(parse({ Email: 'a@b.co', 'Age Verified': 'Yes' }).contact.ageVerified).toBe(true);
+        expect(parse({ Email: 'a@b.co' }).contact.ageVerified).toBe(false);
+        expect(parse({ Email: 'a@b.co', 'Age Verified': 'maybe' }).error).toBe('Invalid age_verified "maybe"');
+      });
+    });
+
+    describe('consent', () => {
+      it('needs a method and a date to count', () => {
+        expect(parse({ Phone: '5551234567', 'SMS Opt In': 'y', 'SMS Opt In Date': '2024-01-05' }).error)
+          .toBe('sms_consent is set but no sms_consent_method was given');
+        expect(parse({ Phone: '5551234567', 'SMS Opt In': 'y', 'SMS Method': 'paper' }).error)
+          .toBe('sms_consent is set but sms_consent_at is missing or invalid');
+      });
+
+      it('records how and when consent was given', () => {
+        const { contact } = parse({
+          Phone: '5551234567', 'SMS Opt In': 'opted in', 'SMS Opt In Date': '2024-01-05', 'SMS Method': 'paper'
+        });
+        expect(contact.smsConsent).toEqual({ method: 'paper', at: dayjs('2024-01-05').toISOString() });
+      });
+
+      it('falls back to the import default method', () => {
+        const { contact } = parse(
+          { Email: 'a@b.co', 'Email Opt In': '1', 'Email Opt In Date': '2024-01-05' },
+          { email_consent_method: 'pos_signup' }
+        );
+        expect(contact.emailConsent.method).toBe('pos_signup');
+      });
+
+      it('refuses consent dated in the future or on an impossible day', () => {
+        const tomorrow = dayjs().add(1, 'day').format('YYYY-MM-DD');
+        const row = { Phone: '5551234567', 'SMS Opt In': 'yes', 'SMS Method': 'paper' };
+        expect(parse({ ...row, 'SMS Opt In Date': tomorrow }).error).toMatch(/sms_consent_at is missing or invalid/);
+        expect(parse({ ...row, 'SMS Opt In Date': '2023-02-29' }).error).toMatch(/sms_consent_at is missing or invalid/);
+      });
+
+      it('needs the address the consent is for', () => {
+        expect(parse({ Phone: '5551234567', 'Email Opt In': 'yes' }).error)
+          .toBe('email_consent is set but the row has no email');
+      });
+
+      it('rejects an unrecognized consent value', () => {
+        expect(parse({ Phone: '5551234567', 'SMS Opt In': 'sure' }).error).toBe('Invalid sms_consent "sure"');
+      });
+    });
+  });
+
+  describe('updateContact', () => {
+    const consent = { method: 'paper', at: '2024-01-05T00:00:00.000Z' };
+    const imported = (overrides = {}) => ({
+      phone: '+15551234567',
+      email: 'a@b.co',
+      firstName: null,
+      lastName: null,
+      dateOfBirth: null,
+      ageVerified: false,
+      tags: [],
+      customFields: {},
+      locationId: null,
+      smsConsent: consent,
+      emailConsent: consent,
+      ...overrides
+    });
+    const existing = (overrides = {}) => ({
+      id: 'contact-1',
+      phone: '+15551234567',
+      email: 'a@b.co',
+      sms_opted_out: false,
+      email_opted_out: false,
+      ...overrides
+    });
+
+    // UPDATE parameters: $11 = apply SMS consent, $14 = apply email consent
+    const appliedParams = () => {
+      const params = db.queryWithTenant.mock.calls[0][2];
+      return { sms: params[10], email: params[13], phone: params[1], email_address: params[2], ageVerified: params[9] };
+    };
+
+    beforeEach(() => {
+      db.queryWithTenant.mockReset().mockResolvedValue({ rows: [] });
+    });
+
+    it('applies consent to a matching contact', async () => {
+      const result = await importService.updateContact('tenant', existing(), imported(), new Map());
+      expect(result.applied).toEqual({ sms: true, email: true });
+      expect(result.warnings).toEqual([]);
+      expect(appliedParams()).toMatchObject({ sms: true, email: true });
+    });
+
+    it('never overrides an opt-out', async () => {
+      const result = await importService.updateContact(
+        'tenant', existing({ sms_opted_out: true, email_opted_out: true }), imported(), new Map()
+      );
+      expect(result.applied).toEqual({ sms: false, email: false });
+      expect(result.warnings).toEqual([
+        'Contact has opted out of SMS - consent not applied',
+        'Contact has opted out of email - consent not applied'
+      ]);
+      expect(appliedParams()).toMatchObject({ sms: false, email: false });
+      expect(db.queryWithTenant.mock.calls[0][1]).not.toMatch(/opted_out\s*=/);
+    });
+
+    it('keeps an existing phone and withholds consent for a different one', async () => {
+      const result = await importService.updateContact(
+        'tenant', existing({ phone: '+15559999999' }), imported(), new Map()
+      );
+      expect(result.applied.sms).toBe(false);
+      expect(result.warnings).toContain('Contact already has a different phone number - phone not updated');
+      expect(appliedParams().phone).toBe('+15559999999');
+    });
+
+    it('does not take an email that belongs to another contact', async () => {
+      const byEmail = new Map([['a@b.co', { id: 'contact-2' }]]);
+      const result = await importService.updateContact(
+        'tenant', existing({ email: null }), imported(), byEmail
+      );
+      expect(result.applied.email).toBe(false);
+      expect(appliedParams().email_address).toBeNull();
+    });
+
+    it('only ever adds age verification', async () => {
+      await importService.updateContact('tenant', existing(), imported({ ageVerified: false }), new Map());
+      expect(appliedParams().ageVerified).toBe(false);
+      expect(db.queryWithTenant.mock.calls[0][1]).toMatch(/age_verified = age_verified OR \$10/);
+    });
+  });
+});
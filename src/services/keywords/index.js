@@ -0,0 +1,260 @@
+const config = require('../../../config');
+const db = require('../../db');
+const templates = require('../templates');
+const logger = require('../../utils/logger');
+
+const KEYWORD_TYPES = ['reply', 'join'];
+const ACTION_TYPES = ['add_tag', 'enroll_automation'];
+const KEYWORD_PATTERN = /^[A-Z0-9]{1,50}$/;
+
+class KeywordService {
+  /**
+   * Normalize an inbound message or keyword for matching
+   */
+  normalize(text) {
+    return (text || '').trim().toUpperCase();
+  }
+
+  /**
+   * Whether a message is a HELP/INFO request
+   */
+  isHelpMessage(text) {
+    return config.compliance.helpKeywords.includes(this.normalize(text));
+  }
+
+  /**
+   * Find the keyword an inbound message matches - the location's own definition
+   * wins over a tenant-wide one. HELP/INFO fall back to a built-in reply.
+   * Returns the keyword row (builtIn: true for the default HELP) or null
+   */
+  async findKeyword(tenantId, locationId, text) {
+    const keyword = this.normalize(text);
+    if (!keyword) return null;
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, location_id, keyword, type, reply, actions
+      FROM keywords
+      WHERE keyword = $1 AND status = 'active'
+        AND (location_id = $2 OR location_id IS NULL)
+      ORDER BY location_id NULLS LAST
+      LIMIT 1
+    `, [keyword, locationId]);
+
+    if (result.rows.length > 0) {
+      return result.rows[0];
+    }
+
+    if (this.isHelpMessage(keyword)) {
+      return { id: null, keyword, type: 'reply', reply: null, actions: [], builtIn: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the reply for a matched keyword. Merge fields are filled for the contact,
+   * and replies are branded with the tenant's name so carriers see who's texting.
+   */
+  async buildReply(tenantId, keyword, contact, locationId) {
+    const context = await templates.loadContext(tenantId, contact, locationId);
+    const brand = context.tenant.company_name || context.tenant.name;
+
+    if (keyword.builtIn) {
+      return this.buildHelpReply(brand, context.tenant);
+    }
+
+    const reply = templates.renderTemplate(keyword.reply, context);
+    return reply.toLowerCase().includes((brand || '').toLowerCase()) ? reply : `${brand}: ${reply}`;
+  }
+
+  /**
+   * Built-in HELP reply: brand, support contact, opt-out instructions
+   */
+  buildHelpReply(brand, tenant) {
+    const support = [tenant.support_phone, tenant.support_email].filter(Boolean).join(' or ');
+
+    return `${brand}: ${support ? `For help, contact ${support}. ` : ''}` +
+      'Msg & data rates may apply. Reply STOP to unsubscribe.';
+  }
+
+  /**
+   * Run a matched keyword's actions for the contact and count the match
+   */
+  async runActions(tenantId, keyword, contactId) {
+    if (keyword.id) {
+      await db.queryWithTenant(tenantId, `
+        UPDATE keywords SET match_count = match_count + 1 WHERE id = $1
+      `, [keyword.id]);
+    }
+
+    for (const action of keyword.actions || []) {
+      try {
+        if (action.type === 'add_tag') {
+          await db.queryWithTenant(tenantId, `
+            UPDATE contacts SET tags = array_append(tags, $1)
+            WHERE id = $2 AND NOT ($1 = ANY(tags))
+          `, [action.tag, contactId]);
+        } else if (action.type === 'enroll_automation') {
+          // Lazy require - the automation engine pulls in the queues, which pull in SMS
+          const automationEngine = require('../automations');
+          const automation = await db.queryWithTenant(tenantId, `
+            SELECT id FROM automations WHERE id = $1 AND status = 'active'
+          `, [action.automation_id]);
+
+          if (automation.rows.length > 0) {
+            // Texting the same keyword again doesn't re-enroll
+            await automationEngine.startRun(tenantId, action.automation_id, contactId, `keyword:${keyword.keyword}`, {
+              keyword: keyword.keyword
+            });
+          }
+        }
+      } catch (error) {
+        logger.error('Keyword action failed', { tenantId, keyword: keyword.keyword, action: action.type, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check a keyword definition before it's saved
+   * Returns { valid: true } or { valid: false, error }
+   */
+  validateKeyword({ keyword, type = 'reply', reply, actions = [], status = 'active' }) {
+    const normalized = this.normalize(keyword);
+    const { optOutKeywords, optInKeywords, joinConfirmKeywords } = config.compliance;
+
+    if (!KEYWORD_PATTERN.test(normalized)) {
+      return { valid: false, error: 'keyword must be 1-50 letters or digits' };
+    }
+    if ([...optOutKeywords, ...optInKeywords, ...joinConfirmKeywords].includes(normalized)) {
+      return { valid: false, error: `${normalized} is reserved for opt-out/opt-in handling` };
+    }
+    if (!KEYWORD_TYPES.includes(type)) {
+      return { valid: false, error: `type must be one of: ${KEYWORD_TYPES.join(', ')}` };
+    }
+    if (!['active', 'inactive'].includes(status)) {
+      return { valid: false, error: 'status must be active or inactive' };
+    }
+    // Join keywords fall back to a built-in welcome
+    if (!reply && type === 'reply') {
+      return { valid: false, error: 'reply required' };
+    }
+
+    const template = templates.validateTemplate(reply);
+    if (!template.valid) {
+      return { valid: false, error: template.error };
+    }
+    if (!Array.isArray(actions)) {
+      return { valid: false, error: 'actions must be an array' };
+    }
+
+    for (const [index, action] of actions.entries()) {
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        return { valid: false, error: `actions[${index}]: type must be one of: ${ACTION_TYPES.join(', ')}` };
+      }
+      if (action.type === 'add_tag' && !action.tag) {
+        return { valid: false, error: `actions[${index}]: tag required` };
+      }
+      if (action.type === 'enroll_automation' && !action.automation_id) {
+        return { valid: false, error: `actions[${index}]: automation_id required` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * List a tenant's keywords
+   */
+  async listKeywords(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, location_id, keyword, type, reply, actions, status, match_count, created_at, updated_at
+      FROM keywords
+      ORDER BY keyword, location_id NULLS FIRST
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Create a keyword
+   */
+  async createKeyword(tenantId, { keyword, type = 'reply', reply = null, actions = [], locationId = null, status = 'active' }) {
+    const validation = this.validateKeyword({ keyword, type, reply, actions, status });
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: validation.error };
+    }
+
+    if (locationId) {
+      const location = await db.queryWithTenant(tenantId, 'SELECT id FROM locations WHERE id = $1', [locationId]);
+      if (location.rows.length === 0) {
+        return { success: false, code: 'invalid', error: 'Location not found' };
+      }
+    }
+
+    try {
+      const result = await db.queryWithTenant(tenantId, `
+        INSERT INTO keywords (tenant_id, location_id, keyword, type, reply, actions, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, location_id, keyword, type, reply, actions, status, match_count, created_at
+      `, [tenantId, locationId, this.normalize(keyword), type, reply, JSON.stringify(actions), status]);
+
+      return { success: true, keyword: result.rows[0] };
+    } catch (error) {
+      // unique_violation on (tenant, location, keyword)
+      if (error.code === '23505') {
+        return { success: false, code: 'conflict', error: `${this.normalize(keyword)} is already defined here` };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a keyword's reply, actions or status
+   */
+  async updateKeyword(tenantId, keywordId, { reply, actions, status }) {
+    const existing = await db.queryWithTenant(tenantId, `
+      SELECT keyword, type, reply, actions, status FROM keywords WHERE id = $1
+    `, [keywordId]);
+
+    if (existing.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Keyword not found' };
+    }
+
+    const updated = {
+      ...existing.rows[0],
+      ...(reply !== undefined && { reply }),
+      ...(actions !== undefined && { actions }),
+      ...(status !== undefined && { status })
+    };
+
+    const validation = this.validateKeyword(updated);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: validation.error };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      UPDATE keywords SET reply = $1, actions = $2, status = $3
+      WHERE id = $4
+      RETURNING id, location_id, keyword, type, reply, actions, status, match_count, created_at, updated_at
+    `, [updated.reply, JSON.stringify(updated.actions), updated.status, keywordId]);
+
+    return { success: true, keyword: result.rows[0] };
+  }
+
+  /**
+   * Delete a keyword
+   */
+  async deleteKeyword(tenantId, keywordId) {
+    const result = await db.queryWithTenant(tenantId, `
+      DELETE FROM keywords WHERE id = $1 RETURNING id
+    `, [keywordId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Keyword not found' };
+    }
+
+    return { success: true };
+  }
+}
+
+module.exports = new KeywordService();
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const config = require('../../../config');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+const CODE_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const CODE_LENGTH = 8;
+
+class LinkService {
+  /**
+   * Replace each URL in an outbound message with a tracked short link
+   * Links are tied to the message, campaign and contact so clicks can be attributed
+   * Returns { content, links }
+   */
+  async shortenLinks(tenantId, content, { messageId, campaignId = null, contactId = null }) {
+    const matches = this.findUrls(content);
+    if (matches.length === 0) return { content, links: [] };
+
+    const baseUrl = await this.getBaseUrl(tenantId);
+    const links = [];
+    const shortUrls = new Map();
+    let rewritten = '';
+    let cursor = 0;
+
+    // Rebuild the content from the match positions so a URL that is a prefix
+    // of another (example.com vs example.com/page) only replaces itself
+    for (const { url, index } of matches) {
+      // Don't wrap our own short links again
+      if (url.startsWith(`${baseUrl}/l/`)) continue;
+
+      if (!shortUrls.has(url)) {
+        const link = await this.createLink(tenantId, { url, messageId, campaignId, contactId });
+        const shortUrl = `${baseUrl}/l/${link.code}`;
+        shortUrls.set(url, shortUrl);
+        links.push({ ...link, shortUrl });
+      }
+
+      rewritten += content.slice(cursor, index) + shortUrls.get(url);
+      cursor = index + url.length;
+    }
+
+    return { content: rewritten + content.slice(cursor), links };
+  }
+
+  /**
+   * Find URLs in text with their offsets, leaving off trailing punctuation that ends a sentence
+   * Returns [{ url, index }] in the order they appear
+   */
+  findUrls(text) {
+    return [...text.matchAll(URL_PATTERN)].map(match => ({
+      url: match[0].replace(/[.,!?;:)\]'"]+$/, ''),
+      index: match.index
+    }));
+  }
+
+  /**
+   * Store a short link, retrying on the (unlikely) code collision
+   */
+  async createLink(tenantId, { url, messageId, campaignId, contactId }) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const result = await db.queryWithTenant(tenantId, `
+          INSERT INTO short_links (tenant_id, code, original_url, message_id, campaign_id, contact_id)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id, code, original_url
+        `, [tenantId, this.generateCode(), url, messageId, campaignId, contactId]);
+
+        return result.rows[0];
+      } catch (error) {
+        // unique_violation on code
+        if (error.code !== '23505') throw error;
+      }
+    }
+
+    throw new Error('Could not generate a unique short link code');
+  }
+
+  /**
+   * Short link host: the tenant's white-label domain, else the configured default
+   */
+  async getBaseUrl(tenantId) {
+    const result = await db.query('SELECT domain FROM tenants WHERE id = $1', [tenantId]);
+    const domain = result.rows[0]?.domain;
+
+    if (domain) {
+      return /^https?:\/\//.test(domain) ? domain.replace(/\/$/, '') : `https://${domain}`;
+    }
+    return (config.links.baseUrl || config.apiBaseUrl).replace(/\/$/, '');
+  }
+
+  /**
+   * Record a click on a short link and return the URL to forward to
+   * The first click on a message marks it clicked and counts toward the campaign
+   */
+  async recordClick(code, { ip = null, userAgent = null } = {}) {
+    // Cross-tenant lookup - the code is all we have, like inbound SMS routing
+    const result = await db.query(`
+      UPDATE short_links SET
+        click_count = click_count + 1,
+        first_clicked_at = COALESCE(first_clicked_at, NOW()),
+        last_clicked_at = NOW()
+      WHERE code = $1
+      RETURNING id, tenant_id, original_url, message_id, campaign_id, contact_id
+    `, [code]);
+
+    if (result.rows.length === 0) return null;
+
+    const link = result.rows[0];
+
+    await db.queryWithTenant(link.tenant_id, `
+      INSERT INTO link_clicks (tenant_id, short_link_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4)
+    `, [link.tenant_id, link.id, ip, userAgent]);
+
+    if (link.message_id) {
+      const message = await db.queryWithTenant(link.tenant_id, `
+        UPDATE messages SET
+          clicked_at = NOW(),
+          status = CASE WHEN status IN ('sent', 'delivered', 'opened') THEN 'clicked' ELSE status END,
+          status_updated_at = NOW()
+        WHERE id = $1 AND clicked_at IS NULL
+        RETURNING campaign_id
+      `, [link.message_id]);
+
+      const campaignId = message.rows[0]?.campaign_id;
+      if (campaignId) {
+        await db.queryWithTenant(link.tenant_id, `
+          UPDATE campaigns SET clicked_count = clicked_count + 1 WHERE id = $1
+        `, [campaignId]);
+      }
+    }
+
+    logger.info('Short link clicked', {
+      tenantId: link.tenant_id,
+      linkId: link.id,
+      messageId: link.message_id,
+      contactId: link.contact_id
+    });
+
+    return link;
+  }
+
+  /**
+   * Random base62 code
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+}
+
+module.exports = new LinkService();
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const db = require('../../db');
+const compliance = require('../compliance');
+const { toCsv } = require('../imports/csv');
+const logger = require('../../utils/logger');
+
+const ERASED = '[erased]';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Data-subject requests (CCPA "what do you have on me" / "delete me")
+ *
+ * A request names one phone number or email. It covers every contact with that
+ * address, plus everything addressed to or from any of those contacts'
+ * addresses. Erasure keeps each contact's row as a suppression record - the
+ * addresses and opt-outs, nothing else - so the person can't be re-imported or
+ * messaged again.
+ */
+class PrivacyService {
+  /**
+   * Validate and normalize the request's address
+   * Returns { channel, address } or { error }
+   */
+  resolveSubject({ phone, email } = {}) {
+    if ((phone && email) || (!phone && !email)) {
+      return { error: 'Provide either phone or email' };
+    }
+
+    if (phone) {
+      const address = compliance.normalizePhone(String(phone));
+      if (!/^\+\d{11,15}$/.test(address)) return { error: 'Invalid phone number' };
+      return { channel: 'sms', address };
+    }
+
+    const address = String(email).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) return { error: 'Invalid email' };
+    return { channel: 'email', address };
+  }
+
+  /**
+   * Contacts with the subject's address, and every address they have
+   */
+  async findSubject(client, subject) {
+    const contacts = await client.query(`
+      SELECT * FROM contacts
+      WHERE ${subject.channel === 'sms' ? 'phone' : 'LOWER(email)'} = $1
+    `, [subject.address]);
+
+    const phones = new Set(subject.channel === 'sms' ? [subject.address] : []);
+    const emails = new Set(subject.channel === 'email' ? [subject.address] : []);
+    for (const contact of contacts.rows) {
+      if (contact.phone) phones.add(contact.phone);
+      if (contact.email) emails.add(contact.email.toLowerCase());
+    }
+
+    return {
+      contacts: contacts.rows,
+      contactIds: contacts.rows.map(contact => contact.id),
+      phones: [...phones],
+      emails: [...emails],
+      addresses: [...phones, ...emails]
+    };
+  }
+
+  /**
+   * Everything held on a phone number or email
+   * Returns { success, data } where data has one array per table
+   */
+  async exportData(tenantId, input, actor = {}) {
+    const subject = this.resolveSubject(input);
+    if (subject.error) {
+      return { success: false, code: 'invalid', error: subject.error };
+    }
+
+    const client = await db.getClientWithTenant(tenantId);
+    let data;
+    try {
+      const found = await this.findSubject(client, subject);
+      const { contactIds, addresses } = found;
+
+      const [messages, optOutLog, consentEvents, purchases, linkClicks] = await Promise.all([
+        client.query(`
+          SELECT id, contact_id, campaign_id, location_id, type, direction, to_address, from_address,
+                 subject, content, status, sent_at, delivered_at, opened_at, clicked_at, created_at
+          FROM messages
+          WHERE contact_id = ANY($1) OR LOWER(to_address) = ANY($2) OR LOWER(from_address) = ANY($2)
+          ORDER BY created_at
+        `, [contactIds, addresses]),
+        client.query(`
+          SELECT id, contact_id, channel, address, action, method, keyword, source_message_id,
+                 ip_address, user_agent, created_at
+          FROM opt_out_log
+          WHERE contact_id = ANY($1) OR LOWER(address) = ANY($2)
+          ORDER BY created_at
+        `, [contactIds, addresses]),
+        client.query(`
+          SELECT id, contact_id, channel, event, method, location_id, keyword, message_id, form_id,
+                 disclosure_version, content, ip_address, user_agent, details, created_at
+          FROM consent_events
+          WHERE contact_id = ANY($1)
+          ORDER BY created_at
+        `, [contactIds]),
+        client.query(`
+          SELECT id, contact_id, location_id, external_order_id, amount, ordered_at, created_at
+          FROM purchases
+          WHERE contact_id = ANY($1)
+          ORDER BY ordered_at
+        `, [contactIds]),
+        client.query(`
+          SELECT lc.id, sl.contact_id, sl.message_id, sl.original_url, lc.ip_address, lc.user_agent, lc.clicked_at
+          FROM link_clicks lc
+          JOIN short_links sl ON sl.id = lc.short_link_id
+          WHERE sl.contact_id = ANY($1)
+          ORDER BY lc.clicked_at
+        `, [contactIds])
+      ]);
+
+      data = {
+        generated_at: new Date().toISOString(),
+        subject: { channel: subject.channel, address: subject.address },
+        contacts: found.contacts,
+        messages: messages.rows,
+        opt_out_log: optOutLog.rows,
+        consent_events: consentEvents.rows,
+        purchases: purchases.rows,
+        link_clicks: linkClicks.rows
+      };
+
+      await this.recordRequest(client, tenantId, 'export', subject, contactIds, this.countRecords(data), actor);
+    } finally {
+      client.release();
+    }
+
+    logger.info('Privacy export generated', { tenantId, channel: subject.channel, userId: actor.userId || null });
+    return { success: true, data };
+  }
+
+  /**
+   * Flatten an export into one CSV: a row per field of every record
+   * (section, record_id, field, value)
+   */
+  exportToCsv(data) {
+    const rows = [['section', 'record_id', 'field', 'value']];
+
+    for (const [section, records] of Object.entries(data)) {
+      if (!Array.isArray(records)) continue;
+
+      for (const record of records) {
+        for (const [field, value] of Object.entries(record)) {
+          if (field === 'id') continue;
+          rows.push([section, record.id, field, this.formatValue(value)]);
+        }
+      }
+    }
+
+    return toCsv(rows);
+  }
+
+  /**
+   * A database value as CSV text
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Erase a person's personal data
+   *
+   * Messages keep their delivery status and cost (billing) but lose their text
+   * and the person's address. Consent and opt-out history keep what happened
+   * and when, but not who or from where. Purchases, conversations, automation
+   * runs and raw provider payloads for the person are removed. Each contact row
+   * is emptied down to its phone/email with both channels opted out.
+   */
+  async erase(tenantId, input, actor = {}) {
+    const subject = this.resolveSubject(input);
+    if (subject.error) {
+      return { success: false, code: 'invalid', error: subject.error };
+    }
+
+    const counts = await db.transactionWithTenant(tenantId, async (client) => {
+      const { contactIds, phones, emails, addresses } = await this.findSubject(client, subject);
+
+      // Import reports hold rows as uploaded, so compare digits for phones
+      const phoneDigits = phones.flatMap(phone => {
+        const digits = phone.replace(/\D/g, '');
+        return digits.startsWith('1') ? [digits, digits.slice(1)] : [digits];
+      });
+
+      const messages = await client.query(`
+        UPDATE messages SET
+          content = $3,
+          subject = NULL,
+          provider_error = NULL,
+          to_address = CASE WHEN direction = 'outbound' THEN $3 ELSE to_address END,
+          from_address = CASE WHEN direction = 'inbound' THEN $3 ELSE from_address END,
+          contact_id = NULL
+        WHERE contact_id = ANY($1) OR LOWER(to_address) = ANY($2) OR LOWER(from_address) = ANY($2)
+      `, [contactIds, addresses, ERASED]);
+
+      const linkClicks = await client.query(`
+        UPDATE link_clicks SET ip_address = NULL, user_agent = NULL
+        WHERE short_link_id IN (SELECT id FROM short_links WHERE contact_id = ANY($1))
+      `, [contactIds]);
+      await client.query('UPDATE short_links SET contact_id = NULL WHERE contact_id = ANY($1)', [contactIds]);
+
+      const optOutLog = await client.query(`
+        UPDATE opt_out_log SET address = $3, ip_address = NULL, user_agent = NULL, contact_id = NULL
+        WHERE contact_id = ANY($1) OR LOWER(address) = ANY($2)
+      `, [contactIds, addresses, ERASED]);
+
+      const consentEvents = await client.query(`
+        UPDATE consent_events SET content = NULL, ip_address = NULL, user_agent = NULL, details = '{}', contact_id = NULL
+        WHERE contact_id = ANY($1)
+      `, [contactIds]);
+
+      const purchases = await client.query('DELETE FROM purchases WHERE contact_id = ANY($1)', [contactIds]);
+      const conversations = await client.query('DELETE FROM conversations WHERE contact_id = ANY($1)', [contactIds]);
+      const automationRuns = await client.query('DELETE FROM automation_runs WHERE contact_id = ANY($1)', [contactIds]);
+
+      const importRows = await client.query(`
+        UPDATE contact_import_errors SET row_data = NULL
+        WHERE EXISTS (
+          SELECT 1 FROM unnest(row_data) AS value
+          WHERE LOWER(TRIM(value)) = ANY($1) OR regexp_replace(value, '\\D', '', 'g') = ANY($2)
+        )
+      `, [emails, phoneDigits]);
+
+      // Processed Telnyx events between this person and one of the tenant's numbers
+      const webhookEvents = await client.query(`
+        UPDATE webhook_events SET payload = '{"erased": true}'
+        WHERE provider = 'telnyx' AND status = 'processed' AND (
+          (payload #>> '{data,payload,from,phone_number}' = ANY($1)
+            AND payload #>> '{data,payload,to,0,phone_number}' IN (SELECT sms_phone_number FROM locations))
+          OR (payload #>> '{data,payload,to,0,phone_number}' = ANY($1)
+            AND payload #>> '{data,payload,from,phone_number}' IN (SELECT sms_phone_number FROM locations))
+        )
+      `, [phones]);
+
+      // Nothing on file for the address - keep a suppression record anyway, so it
+      // can't be messaged, imported or signed up again without the person's say-so
+      if (contactIds.length === 0) {
+        const suppression = await client.query(`
+          INSERT INTO contacts (tenant_id, phone, email)
+          VALUES ($1, $2, $3)
+          RETURNING id
+        `, [
+          tenantId,
+          subject.channel === 'sms' ? subject.address : null,
+          subject.channel === 'email' ? subject.address : null
+        ]);
+        contactIds.push(suppression.rows[0].id);
+      }
+
+      const contacts = await client.query(`
+        UPDATE contacts SET
+          first_name = NULL, last_name = NULL, primary_location_id = NULL, timezone = NULL,
+          sms_consent = FALSE, sms_consent_at = NULL, sms_consent_method = NULL, sms_consent_ip = NULL,
+          sms_consent_pending_at = NULL,
+          sms_opted_out = TRUE, sms_opted_out_at = CASE WHEN sms_opted_out THEN sms_opted_out_at ELSE NOW() END,
+          email_consent = FALSE, email_consent_at = NULL, email_consent_method = NULL,
+          email_opted_out = TRUE, email_opted_out_at = CASE WHEN email_opted_out THEN email_opted_out_at ELSE NOW() END,
+          age_verified = FALSE, age_verified_at = NULL, age_verification_method = NULL, date_of_birth = NULL,
+          tags = '{}', custom_fields = '{}',
+          total_orders = 0, total_spent = 0, last_order_at = NULL,
+          erased_at = NOW()
+        WHERE id = ANY($1)
+        RETURNING id, phone, email
+      `, [contactIds]);
+
+      // The suppression record's own opt-out trail
+      for (const contact of contacts.rows) {
+        for (const [channel, address] of [['sms', contact.phone], ['email', contact.email]]) {
+          if (!address) continue;
+          await client.query(`
+            INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method)
+            VALUES ($1, $2, $3, $4, 'opt_out', 'privacy_erasure')
+          `, [tenantId, contact.id, channel, compliance.normalizeAddress(address, channel)]);
+        }
+      }
+
+      const erased = {
+        contacts: contacts.rowCount,
+        messages: messages.rowCount,
+        opt_out_log: optOutLog.rowCount,
+        consent_events: consentEvents.rowCount,
+        purchases: purchases.rowCount,
+        conversations: conversations.rowCount,
+        automation_runs: automationRuns.rowCount,
+        link_clicks: linkClicks.rowCount,
+        import_report_rows: importRows.rowCount,
+        webhook_events: webhookEvents.rowCount
+      };
+
+      await this.recordRequest(client, tenantId, 'erasure', subject, contactIds, erased, actor);
+      return erased;
+    });
+
+    logger.info('Privacy erasure completed', { tenantId, channel: subject.channel, counts, userId: actor.userId || null });
+    return { success: true, erased: counts };
+  }
+
+  /**
+   * Log a request without keeping the address itself
+   */
+  async recordRequest(client, tenantId, type, subject, contactIds, counts, actor) {
+    await client.query(`
+      INSERT INTO privacy_requests (
+        tenant_id, type, channel, address_hash, contact_ids, counts,
+        requested_by_user_id, requested_by_api_key_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      tenantId, type, subject.channel, this.hashAddress(subject.address), contactIds,
+      JSON.stringify(counts), actor.userId || null, actor.apiKeyId || null
+    ]);
+  }
+
+  /**
+   * Records per table in an export
+   */
+  countRecords(data) {
+    const counts = {};
+    for (const [section, records] of Object.entries(data)) {
+      if (Array.isArray(records)) counts[section] = records.length;
+    }
+    return counts;
+  }
+
+  /**
+   * SHA-256 of a normalized address - lets a past request be matched to an address without storing it
+   */
+  hashAddress(address) {
+    return crypto.createHash('sha256').update(address).digest('hex');
+  }
+
+  /**
+   * Past requests, newest first (?phone= or ?email= to find those for one address)
+   */
+  async listRequests(tenantId, filters = {}) {
+    const params = [];
+    let where = '';
+
+    if (filters.phone || filters.email) {
+      const subject = this.resolveSubject(filters);
+      if (subject.error) {
+        return { success: false, code: 'invalid', error: subject.error };
+      }
+      params.push(this.hashAddress(subject.address));
+      where = 'WHERE address_hash = $1';
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, type, channel, contact_ids, counts, requested_by_user_id, requested_by_api_key_id, created_at
+      FROM privacy_requests
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT 200
+    `, params);
+
+    return { success: true, requests: result.rows };
+  }
+}
+
+module.exports = new PrivacyService();
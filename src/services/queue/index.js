@@ -1,7 +1,9 @@
 const { Queue, Worker, QueueScheduler } = require('bullmq');
 const config = require('../../../config');
 const telnyxService = require('../sms/telnyx');
+const emailService = require('../email/ses');
 const compliance = require('../compliance');
+const audience = require('../campaigns/audience');
 const logger = require('../../utils/logger');
 
 // Redis connection
@@ -14,6 +16,26 @@ const connection = {
 const smsQueue = new Queue('sms-messages', { connection });
 const emailQueue = new Queue('email-messages', { connection });
 const campaignQueue = new Queue('campaigns', { connection });
+const webhookQueue = new Queue('webhook-events', { connection });
+const automationQueue = new Queue('automations', { connection });
+const importQueue = new Queue('contact-imports', { connection });
+
+// Retry policy shared by individual SMS/email jobs
+const MESSAGE_JOB_OPTIONS = {
+  attempts: 3,
+  backoff: {
+    type: 'exponential',
+    delay: 5000
+  },
+  removeOnComplete: 1000,
+  removeOnFail: 5000
+};
+
+// Recipients read and enqueued per page during campaign fan-out
+const CAMPAIGN_BATCH_SIZE = 1000;
+
+// How long a campaign's job index is kept after its last job was added
+const CAMPAIGN_JOBS_TTL_SECONDS = 30 * 24 * 60 * 60;
 
 // Queue scheduler (handles delayed jobs)
 const smsScheduler = new QueueScheduler('sms-messages', { connection });
@@ -22,30 +44,35 @@ const emailScheduler = new QueueScheduler('email-messages', { connection });
 /**
  * Add SMS to queue
  */
-async function queueSMS({ tenantId, contactId, locationId, content, campaignId, delay = 0 }) {
+async function queueSMS({ tenantId, contactId, locationId, content, campaignId, delay = 0, jobId }) {
   const job = await smsQueue.add(
     'send-sms',
     { tenantId, contactId, locationId, content, campaignId },
-    {
-      delay,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 5000
-      },
-      removeOnComplete: 1000,
-      removeOnFail: 5000
-    }
+    { ...MESSAGE_JOB_OPTIONS, delay, ...(jobId && { jobId }) }
   );
 
   logger.info('SMS queued', { jobId: job.id, tenantId, contactId });
   return job;
 }
 
+/**
+ * Add email to queue
+ */
+async function queueEmail({ tenantId, contactId, locationId, subject, html, text, campaignId, delay = 0, jobId }) {
+  const job = await emailQueue.add(
+    'send-email',
+    { tenantId, contactId, locationId, subject, html, text, campaignId },
+    { ...MESSAGE_JOB_OPTIONS, delay, ...(jobId && { jobId }) }
+  );
+
+  logger.info('Email queued', { jobId: job.id, tenantId, contactId });
+  return job;
+}
+
 /**
  * Add SMS to queue with quiet hours handling
  */
-async function queueSMSWithQuietHours({ tenantId, contactId, locationId, content, campaignId }) {
+async function queueSMSWithQuietHours({ tenantId, contactId, locationId, content, campaignId, jobId }) {
   // Check quiet hours
   const complianceResult = await compliance.checkMessage(tenantId, contactId, 'sms');
   
@@ -56,7 +83,7 @@ async function queueSMSWithQuietHours({ tenantId, contactId, locationId, content
       const retryAfter = compliance.checkQuietHours(complianceResult.contact).retryAfter;
       if (retryAfter) {
         const delay = new Date(retryAfter).getTime() - Date.now();
-        return queueSMS({ tenantId, contactId, locationId, content, campaignId, delay });
+        return queueSMS({ tenantId, contactId, locationId, content, campaignId, delay, jobId });
       }
     }
     
@@ -65,26 +92,247 @@ async function queueSMSWithQuietHours({ tenantId, contactId, locationId, content
   }
 
   // No delay needed
-  return queueSMS({ tenantId, contactId, locationId, content, campaignId });
+  return queueSMS({ tenantId, contactId, locationId, content, campaignId, jobId });
 }
 
 /**
  * Queue a campaign for processing
+ * Scheduled campaigns get a delayed job. The job id is derived from the campaign
+ * and its scheduled time, so re-queueing the same schedule (e.g. startup recovery)
+ * is a no-op while the original job still exists.
  */
-async function queueCampaign({ tenantId, campaignId }) {
+async function queueCampaign({ tenantId, campaignId, scheduledAt = null, resume = false }) {
+  const scheduledTime = scheduledAt ? new Date(scheduledAt).getTime() : null;
+  const jobId = resume
+    ? `campaign-${campaignId}-resume-${Date.now()}`
+    : `campaign-${campaignId}-${scheduledTime || 'now'}`;
+
+  // A finished job with the same id would make add() a no-op
+  const existing = await campaignQueue.getJob(jobId);
+  if (existing && (await existing.isCompleted() || await existing.isFailed())) {
+    await existing.remove();
+  }
+
   const job = await campaignQueue.add(
     'process-campaign',
-    { tenantId, campaignId },
+    { tenantId, campaignId, scheduledAt: scheduledTime, resume },
     {
-      attempts: 1,
+      jobId,
+      delay: scheduledTime ? Math.max(0, scheduledTime - Date.now()) : 0,
+      // Retries continue fan-out from the last checkpoint
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 10000
+      },
       removeOnComplete: 100
     }
   );
 
-  logger.info('Campaign queued', { jobId: job.id, tenantId, campaignId });
+  await indexCampaignJobs(campaignId, campaignQueue, [job.id]);
+
+  logger.info('Campaign queued', { jobId: job.id, tenantId, campaignId, scheduledAt });
+  return job;
+}
+
+/**
+ * Queue a stored webhook event for processing
+ * Job id is derived from the event row so an event is only queued once per (re)play
+ */
+async function queueWebhookEvent(eventId, { replay = false } = {}) {
+  const job = await webhookQueue.add(
+    'process-webhook-event',
+    { eventId },
+    {
+      jobId: replay ? `${eventId}-replay-${Date.now()}` : eventId,
+      attempts: 5,
+      backoff: {
+        type: 'exponential',
+        delay: 5000
+      },
+      removeOnComplete: 1000,
+      removeOnFail: 5000
+    }
+  );
+
+  return job;
+}
+
+/**
+ * Queue the next step(s) of an automation run, optionally after a wait
+ * Job id is derived from the run and step so a step is only queued once
+ * (automations only ever move forward, so a run reaches each step at most once)
+ */
+async function queueAutomationStep({ tenantId, runId, step, delay = 0 }) {
+  const job = await automationQueue.add(
+    'run-automation-step',
+    { tenantId, runId, step },
+    {
+      jobId: `automation-run-${runId}-step-${step}`,
+      delay,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 10000
+      },
+      removeOnComplete: 1000,
+      removeOnFail: 5000
+    }
+  );
+
+  logger.info('Automation step queued', { jobId: job.id, tenantId, runId, step, delay });
   return job;
 }
 
+/**
+ * Queue a contact import. One job per import - retries resume from its checkpoint.
+ */
+async function queueContactImport({ tenantId, importId }) {
+  const job = await importQueue.add(
+    'import-contacts',
+    { tenantId, importId },
+    {
+      jobId: `import-${importId}`,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 10000
+      },
+      removeOnComplete: 100,
+      removeOnFail: 100
+    }
+  );
+
+  logger.info('Contact import queued', { jobId: job.id, tenantId, importId });
+  return job;
+}
+
+/**
+ * Register the daily birthday/inactivity scan (idempotent - repeat jobs are keyed by pattern)
+ */
+async function scheduleAutomationScan() {
+  const pattern = config.automations.dailyScanCron;
+
+  await automationQueue.add(
+    'automation-daily-scan',
+    {},
+    {
+      repeat: { pattern, tz: 'UTC' },
+      removeOnComplete: 30,
+      removeOnFail: 30
+    }
+  );
+
+  logger.info('Automation daily scan scheduled', { pattern });
+}
+
+// Jobs that haven't been picked up by a worker yet
+const PENDING_JOB_STATES = ['waiting', 'delayed', 'prioritized', 'paused'];
+
+/**
+ * Redis set of the ids of a campaign's queued jobs, as "<queue>:<job id>"
+ * Lets pause/cancel find one campaign's jobs without scanning every tenant's
+ */
+function campaignJobsKey(campaignId) {
+  return `campaign-jobs:${campaignId}`;
+}
+
+/**
+ * Record jobs queued for a campaign in its job index
+ */
+async function indexCampaignJobs(campaignId, queue, jobIds) {
+  if (jobIds.length === 0) return;
+
+  const client = await queue.client;
+  const key = campaignJobsKey(campaignId);
+  await client.multi()
+    .sadd(key, ...jobIds.map(jobId => `${queue.name}:${jobId}`))
+    .expire(key, CAMPAIGN_JOBS_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * A campaign's indexed jobs that are still pending, as { queue, jobId, member }
+ * Jobs that have finished or are gone are dropped from the index; active ones
+ * are left in it (they're past removing, and the workers check the campaign).
+ * Only looks in `queues`; with firstOnly, stops at the first pending job.
+ */
+async function findPendingCampaignJobs(campaignId, { queues = [smsQueue, emailQueue, campaignQueue], firstOnly = false } = {}) {
+  const queuesByName = Object.fromEntries(queues.map(queue => [queue.name, queue]));
+  const client = await smsQueue.client;
+  const key = campaignJobsKey(campaignId);
+  const members = await client.smembers(key);
+
+  const pending = [];
+  const finished = [];
+
+  for (const member of members) {
+    const separator = member.indexOf(':');
+    const queue = queuesByName[member.slice(0, separator)];
+    if (!queue) continue;
+
+    const jobId = member.slice(separator + 1);
+    const state = await queue.getJobState(jobId);
+
+    if (PENDING_JOB_STATES.includes(state)) {
+      pending.push({ queue, jobId, member });
+      if (firstOnly) break;
+    } else if (state !== 'active') {
+      finished.push(member);
+    }
+  }
+
+  if (finished.length > 0) await client.srem(key, ...finished);
+  return pending;
+}
+
+/**
+ * Remove a campaign's pending (not yet active) jobs from the send queues
+ * Returns the number of jobs removed
+ */
+async function removeCampaignJobs(campaignId) {
+  const pending = await findPendingCampaignJobs(campaignId);
+  const removedMembers = [];
+
+  for (const { queue, jobId, member } of pending) {
+    // 0 if a worker picked it up in the meantime - it then checks the campaign itself
+    if (await queue.remove(jobId)) removedMembers.push(member);
+  }
+
+  if (removedMembers.length > 0) {
+    const client = await smsQueue.client;
+    await client.srem(campaignJobsKey(campaignId), ...removedMembers);
+  }
+
+  return removedMembers.length;
+}
+
+/**
+ * Whether a campaign still has sends waiting in the queues (e.g. held for quiet
+ * hours) - a campaign is marked sent when fan-out finishes, not when these drain
+ */
+async function hasPendingCampaignJobs(campaignId) {
+  const pending = await findPendingCampaignJobs(campaignId, { queues: [smsQueue, emailQueue], firstOnly: true });
+  return pending.length > 0;
+}
+
+/**
+ * Check whether a campaign has been paused or cancelled since its jobs were queued,
+ * or - given the fan-out generation a send was queued in - resumed since
+ */
+async function isCampaignHalted(tenantId, campaignId, generation = null) {
+  const db = require('../../db');
+  const result = await db.queryWithTenant(tenantId, `
+    SELECT status, fanout_generation FROM campaigns WHERE id = $1
+  `, [campaignId]);
+
+  const campaign = result.rows[0];
+  if (!campaign || campaign.status === 'paused' || campaign.status === 'cancelled') return true;
+
+  // A send from before a pause/resume - the resumed fan-out queued its contact again
+  return generation !== null && generation !== undefined && generation < campaign.fanout_generation;
+}
+
 /**
  * SMS Worker - processes SMS jobs
  */
@@ -92,9 +340,15 @@ function startSMSWorker() {
   const worker = new Worker(
     'sms-messages',
     async (job) => {
-      const { tenantId, contactId, locationId, content, campaignId } = job.data;
+      const { tenantId, contactId, locationId, content, campaignId, generation } = job.data;
       
       logger.info('Processing SMS job', { jobId: job.id, tenantId, contactId });
+
+      // Campaign may have been paused/cancelled while this job was waiting
+      if (campaignId && await isCampaignHalted(tenantId, campaignId, generation)) {
+        logger.info('SMS skipped, campaign halted', { jobId: job.id, campaignId });
+        return { success: false, skipped: true, reason: 'Campaign paused or cancelled' };
+      }
       
       const result = await telnyxService.sendMessage({
         tenantId,
@@ -137,6 +391,66 @@ function startSMSWorker() {
   return worker;
 }
 
+/**
+ * Email Worker - processes email jobs
+ */
+function startEmailWorker() {
+  const worker = new Worker(
+    'email-messages',
+    async (job) => {
+      const { tenantId, contactId, locationId, subject, html, text, campaignId, generation } = job.data;
+
+      logger.info('Processing email job', { jobId: job.id, tenantId, contactId });
+
+      // Campaign may have been paused/cancelled while this job was waiting
+      if (campaignId && await isCampaignHalted(tenantId, campaignId, generation)) {
+        logger.info('Email skipped, campaign halted', { jobId: job.id, campaignId });
+        return { success: false, skipped: true, reason: 'Campaign paused or cancelled' };
+      }
+
+      const result = await emailService.sendMessage({
+        tenantId,
+        contactId,
+        locationId,
+        subject,
+        html,
+        text,
+        campaignId
+      });
+
+      if (!result.success && result.blocked) {
+        // Don't retry if blocked by compliance
+        logger.warn('Email blocked by compliance', { jobId: job.id, reasons: result.reasons });
+        return result;
+      }
+
+      if (!result.success) {
+        throw new Error(result.error || 'Email send failed');
+      }
+
+      return result;
+    },
+    {
+      connection,
+      concurrency: 10,
+      limiter: {
+        max: 14,       // Max 14 jobs
+        duration: 1000 // per second (SES default sending rate, raise with your quota)
+      }
+    }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info('Email job completed', { jobId: job.id, result });
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error('Email job failed', { jobId: job.id, error: error.message });
+  });
+
+  return worker;
+}
+
 /**
  * Campaign Worker - processes campaign batches
  */
@@ -144,96 +458,161 @@ function startCampaignWorker() {
   const worker = new Worker(
     'campaigns',
     async (job) => {
-      const { tenantId, campaignId } = job.data;
+      const { tenantId, campaignId, scheduledAt, resume } = job.data;
       const db = require('../../db');
       
       logger.info('Processing campaign', { jobId: job.id, tenantId, campaignId });
       
       // Get campaign details
-      const campaignResult = await db.queryWithTenant(tenantId, `
-        SELECT * FROM campaigns WHERE id = $1
-      `, [campaignId]);
+      const campaign = await audience.loadCampaign(tenantId, campaignId);
 
-      if (campaignResult.rows.length === 0) {
+      if (!campaign) {
         throw new Error('Campaign not found');
       }
 
-      const campaign = campaignResult.rows[0];
+      // Rescheduled since this job was queued - the new schedule has its own job
+      const currentSchedule = campaign.scheduled_at ? new Date(campaign.scheduled_at).getTime() : null;
+      if (!resume && currentSchedule !== (scheduledAt || null)) {
+        logger.info('Stale scheduled campaign job, skipping', { campaignId, jobId: job.id });
+        return { skipped: true, reason: 'rescheduled' };
+      }
 
-      // Build recipient query based on targeting
-      let recipientQuery = `
-        SELECT c.id, c.phone, c.email, c.primary_location_id
-        FROM contacts c
-        WHERE c.tenant_id = $1
-      `;
-      const queryParams = [tenantId];
+      // Claim the campaign. Only a scheduled campaign can start fanning out, and
+      // only a resume or a retry of the job that claimed it can continue one that's
+      // already sending, so a duplicate job can't send it twice. A resume starts a
+      // new fan-out generation from the top (pending jobs were removed on pause).
+      const claim = await db.queryWithTenant(tenantId, `
+        UPDATE campaigns 
+        SET status = 'sending',
+            started_at = COALESCE(started_at, NOW()),
+            fanout_job_id = $3,
+            fanout_generation = fanout_generation + CASE WHEN $2::boolean THEN 1 ELSE 0 END,
+            fanout_cursor = CASE WHEN $2::boolean THEN NULL ELSE fanout_cursor END,
+            fanout_queued = CASE WHEN $2::boolean THEN 0 ELSE fanout_queued END
+        WHERE id = $1
+          AND (status = 'scheduled' OR (status = 'sending' AND ($2::boolean OR fanout_job_id = $3)))
+        RETURNING fanout_generation, fanout_cursor, fanout_queued
+      `, [campaignId, Boolean(resume), job.id]);
 
-      // Add consent filters
-      if (campaign.type === 'sms' || campaign.type === 'both') {
-        recipientQuery += ` AND c.sms_consent = TRUE AND c.sms_opted_out = FALSE`;
-      }
-      if (campaign.type === 'email' || campaign.type === 'both') {
-        recipientQuery += ` AND c.email_consent = TRUE AND c.email_opted_out = FALSE`;
+      if (claim.rows.length === 0) {
+        logger.info('Campaign not sendable, skipping', { campaignId, status: campaign.status });
+        return { skipped: true, status: campaign.status };
       }
 
-      // Age verification required
-      recipientQuery += ` AND c.age_verified = TRUE`;
+      const { fanout_generation: generation } = claim.rows[0];
+      let cursor = claim.rows[0].fanout_cursor;
+      let queued = claim.rows[0].fanout_queued;
 
-      // Location targeting
-      if (campaign.target_locations && campaign.target_locations.length > 0) {
-        recipientQuery += ` AND c.primary_location_id = ANY($${queryParams.length + 1})`;
-        queryParams.push(campaign.target_locations);
-      }
+      // Count the audience once, on the first run (kept on resume/retry)
+      let total = campaign.total_recipients;
+      if (!campaign.started_at) {
+        const countQuery = audience.buildRecipientCountQuery(tenantId, campaign);
+        const countResult = await db.queryWithTenant(tenantId, countQuery.text, countQuery.params);
+        total = parseInt(countResult.rows[0].count, 10);
 
-      // Tag targeting
-      if (campaign.target_tags && campaign.target_tags.length > 0) {
-        recipientQuery += ` AND c.tags && $${queryParams.length + 1}`;
-        queryParams.push(campaign.target_tags);
+        await db.queryWithTenant(tenantId, `
+          UPDATE campaigns SET total_recipients = $1 WHERE id = $2
+        `, [total, campaignId]);
       }
 
-      const recipients = await db.queryWithTenant(tenantId, recipientQuery, queryParams);
+      logger.info('Campaign fan-out starting', { campaignId, total, queued, resumingFrom: cursor });
 
-      logger.info('Campaign recipients found', { 
-        campaignId, 
-        count: recipients.rows.length 
-      });
+      // Read recipients a keyset page at a time and enqueue each page in bulk.
+      // Compliance is re-checked per message by the send workers.
+      while (true) {
+        // Stop fanning out if the campaign is paused/cancelled mid-way
+        if (await isCampaignHalted(tenantId, campaignId)) {
+          logger.info('Campaign halted during fan-out', { campaignId, queued });
+          return { recipients: total, queued, halted: true };
+        }
 
-      // Update campaign status and recipient count
-      await db.queryWithTenant(tenantId, `
-        UPDATE campaigns 
-        SET status = 'sending', 
-            total_recipients = $1,
-            started_at = NOW()
-        WHERE id = $2
-      `, [recipients.rows.length, campaignId]);
-
-      // Queue messages for each recipient
-      for (const recipient of recipients.rows) {
-        if (campaign.type === 'sms' && recipient.phone) {
-          await queueSMSWithQuietHours({
-            tenantId,
-            contactId: recipient.id,
-            locationId: recipient.primary_location_id,
-            content: campaign.sms_content,
-            campaignId
-          });
+        const pageQuery = audience.buildRecipientQuery(tenantId, campaign, {
+          afterId: cursor,
+          limit: CAMPAIGN_BATCH_SIZE
+        });
+        const page = await db.queryWithTenant(tenantId, pageQuery.text, pageQuery.params);
+
+        if (page.rows.length === 0) break;
+
+        const smsJobs = [];
+        const emailJobs = [];
+
+        for (const recipient of page.rows) {
+          // Job ids make re-enqueueing a page after a crash a no-op
+          const jobIdBase = `campaign-${campaignId}-g${generation}-${recipient.id}`;
+
+          if (recipient.sms_eligible) {
+            // Hold SMS until quiet hours end in the recipient's timezone
+            const quietHours = compliance.checkQuietHours(recipient);
+            const delay = quietHours.retryAfter
+              ? Math.max(0, new Date(quietHours.retryAfter).getTime() - Date.now())
+              : 0;
+
+            smsJobs.push({
+              name: 'send-sms',
+              data: {
+                tenantId,
+                contactId: recipient.id,
+                locationId: recipient.primary_location_id,
+                content: campaign.sms_content,
+                campaignId,
+                generation
+              },
+              opts: { ...MESSAGE_JOB_OPTIONS, jobId: `${jobIdBase}-sms`, delay }
+            });
+          }
+
+          if (recipient.email_eligible) {
+            emailJobs.push({
+              name: 'send-email',
+              data: {
+                tenantId,
+                contactId: recipient.id,
+                locationId: recipient.primary_location_id,
+                subject: campaign.email_subject,
+                html: campaign.email_content,
+                text: campaign.email_plain_text,
+                campaignId,
+                generation
+              },
+              opts: { ...MESSAGE_JOB_OPTIONS, jobId: `${jobIdBase}-email` }
+            });
+          }
         }
-        
-        // TODO: Add email queueing when email service is implemented
+
+        // Indexed before adding, so no queued job is ever missing from the index
+        await indexCampaignJobs(campaignId, smsQueue, smsJobs.map(smsJob => smsJob.opts.jobId));
+        await indexCampaignJobs(campaignId, emailQueue, emailJobs.map(emailJob => emailJob.opts.jobId));
+        if (smsJobs.length > 0) await smsQueue.addBulk(smsJobs);
+        if (emailJobs.length > 0) await emailQueue.addBulk(emailJobs);
+
+        cursor = page.rows[page.rows.length - 1].id;
+        queued += page.rows.length;
+
+        // Checkpoint so a crashed job picks up after this page
+        await db.queryWithTenant(tenantId, `
+          UPDATE campaigns SET fanout_cursor = $1, fanout_queued = $2
+          WHERE id = $3 AND fanout_job_id = $4
+        `, [cursor, queued, campaignId, job.id]);
+
+        await job.updateProgress({ queued, total });
       }
 
       // Mark campaign as sent (workers will update individual stats)
+      // unless it was paused/cancelled while we were queueing
       await db.queryWithTenant(tenantId, `
         UPDATE campaigns 
         SET status = 'sent', completed_at = NOW()
-        WHERE id = $1
+        WHERE id = $1 AND status = 'sending'
       `, [campaignId]);
 
-      return { recipients: recipients.rows.length };
+      return { recipients: total, queued };
     },
     {
       connection,
-      concurrency: 2
+      concurrency: 2,
+      // Fan-out is checkpointed, so a stalled/crashed job is safe to pick back up
+      maxStalledCount: 3
     }
   );
 
@@ -248,15 +627,153 @@ function startCampaignWorker() {
   return worker;
 }
 
+/**
+ * Webhook Worker - processes stored provider webhook events
+ */
+function startWebhookWorker() {
+  const worker = new Worker(
+    'webhook-events',
+    async (job) => {
+      const { eventId } = job.data;
+      const webhookEvents = require('../webhookEvents');
+      const { processTelnyxEvent } = require('../../webhooks/telnyx');
+      const { processSESEvent } = require('../../webhooks/ses');
+
+      const event = await webhookEvents.startProcessing(eventId);
+      if (!event) {
+        // Already processed (e.g. replayed twice) or deleted
+        return { skipped: true };
+      }
+
+      try {
+        if (event.provider === 'telnyx') {
+          await processTelnyxEvent(event.payload.data);
+        } else if (event.provider === 'ses') {
+          await processSESEvent(event.payload);
+        } else {
+          throw new Error(`Unknown webhook provider: ${event.provider}`);
+        }
+      } catch (error) {
+        await webhookEvents.markFailed(eventId, error.message);
+        throw error;
+      }
+
+      await webhookEvents.markProcessed(eventId);
+      return { processed: true, eventType: event.event_type };
+    },
+    {
+      connection,
+      concurrency: 5
+    }
+  );
+
+  worker.on('failed', (job, error) => {
+    logger.error('Webhook event job failed', {
+      jobId: job.id,
+      attempt: job.attemptsMade,
+      error: error.message
+    });
+  });
+
+  return worker;
+}
+
+/**
+ * Automation Worker - runs automation steps and the daily trigger scan
+ */
+function startAutomationWorker() {
+  const worker = new Worker(
+    'automations',
+    async (job) => {
+      // Lazy require - the engine queues messages through this module
+      const automationEngine = require('../automations');
+
+      if (job.name === 'automation-daily-scan') {
+        return automationEngine.dailyScan();
+      }
+
+      const { tenantId, runId } = job.data;
+      return automationEngine.runSteps(tenantId, runId, { retry: job.attemptsMade > 0 });
+    },
+    {
+      connection,
+      concurrency: 5
+    }
+  );
+
+  worker.on('failed', async (job, error) => {
+    logger.error('Automation job failed', {
+      jobId: job.id,
+      attempt: job.attemptsMade,
+      error: error.message
+    });
+
+    // Out of retries - close the run so it doesn't sit in 'running'
+    if (job.name === 'run-automation-step' && job.attemptsMade >= (job.opts.attempts || 1)) {
+      const automationEngine = require('../automations');
+      await automationEngine.finishRun(job.data.tenantId, job.data.runId, 'failed', error.message)
+        .catch(err => logger.error('Failed to mark automation run failed', { error: err.message }));
+    }
+  });
+
+  return worker;
+}
+
+/**
+ * Import Worker - processes bulk contact imports
+ */
+function startImportWorker() {
+  const worker = new Worker(
+    'contact-imports',
+    async (job) => {
+      // Lazy require - the import service queues through this module
+      const importService = require('../imports');
+      const { tenantId, importId } = job.data;
+
+      return importService.processImport(tenantId, importId, {
+        onProgress: progress => job.updateProgress(progress)
+      });
+    },
+    {
+      connection,
+      // Imports are large and rare; one at a time keeps the database free for sends
+      concurrency: 1
+    }
+  );
+
+  worker.on('failed', async (job, error) => {
+    logger.error('Contact import job failed', {
+      jobId: job.id,
+      attempt: job.attemptsMade,
+      error: error.message
+    });
+
+    if (job.attemptsMade >= (job.opts.attempts || 1)) {
+      const importService = require('../imports');
+      await importService.markFailed(job.data.tenantId, job.data.importId, error.message)
+        .catch(err => logger.error('Failed to mark import failed', { error: err.message }));
+    }
+  });
+
+  return worker;
+}
+
 /**
  * Get queue statistics
  */
 async function getQueueStats() {
-  const [smsWaiting, smsActive, smsCompleted, smsFailed] = await Promise.all([
+  const [
+    smsWaiting, smsActive, smsCompleted, smsFailed,
+    emailWaiting, emailActive, emailCompleted, emailFailed
+  ] = await Promise.all([
     smsQueue.getWaitingCount(),
     smsQueue.getActiveCount(),
     smsQueue.getCompletedCount(),
-    smsQueue.getFailedCount()
+    smsQueue.getFailedCount(),
+    emailQueue.getWaitingCount(),
+    emailQueue.getActiveCount(),
+    emailQueue.getCompletedCount(),
+    emailQueue.getFailedCount()
   ]);
 
   return {
@@ -265,6 +782,12 @@ async function getQueueStats() {
       active: smsActive,
       completed: smsCompleted,
       failed: smsFailed
+    },
+    email: {
+      waiting: emailWaiting,
+      active: emailActive,
+      completed: emailCompleted,
+      failed: emailFailed
     }
   };
 }
@@ -273,10 +796,25 @@ module.exports = {
   smsQueue,
   emailQueue,
   campaignQueue,
+  webhookQueue,
+  automationQueue,
+  importQueue,
   queueSMS,
   queueSMSWithQuietHours,
+  queueEmail,
   queueCampaign,
+  queueWebhookEvent,
+  queueAutomationStep,
+  queueContactImport,
+  scheduleAutomationScan,
+  removeCampaignJobs,
+  hasPendingCampaignJobs,
+  isCampaignHalted,
   startSMSWorker,
+  startEmailWorker,
   startCampaignWorker,
+  startWebhookWorker,
+  startAutomationWorker,
+  startImportWorker,
   getQueueStats
 };
@@ -0,0 +1,263 @@
+/**
+ * Segment filter language
+ *
+ * Filters are JSON trees stored in campaigns.target_filter and segments.filter,
+ * compiled to parameterized SQL over contacts (aliased `c`). Every value is bound
+ * as a parameter; field names and operators are only ever taken from the
+ * whitelists below.
+ *
+ * Groups:     { "all": [...] }  { "any": [...] }  { "not": {...} }
+ * Conditions: { "field": "total_spent", "op": "gte", "value": 100 }
+ *             { "field": "last_order_at", "op": "within_days", "value": 90 }
+ *             { "field": "custom_fields.favorite_strain", "op": "eq", "value": "Blue Dream" }
+ *             { "field": "tags", "op": "excludes", "value": ["wholesale"] }
+ *             { "field": "engagement", "op": "clicked", "value": 30, "channel": "sms" }
+ */
+
+const NUMBER_FIELDS = {
+  total_spent: 'c.total_spent',
+  total_orders: 'c.total_orders'
+};
+
+const DATE_FIELDS = {
+  last_order_at: 'c.last_order_at',
+  created_at: 'c.created_at'
+};
+
+// Engagement events, as the message column that records them
+const ENGAGEMENT_EVENTS = {
+  received: "m.direction = 'outbound' AND m.sent_at",
+  delivered: 'm.delivered_at',
+  opened: 'm.opened_at',
+  clicked: 'm.clicked_at',
+  replied: "m.direction = 'inbound' AND m.created_at"
+};
+
+const COMPARISONS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const CUSTOM_FIELD_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+const NUMERIC_TEXT = '^-?[0-9]+(\\.[0-9]+)?$';
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+/**
+ * Compile a filter to a SQL condition, pushing values onto params
+ * Returns '' for an empty filter; throws on anything malformed
+ */
+function compileFilter(filter, params) {
+  if (isEmptyFilter(filter)) return '';
+
+  const state = { params, conditions: 0 };
+  return compileNode(filter, state, 0);
+}
+
+/**
+ * Check a filter without running it
+ * Returns { valid: true } or { valid: false, error }
+ */
+function validateFilter(filter) {
+  if (filter !== undefined && filter !== null && (typeof filter !== 'object' || Array.isArray(filter))) {
+    return { valid: false, error: 'Filter must be an object' };
+  }
+
+  try {
+    compileFilter(filter, []);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * A missing or {} filter matches everyone
+ */
+function isEmptyFilter(filter) {
+  return !filter || (typeof filter === 'object' && Object.keys(filter).length === 0);
+}
+
+function compileNode(node, state, depth) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error('Filter nodes must be objects');
+  }
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Filter is nested more than ${MAX_DEPTH} levels deep`);
+  }
+
+  if (node.all !== undefined && node.any !== undefined) {
+    throw new Error('A group takes "all" or "any", not both - nest one inside the other');
+  }
+
+  if (node.all !== undefined || node.any !== undefined) {
+    const children = node.all !== undefined ? node.all : node.any;
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error('"all" and "any" need a non-empty array of conditions');
+    }
+
+    const joiner = node.all !== undefined ? ' AND ' : ' OR ';
+    return `(${children.map(child => compileNode(child, state, depth + 1)).join(joiner)})`;
+  }
+
+  if (node.not !== undefined) {
+    return `NOT ${compileNode(node.not, state, depth + 1)}`;
+  }
+
+  if (++state.conditions > MAX_CONDITIONS) {
+    throw new Error(`Filter has more than ${MAX_CONDITIONS} conditions`);
+  }
+
+  return compileCondition(node, state.params);
+}
+
+function compileCondition({ field, op, value, channel }, params) {
+  if (typeof field !== 'string') {
+    throw new Error('Condition is missing a field');
+  }
+
+  const bind = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+
+  if (NUMBER_FIELDS[field]) {
+    return compileNumber(NUMBER_FIELDS[field], op, value, bind, field);
+  }
+
+  if (DATE_FIELDS[field]) {
+    return compileDate(DATE_FIELDS[field], op, value, bind, field);
+  }
+
+  if (field.startsWith('custom_fields.')) {
+    const key = field.slice('custom_fields.'.length);
+    if (!CUSTOM_FIELD_KEY.test(key)) {
+      throw new Error(`Invalid custom field name: ${key}`);
+    }
+    return compileCustomField(key, op, value, bind);
+  }
+
+  if (field === 'tags') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(tag => typeof tag === 'string')) {
+      throw new Error('tags conditions need a non-empty array of tags');
+    }
+    switch (op) {
+      case 'includes_any': return `c.tags && ${bind(value)}::text[]`;
+      case 'includes_all': return `c.tags @> ${bind(value)}::text[]`;
+      case 'excludes': return `NOT (c.tags && ${bind(value)}::text[])`;
+      default: throw new Error(`Unsupported operator for tags: ${op}`);
+    }
+  }
+
+  if (field === 'engagement') {
+    const event = ENGAGEMENT_EVENTS[op];
+    if (!event) {
+      throw new Error(`Unsupported engagement event: ${op}`);
+    }
+    const days = toDays(value, 'engagement');
+
+    let text = `EXISTS (SELECT 1 FROM messages m WHERE m.contact_id = c.id`
+      + ` AND ${event} > NOW() - make_interval(days => ${bind(days)})`;
+    if (channel !== undefined) {
+      if (channel !== 'sms' && channel !== 'email') {
+        throw new Error(`Unsupported engagement channel: ${channel}`);
+      }
+      text += ` AND m.type = ${bind(channel)}`;
+    }
+    return `${text})`;
+  }
+
+  throw new Error(`Unknown filter field: ${field}`);
+}
+
+function compileNumber(column, op, value, bind, field) {
+  if (op === 'between') {
+    const [min, max] = toRange(value, field, toNumber);
+    return `${column} BETWEEN ${bind(min)} AND ${bind(max)}`;
+  }
+  if (COMPARISONS[op]) {
+    return `${column} ${COMPARISONS[op]} ${bind(toNumber(value, field))}`;
+  }
+  throw new Error(`Unsupported operator for ${field}: ${op}`);
+}
+
+function compileDate(column, op, value, bind, field) {
+  switch (op) {
+    case 'before': return `${column} < ${bind(toDate(value, field))}`;
+    case 'after': return `${column} > ${bind(toDate(value, field))}`;
+    case 'between': {
+      const [from, to] = toRange(value, field, toDate);
+      return `${column} BETWEEN ${bind(from)} AND ${bind(to)}`;
+    }
+    case 'within_days':
+      return `${column} > NOW() - make_interval(days => ${bind(toDays(value, field))})`;
+    case 'more_than_days_ago':
+      return `${column} <= NOW() - make_interval(days => ${bind(toDays(value, field))})`;
+    case 'exists': return `${column} IS NOT NULL`;
+    case 'not_exists': return `${column} IS NULL`;
+    default: throw new Error(`Unsupported operator for ${field}: ${op}`);
+  }
+}
+
+function compileCustomField(key, op, value, bind) {
+  if (['eq', 'neq', 'contains'].includes(op) && !['string', 'number', 'boolean'].includes(typeof value)) {
+    throw new Error(`custom field ${key} needs a value to compare`);
+  }
+
+  const column = `(c.custom_fields->>${bind(key)})`;
+
+  switch (op) {
+    case 'exists': return `${column} IS NOT NULL`;
+    case 'not_exists': return `${column} IS NULL`;
+    case 'eq': return `${column} = ${bind(String(value))}`;
+    case 'neq': return `${column} IS DISTINCT FROM ${bind(String(value))}`;
+    case 'contains': return `${column} ILIKE ${bind(`%${escapeLike(String(value))}%`)}`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      // Non-numeric values simply don't match instead of failing the cast
+      return `(CASE WHEN ${column} ~ '${NUMERIC_TEXT}' THEN ${column}::numeric END)`
+        + ` ${COMPARISONS[op]} ${bind(toNumber(value, key))}`;
+    default: throw new Error(`Unsupported operator for custom field ${key}: ${op}`);
+  }
+}
+
+function toNumber(value, field) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new Error(`${field} needs a numeric value`);
+  }
+  return number;
+}
+
+function toDate(value, field) {
+  const date = new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+    throw new Error(`${field} needs a valid date`);
+  }
+  return date.toISOString();
+}
+
+function toDays(value, field) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days <= 0 || days > 3650) {
+    throw new Error(`${field} needs a number of days between 1 and 3650`);
+  }
+  return days;
+}
+
+function toRange(value, field, convert) {
+  if (!Array.isArray(value) || value.length !== 2) {
+    throw new Error(`${field} between needs a [from, to] pair`);
+  }
+  return value.map(v => convert(v, field));
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+module.exports = {
+  compileFilter,
+  validateFilter,
+  isEmptyFilter
+};
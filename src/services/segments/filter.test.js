@@ -0,0 +1,146 @@
+const { compileFilter, validateFilter, isEmptyFilter } = require('./filter');
+
+describe('segment filters', () => {
+  describe('isEmptyFilter', () => {
+    it('treats a missing or empty filter as matching everyone', () => {
+      expect(isEmptyFilter(null)).toBe(true);
+      expect(isEmptyFilter(undefined)).toBe(true);
+      expect(isEmptyFilter({})).toBe(true);
+      expect(compileFilter({}, [])).toBe('');
+    });
+  });
+
+  describe('field whitelisting', () => {
+    it('maps known fields to their contact columns', () => {
+      const params = [];
+      expect(compileFilter({ field: 'total_spent', op: 'gte', value: 100 }, params))
+        .toBe('c.total_spent >= $1');
+      expect(compileFilter({ field: 'last_order_at', op: 'exists' }, params))
+        .toBe('c.last_order_at IS NOT NULL');
+    });
+
+    it('rejects fields outside the whitelist', () => {
+      expect(() => compileFilter({ field: 'phone', op: 'eq', value: '1' }, []))
+        .toThrow('Unknown filter field: phone');
+      expect(() => compileFilter({ field: 'total_spent; DROP TABLE contacts', op: 'eq', value: 1 }, []))
+        .toThrow(/Unknown filter field/);
+    });
+
+    it('only accepts plain custom field names', () => {
+      expect(() => compileFilter({ field: "custom_fields.a' OR '1'='1", op: 'exists' }, []))
+        .toThrow(/Invalid custom field name/);
+      expect(() => compileFilter({ field: 'custom_fields.', op: 'exists' }, []))
+        .toThrow(/Invalid custom field name/);
+    });
+
+    it('rejects operators a field does not support', () => {
+      expect(() => compileFilter({ field: 'total_spent', op: 'like', value: 1 }, []))
+        .toThrow('Unsupported operator for total_spent: like');
+      expect(() => compileFilter({ field: 'tags', op: 'eq', value: ['vip'] }, []))
+        .toThrow('Unsupported operator for tags: eq');
+      expect(() => compileFilter({ field: 'engagement', op: 'bounced', value: 30 }, []))
+        .toThrow('Unsupported engagement event: bounced');
+    });
+  });
+
+  describe('parameter binding', () => {
+    it('binds every value instead of inlining it', () => {
+      const params = [];
+      const sql = compileFilter({
+        all: [
+          { field: 'custom_fields.favorite_strain', op: 'eq', value: "Blue'; --" },
+          { field: 'tags', op: 'excludes', value: ['wholesale'] },
+          { field: 'engagement', op: 'clicked', value: 30, channel: 'sms' }
+        ]
+      }, params);
+
+      expect(sql).toBe(
+        '((c.custom_fields->>$1) = $2'
+        + ' AND NOT (c.tags && $3::text[])'
+        + ' AND EXISTS (SELECT 1 FROM messages m WHERE m.contact_id = c.id'
+        + ' AND m.clicked_at > NOW() - make_interval(days => $4) AND m.type = $5))'
+      );
+      expect(sql).not.toContain('Blue');
+      expect(params).toEqual(['favorite_strain', "Blue'; --", ['wholesale'], 30, 'sms']);
+    });
+
+    it('numbers placeholders after values already on the params list', () => {
+      const params = ['tenant'];
+      expect(compileFilter({ field: 'total_orders', op: 'between', value: [1, 5] }, params))
+        .toBe('c.total_orders BETWEEN $2 AND $3');
+      expect(params).toEqual(['tenant', 1, 5]);
+    });
+
+    it('escapes LIKE wildcards in contains', () => {
+      const params = [];
+      compileFilter({ field: 'custom_fields.code', op: 'contains', value: '50%_off' }, params);
+      expect(params[1]).toBe('%50\\%\\_off%');
+    });
+
+    it('normalizes dates to ISO strings', () => {
+      const params = [];
+      compileFilter({ field: 'created_at', op: 'after', value: '2024-01-01T00:00:00Z' }, params);
+      expect(params).toEqual(['2024-01-01T00:00:00.000Z']);
+    });
+  });
+
+  describe('groups', () => {
+    it('joins all with AND, any with OR, and negates not', () => {
+      const params = [];
+      const sql = compileFilter({
+        any: [
+          { field: 'total_orders', op: 'gt', value: 0 },
+          { not: { field: 'tags', op: 'includes_any', value: ['vip'] } }
+        ]
+      }, params);
+      expect(sql).toBe('(c.total_orders > $1 OR NOT c.tags && $2::text[])');
+    });
+
+    it('rejects a node with both all and any', () => {
+      const filter = {
+        all: [{ field: 'total_orders', op: 'gt', value: 0 }],
+        any: [{ field: 'total_spent', op: 'gt', value: 100 }]
+      };
+      expect(() => compileFilter(filter, [])).toThrow(/"all" or "any", not both/);
+      expect(validateFilter(filter).valid).toBe(false);
+    });
+
+    it('rejects empty groups', () => {
+      expect(() => compileFilter({ all: [] }, [])).toThrow(/non-empty array/);
+      expect(() => compileFilter({ any: 'x' }, [])).toThrow(/non-empty array/);
+    });
+
+    it('limits nesting depth and condition count', () => {
+      let deep = { field: 'total_orders', op: 'gt', value: 0 };
+      for (let i = 0; i < 7; i++) deep = { not: deep };
+      expect(() => compileFilter(deep, [])).toThrow(/nested more than 5 levels/);
+
+      const many = { any: Array.from({ length: 51 }, () => ({ field: 'total_orders', op: 'gt', value: 0 })) };
+      expect(() => compileFilter(many, [])).toThrow(/more than 50 conditions/);
+    });
+  });
+
+  describe('invalid input', () => {
+    it.each([
+      ['a non-object filter', 'total_spent > 0', 'Filter must be an object'],
+      ['an array filter', [], 'Filter must be an object'],
+      ['a condition without a field', { op: 'eq', value: 1 }, 'Condition is missing a field'],
+      ['a non-numeric number', { field: 'total_spent', op: 'gt', value: 'lots' }, 'total_spent needs a numeric value'],
+      ['an invalid date', { field: 'created_at', op: 'before', value: 'yesterday' }, 'created_at needs a valid date'],
+      ['a bad range', { field: 'total_spent', op: 'between', value: [1] }, 'total_spent between needs a [from, to] pair'],
+      ['too many days', { field: 'last_order_at', op: 'within_days', value: 5000 }, 'last_order_at needs a number of days between 1 and 3650'],
+      ['fractional days', { field: 'engagement', op: 'opened', value: 1.5 }, 'engagement needs a number of days between 1 and 3650'],
+      ['an unknown channel', { field: 'engagement', op: 'opened', value: 7, channel: 'push' }, 'Unsupported engagement channel: push'],
+      ['empty tags', { field: 'tags', op: 'includes_any', value: [] }, 'tags conditions need a non-empty array of tags'],
+      ['a custom field compared to an object', { field: 'custom_fields.x', op: 'eq', value: {} }, 'custom field x needs a value to compare'],
+      ['a non-object group member', { all: ['total_spent'] }, 'Filter nodes must be objects']
+    ])('rejects %s', (label, filter, error) => {
+      expect(validateFilter(filter)).toEqual({ valid: false, error });
+    });
+
+    it('accepts a well-formed filter', () => {
+      expect(validateFilter({ field: 'custom_fields.visits', op: 'gte', value: '3' })).toEqual({ valid: true });
+      expect(validateFilter(null)).toEqual({ valid: true });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const db = require('../../db');
+const logger = require('../../utils/logger');
+const { compileFilter, validateFilter } = require('./filter');
+
+// Campaign statuses that still read their segment when sending
+const ACTIVE_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'paused'];
+
+class SegmentService {
+  /**
+   * List a tenant's saved segments
+   */
+  async listSegments(tenantId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, name, description, filter, created_by, created_at, updated_at
+      FROM segments
+      ORDER BY name
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Load a segment
+   */
+  async getSegment(tenantId, segmentId) {
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, name, description, filter, created_by, created_at, updated_at
+      FROM segments
+      WHERE id = $1
+    `, [segmentId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Save a new segment
+   */
+  async createSegment(tenantId, { name, description = null, filter, createdBy = null }) {
+    const validation = validateFilter(filter);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: `Invalid filter: ${validation.error}` };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      INSERT INTO segments (tenant_id, name, description, filter, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (tenant_id, name) DO NOTHING
+      RETURNING id, name, description, filter, created_by, created_at, updated_at
+    `, [tenantId, name, description, JSON.stringify(filter || {}), createdBy]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'conflict', error: `A segment named "${name}" already exists` };
+    }
+
+    logger.info('Segment created', { tenantId, segmentId: result.rows[0].id });
+    return { success: true, segment: result.rows[0] };
+  }
+
+  /**
+   * Update a segment's name, description and/or filter
+   * Campaigns using it pick up the change the next time they're read
+   */
+  async updateSegment(tenantId, segmentId, { name, description, filter }) {
+    if (filter !== undefined) {
+      const validation = validateFilter(filter);
+      if (!validation.valid) {
+        return { success: false, code: 'invalid', error: `Invalid filter: ${validation.error}` };
+      }
+    }
+
+    try {
+      const result = await db.queryWithTenant(tenantId, `
+        UPDATE segments SET
+          name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          filter = COALESCE($3, filter)
+        WHERE id = $4
+        RETURNING id, name, description, filter, created_by, created_at, updated_at
+      `, [name, description, filter === undefined ? null : JSON.stringify(filter || {}), segmentId]);
+
+      if (result.rows.length === 0) {
+        return { success: false, code: 'not_found', error: 'Segment not found' };
+      }
+
+      return { success: true, segment: result.rows[0] };
+    } catch (error) {
+      // unique_violation on (tenant_id, name)
+      if (error.code === '23505') {
+        return { success: false, code: 'conflict', error: `A segment named "${name}" already exists` };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a segment that no unfinished campaign depends on
+   */
+  async deleteSegment(tenantId, segmentId) {
+    const inUse = await db.queryWithTenant(tenantId, `
+      SELECT id, name FROM campaigns
+      WHERE segment_id = $1 AND status = ANY($2)
+    `, [segmentId, ACTIVE_CAMPAIGN_STATUSES]);
+
+    if (inUse.rows.length > 0) {
+      return {
+        success: false,
+        code: 'conflict',
+        error: 'Segment is used by campaigns that haven\'t finished',
+        campaigns: inUse.rows
+      };
+    }
+
+    const result = await db.queryWithTenant(tenantId, `
+      DELETE FROM segments WHERE id = $1 RETURNING id
+    `, [segmentId]);
+
+    if (result.rows.length === 0) {
+      return { success: false, code: 'not_found', error: 'Segment not found' };
+    }
+
+    logger.info('Segment deleted', { tenantId, segmentId });
+    return { success: true };
+  }
+
+  /**
+   * Count contacts matching a filter, and how many of them each channel can reach
+   * Reachable follows the campaign worker: consented, not opted out, age verified
+   */
+  async countContacts(tenantId, filter) {
+    const validation = validateFilter(filter);
+    if (!validation.valid) {
+      return { success: false, code: 'invalid', error: `Invalid filter: ${validation.error}` };
+    }
+
+    const params = [tenantId];
+    const condition = compileFilter(filter, params);
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (
+          WHERE c.phone IS NOT NULL AND c.sms_consent = TRUE AND c.sms_opted_out = FALSE
+            AND c.age_verified = TRUE
+            AND NOT EXISTS (SELECT 1 FROM global_opt_outs g WHERE g.phone = c.phone)
+        ) AS sms_reachable,
+        COUNT(*) FILTER (
+          WHERE c.email IS NOT NULL AND c.email_consent = TRUE AND c.email_opted_out = FALSE
+            AND c.age_verified = TRUE
+        ) AS email_reachable
+      FROM contacts c
+      WHERE c.tenant_id = $1 ${condition ? `AND ${condition}` : ''}
+    `, params);
+
+    const row = result.rows[0];
+    return {
+      success: true,
+      total: parseInt(row.total, 10),
+      smsReachable: parseInt(row.sms_reachable, 10),
+      emailReachable: parseInt(row.email_reachable, 10)
+    };
+  }
+}
+
+module.exports = new SegmentService();
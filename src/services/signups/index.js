@@ -0,0 +1,182 @@
+const config = require('../../../config');
+const db = require('../../db');
+const compliance = require('../compliance');
+const keywords = require('../keywords');
+const templates = require('../templates');
+const logger = require('../../utils/logger');
+
+class SignupService {
+  /**
+   * Whether an inbound message confirms a pending text-to-join
+   */
+  isConfirmMessage(text) {
+    return config.compliance.joinConfirmKeywords.includes((text || '').trim().toUpperCase());
+  }
+
+  /**
+   * Whether the contact texted a join keyword recently enough for YES to confirm it
+   */
+  hasPendingJoin(contact) {
+    if (!contact.sms_consent_pending_at) return false;
+
+    const windowMs = config.compliance.joinConfirmationWindowHours * 60 * 60 * 1000;
+    return Date.now() - new Date(contact.sms_consent_pending_at).getTime() < windowMs;
+  }
+
+  /**
+   * A contact who already has SMS consent and a verified age
+   */
+  isSubscribed(contact) {
+    return contact.sms_consent && !contact.sms_opted_out && contact.age_verified;
+  }
+
+  /**
+   * Step 1 of text-to-join: mark the contact pending and build the confirmation
+   * prompt. Returns { pending, reply } - pending is false for existing subscribers.
+   */
+  async startKeywordJoin(tenantId, { contact, keyword, locationId, messageId, text }) {
+    const { tenant } = await templates.loadContext(tenantId, contact, locationId);
+    const brand = tenant.company_name || tenant.name;
+
+    if (this.isSubscribed(contact)) {
+      return {
+        pending: false,
+        reply: `${brand}: You're already subscribed. Reply HELP for help, STOP to cancel.`
+      };
+    }
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE contacts SET
+        sms_consent_pending_at = NOW(),
+        primary_location_id = COALESCE(primary_location_id, $1)
+      WHERE id = $2
+    `, [locationId, contact.id]);
+
+    await compliance.recordConsentEvent(tenantId, {
+      contactId: contact.id,
+      event: 'join_requested',
+      method: 'keyword',
+      locationId,
+      keywordId: keyword.id,
+      keyword: keyword.keyword,
+      messageId,
+      content: text
+    });
+
+    logger.info('Text-to-join started', { tenantId, contactId: contact.id, keyword: keyword.keyword });
+
+    return {
+      pending: true,
+      reply: `${brand}: Reply YES to confirm you are 21+ and agree to receive recurring marketing texts. ` +
+        'Msg frequency varies. Msg & data rates may apply. Reply HELP for help, STOP to cancel.'
+    };
+  }
+
+  /**
+   * Record the confirmation prompt that went out - the disclosure the consumer agreed to
+   */
+  async recordPromptSent(tenantId, { contact, keyword, locationId, messageId, content }) {
+    await compliance.recordConsentEvent(tenantId, {
+      contactId: contact.id,
+      event: 'confirmation_sent',
+      method: 'keyword',
+      locationId,
+      keywordId: keyword.id,
+      keyword: keyword.keyword,
+      messageId,
+      content
+    });
+  }
+
+  /**
+   * Step 2 of text-to-join: the YES reply grants SMS consent and confirms the
+   * contact is 21+. Runs the join keyword's actions and returns the welcome reply.
+   */
+  async confirmKeywordJoin(tenantId, { contact, locationId, messageId, text }) {
+    // The join request being confirmed (its keyword carries the welcome and actions)
+    const requestResult = await db.queryWithTenant(tenantId, `
+      SELECT ce.keyword_id, ce.keyword, ce.location_id
+      FROM consent_events ce
+      WHERE ce.contact_id = $1 AND ce.event = 'join_requested'
+      ORDER BY ce.created_at DESC
+      LIMIT 1
+    `, [contact.id]);
+    const request = requestResult.rows[0] || {};
+
+    await db.queryWithTenant(tenantId, `
+      UPDATE contacts SET
+        sms_consent = TRUE,
+        sms_consent_at = NOW(),
+        sms_consent_method = 'keyword',
+        sms_opted_out = FALSE,
+        sms_consent_pending_at = NULL,
+        age_verified_at = CASE WHEN age_verified THEN age_verified_at ELSE NOW() END,
+        age_verification_method = CASE WHEN age_verified THEN age_verification_method ELSE 'keyword_reply' END,
+        age_verified = TRUE,
+        erased_at = NULL -- Joined again after an erasure
+      WHERE id = $1
+    `, [contact.id]);
+
+    // Same opt-in trail as a START reply
+    await db.queryWithTenant(tenantId, `
+      INSERT INTO opt_out_log (tenant_id, contact_id, channel, address, action, method, keyword, source_message_id)
+      VALUES ($1, $2, 'sms', $3, 'opt_in', 'keyword', $4, $5)
+    `, [tenantId, contact.id, contact.phone, request.keyword || null, messageId]);
+
+    await db.query('DELETE FROM global_opt_outs WHERE phone = $1', [contact.phone]);
+
+    for (const event of ['consent_confirmed', 'age_confirmed']) {
+      await compliance.recordConsentEvent(tenantId, {
+        contactId: contact.id,
+        event,
+        method: 'keyword',
+        locationId: request.location_id || locationId,
+        keywordId: request.keyword_id || null,
+        keyword: request.keyword || null,
+        messageId,
+        content: text
+      });
+    }
+
+    logger.info('Text-to-join confirmed', { tenantId, contactId: contact.id, keyword: request.keyword });
+
+    const keyword = await this.loadJoinKeyword(tenantId, request.keyword_id);
+    const confirmed = { ...contact, sms_consent: true, sms_opted_out: false, age_verified: true };
+
+    if (keyword) {
+      await keywords.runActions(tenantId, keyword, contact.id);
+    }
+
+    // Welcome series and other new-subscriber automations
+    // Lazy require - contacts pulls in the automation engine, which pulls in the queues and SMS
+    await require('../contacts').contactCreated(tenantId, contact.id);
+
+    let reply;
+    if (keyword && keyword.reply) {
+      reply = await keywords.buildReply(tenantId, keyword, confirmed, locationId);
+    } else {
+      const { tenant } = await templates.loadContext(tenantId, confirmed, locationId);
+      reply = `${tenant.company_name || tenant.name}: Thanks for joining! ` +
+        'Msg & data rates may apply. Reply HELP for help, STOP to cancel.';
+    }
+
+    return { reply, keyword: request.keyword || null };
+  }
+
+  /**
+   * Load the keyword a join came from, if it's still active
+   */
+  async loadJoinKeyword(tenantId, keywordId) {
+    if (!keywordId) return null;
+
+    const result = await db.queryWithTenant(tenantId, `
+      SELECT id, location_id, keyword, type, reply, actions
+      FROM keywords
+      WHERE id = $1 AND status = 'active'
+    `, [keywordId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new SignupService();
@@ -0,0 +1,100 @@
+/**
+ * SMS segment and cost calculator
+ *
+ * Messages that fit the GSM-7 alphabet are 160 characters per segment (153 when
+ * split, the rest goes to the concatenation header). A single character outside
+ * it - an emoji, a smart quote - switches the whole message to UCS-2, which is
+ * 70 per segment (67 when split).
+ */
+
+const config = require('../../../config');
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extended characters take an escape plus the character (2 septets)
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+// Common characters that force UCS-2 and their GSM-7 replacements
+const REPLACEMENTS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '…': '...',
+  ' ': ' ', '•': '-', '´': "'"
+};
+
+/**
+ * Count a message's segments
+ * Returns { encoding, length, segments, perSegment, remaining, unicodeCharacters, warnings }
+ */
+function calculateSegments(text = '') {
+  const chars = Array.from(text);
+  const unicodeCharacters = [...new Set(chars.filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)))];
+  const encoding = unicodeCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+
+  // GSM-7 counts septets; UCS-2 counts UTF-16 code units (emoji are 2)
+  const length = encoding === 'GSM-7'
+    ? chars.reduce((total, char) => total + (GSM_EXTENDED.has(char) ? 2 : 1), 0)
+    : text.length;
+
+  const { single, multi } = LIMITS[encoding];
+  const segments = length === 0 ? 0 : length <= single ? 1 : Math.ceil(length / multi);
+  const perSegment = segments > 1 ? multi : single;
+
+  const warnings = unicodeCharacters.map(char => {
+    const replacement = REPLACEMENTS[char];
+    return replacement
+      ? `"${char}" forces UCS-2 encoding - replace it with "${replacement}"`
+      : `"${char}" forces UCS-2 encoding (70 characters per segment)`;
+  });
+
+  return {
+    encoding,
+    length,
+    segments,
+    perSegment,
+    remaining: segments === 0 ? single : segments * perSegment - length,
+    unicodeCharacters,
+    warnings
+  };
+}
+
+/**
+ * Cost of sending a number of segments, in cents (fractional)
+ */
+function estimateCostCents(segments) {
+  const { costPerSegmentCents, carrierFeePerSegmentCents } = config.sms;
+  return roundCents(segments * (costPerSegmentCents + carrierFeePerSegmentCents));
+}
+
+/**
+ * Segment count and cost for sending a message to a number of recipients
+ */
+function estimateSend(text, recipients = 1) {
+  const segmentInfo = calculateSegments(text);
+  const costPerMessageCents = estimateCostCents(segmentInfo.segments);
+
+  return {
+    ...segmentInfo,
+    recipients,
+    costPerMessageCents,
+    totalCostCents: roundCents(costPerMessageCents * recipients)
+  };
+}
+
+function roundCents(cents) {
+  return Math.round(cents * 10000) / 10000;
+}
+
+module.exports = {
+  calculateSegments,
+  estimateCostCents,
+  estimateSend
+};
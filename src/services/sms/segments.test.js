@@ -0,0 +1,105 @@
+const config = require('../../../config');
+const { calculateSegments, estimateCostCents, estimateSend } = require('./segments');
+
+describe('SMS segments', () => {
+  describe('GSM-7', () => {
+    it('fits 160 characters in one segment', () => {
+      const result = calculateSegments('a'.repeat(160));
+      expect(result).toMatchObject({ encoding: 'GSM-7', length: 160, segments: 1, perSegment: 160, remaining: 0 });
+    });
+
+    it('splits at 161 characters into 153-character segments', () => {
+      expect(calculateSegments('a'.repeat(161))).toMatchObject({ segments: 2, perSegment: 153, remaining: 145 });
+      expect(calculateSegments('a'.repeat(306))).toMatchObject({ segments: 2, remaining: 0 });
+      expect(calculateSegments('a'.repeat(307))).toMatchObject({ segments: 3 });
+    });
+
+    it('counts extended characters as two', () => {
+      const result = calculateSegments('€'.repeat(80));
+      expect(result).toMatchObject({ encoding: 'GSM-7', length: 160, segments: 1 });
+      expect(calculateSegments('a' + '{}'.repeat(40))).toMatchObject({ length: 161, segments: 2 });
+    });
+
+    it('keeps accented characters from the GSM alphabet in GSM-7', () => {
+      expect(calculateSegments('Café Ñoño à £5 ¿Qué?')).toMatchObject({ encoding: 'GSM-7', unicodeCharacters: [] });
+    });
+  });
+
+  describe('UCS-2', () => {
+    it('fits 70 characters in one segment', () => {
+      const result = calculateSegments('✓' + 'a'.repeat(69));
+      expect(result).toMatchObject({ encoding: 'UCS-2', length: 70, segments: 1, perSegment: 70, remaining: 0 });
+    });
+
+    it('splits at 71 characters into 67-character segments', () => {
+      expect(calculateSegments('✓' + 'a'.repeat(70))).toMatchObject({ segments: 2, perSegment: 67, remaining: 63 });
+      expect(calculateSegments('✓' + 'a'.repeat(133))).toMatchObject({ segments: 2, remaining: 0 });
+      expect(calculateSegments('✓' + 'a'.repeat(134))).toMatchObject({ segments: 3 });
+    });
+
+    it('counts an emoji as two code units', () => {
+      expect(calculateSegments('🌿' + 'a'.repeat(68))).toMatchObject({ encoding: 'UCS-2', length: 70, segments: 1 });
+      expect(calculateSegments('🌿' + 'a'.repeat(69))).toMatchObject({ length: 71, segments: 2 });
+    });
+
+    it('switches for a single smart quote and suggests a replacement', () => {
+      const result = calculateSegments('It’s 4/20');
+      expect(result.encoding).toBe('UCS-2');
+      expect(result.unicodeCharacters).toEqual(['’']);
+      expect(result.warnings).toEqual(['"’" forces UCS-2 encoding - replace it with "\'"']);
+    });
+  });
+
+  it('treats an empty message as no segments', () => {
+    expect(calculateSegments('')).toMatchObject({ encoding: 'GSM-7', length: 0, segments: 0, remaining: 160 });
+  });
+
+  describe('cost', () => {
+    const rates = { ...config.sms };
+
+    afterEach(() => {
+      Object.assign(config.sms, rates);
+    });
+
+    it('charges the per-segment rate plus the carrier fee', () => {
+      Object.assign(config.sms, { costPerSegmentCents: 0.4, carrierFeePerSegmentCents: 0.3 });
+      expect(estimateCostCents(3)).toBe(2.1);
+      expect(estimateSend('a'.repeat(161), 1000)).toMatchObject({ segments: 2, costPerMessageCents: 1.4, totalCostCents: 1400 });
+    });
+
+    it('allows a zero rate', () => {
+      Object.assign(config.sms, { costPerSegmentCents: 0, carrierFeePerSegmentCents: 0.3 });
+      expect(estimateCostCents(2)).toBe(0.6);
+    });
+  });
+});
+
+describe('SMS rate config', () => {
+  const env = { ...process.env };
+
+  const loadConfig = () => {
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require('../../../config');
+    });
+    return loaded;
+  };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('keeps a configured rate of 0', () => {
+    process.env.SMS_COST_PER_SEGMENT_CENTS = '0';
+    process.env.SMS_CARRIER_FEE_PER_SEGMENT_CENTS = '0';
+    const { sms } = loadConfig();
+    expect(sms).toEqual({ costPerSegmentCents: 0, carrierFeePerSegmentCents: 0 });
+  });
+
+  it('falls back to the defaults when unset or not a number', () => {
+    delete process.env.SMS_COST_PER_SEGMENT_CENTS;
+    process.env.SMS_CARRIER_FEE_PER_SEGMENT_CENTS = 'free';
+    const { sms } = loadConfig();
+    expect(sms).toEqual({ costPerSegmentCents: 0.4, carrierFeePerSegmentCents: 0.3 });
+  });
+});
@@ -2,6 +2,12 @@ const Telnyx = require('telnyx');
 const config = require('../../../config');
 const db = require('../../db');
 const compliance = require('../compliance');
+const templates = require('../templates');
+const { calculateSegments, estimateCostCents } = require('./segments');
+const links = require('../links');
+const conversations = require('../conversations');
+const keywords = require('../keywords');
+const signups = require('../signups');
 const logger = require('../../utils/logger');
 
 const telnyx = Telnyx(config.telnyx.apiKey);
@@ -30,6 +36,9 @@ class TelnyxService {
 
     const contact = complianceResult.contact;
 
+    // Fill in merge fields - the rendered text is what's scanned, stored and sent
+    ({ content } = await templates.renderForContact(tenantId, contact, locationId, { content }));
+
     // 2. Content compliance scan
     const contentScan = compliance.scanContent(content, contact.state);
     if (!contentScan.approved) {
@@ -56,20 +65,39 @@ class TelnyxService {
     // Fallback to messaging profile if no location number
     const messagingProfileId = config.telnyx.messagingProfileId;
 
-    // 4. Create message record
+    // 4. Create message record (segments/cost estimated until Telnyx reports parts)
+    let { segments: estimatedSegments } = calculateSegments(content);
     const messageResult = await db.queryWithTenant(tenantId, `
       INSERT INTO messages (
         tenant_id, campaign_id, contact_id, location_id,
         type, direction, to_address, from_address, content,
-        status, provider, consent_verified_at, quiet_hours_checked_at
-      ) VALUES ($1, $2, $3, $4, 'sms', 'outbound', $5, $6, $7, 'queued', 'telnyx', NOW(), NOW())
+        status, provider, consent_verified_at, quiet_hours_checked_at,
+        segments, cost_cents
+      ) VALUES ($1, $2, $3, $4, 'sms', 'outbound', $5, $6, $7, 'queued', 'telnyx', NOW(), NOW(), $8, $9)
       RETURNING id
-    `, [tenantId, campaignId, contactId, locationId, contact.phone, fromNumber, content]);
+    `, [
+      tenantId, campaignId, contactId, locationId, contact.phone, fromNumber, content,
+      estimatedSegments, estimateCostCents(estimatedSegments)
+    ]);
 
     const messageId = messageResult.rows[0].id;
 
     // 5. Send via Telnyx
     try {
+      // Swap URLs for tracked short links (tied to this message, so after the insert)
+      if (config.links.trackSms) {
+        const shortened = await links.shortenLinks(tenantId, content, { messageId, campaignId, contactId });
+
+        if (shortened.links.length > 0) {
+          content = shortened.content;
+          ({ segments: estimatedSegments } = calculateSegments(content));
+
+          await db.queryWithTenant(tenantId, `
+            UPDATE messages SET content = $1, segments = $2, cost_cents = $3 WHERE id = $4
+          `, [content, estimatedSegments, estimateCostCents(estimatedSegments), messageId]);
+        }
+      }
+
       const telnyxParams = {
         to: contact.phone,
         text: content
@@ -83,6 +111,7 @@ class TelnyxService {
       }
 
       const response = await telnyx.messages.create(telnyxParams);
+      const segments = response.data.parts || estimatedSegments;
 
       // 6. Update message with Telnyx response
       await db.queryWithTenant(tenantId, `
@@ -90,9 +119,10 @@ class TelnyxService {
           provider_message_id = $1,
           status = 'sent',
           sent_at = NOW(),
-          segments = $2
-        WHERE id = $3
-      `, [response.data.id, response.data.parts || 1, messageId]);
+          segments = $2,
+          cost_cents = $3
+        WHERE id = $4
+      `, [response.data.id, segments, estimateCostCents(segments), messageId]);
 
       logger.info('SMS sent successfully', { 
         tenantId, 
@@ -104,7 +134,7 @@ class TelnyxService {
         success: true,
         messageId,
         telnyxId: response.data.id,
-        segments: response.data.parts || 1
+        segments
       };
 
     } catch (error) {
@@ -112,7 +142,8 @@ class TelnyxService {
       await db.queryWithTenant(tenantId, `
         UPDATE messages SET
           status = 'failed',
-          provider_error = $1
+          provider_error = $1,
+          cost_cents = 0
         WHERE id = $2
       `, [error.message, messageId]);
 
@@ -154,27 +185,29 @@ class TelnyxService {
     const { location_id, tenant_id } = locationResult.rows[0];
 
     // Find or create contact
-    let contactResult = await db.queryWithTenant(tenant_id, `
-      SELECT id FROM contacts WHERE phone = $1
-    `, [normalizedFrom]);
-
-    let contactId = null;
-    if (contactResult.rows.length > 0) {
-      contactId = contactResult.rows[0].id;
-    }
+    const contactId = await this.findOrCreateInboundContact(tenant_id, normalizedFrom, location_id);
 
-    // Log the inbound message
+    // Log the inbound message - keyed on the Telnyx id, since a failed webhook is retried
     const messageResult = await db.queryWithTenant(tenant_id, `
       INSERT INTO messages (
         tenant_id, contact_id, location_id,
         type, direction, to_address, from_address, content,
         status, provider, provider_message_id
       ) VALUES ($1, $2, $3, 'sms', 'inbound', $4, $5, $6, 'delivered', 'telnyx', $7)
+      ON CONFLICT (provider_message_id) WHERE direction = 'inbound' AND provider_message_id IS NOT NULL
+      DO NOTHING
       RETURNING id
     `, [tenant_id, contactId, location_id, normalizedTo, normalizedFrom, text, telnyxMessageId]);
 
+    if (messageResult.rows.length === 0) {
+      return this.handleDuplicateInbound(tenant_id, { contactId, normalizedFrom, normalizedTo, text, telnyxMessageId });
+    }
+
     const messageId = messageResult.rows[0].id;
 
+    // Thread it into the location's inbox
+    const conversationId = await conversations.recordInbound(tenant_id, { contactId, locationId: location_id });
+
     // Check for opt-out keywords
     if (compliance.isOptOutMessage(text)) {
       await compliance.processOptOut(
@@ -195,13 +228,37 @@ class TelnyxService {
       };
     }
 
-    // Check for opt-in keywords
-    if (compliance.isOptInMessage(text)) {
-      await compliance.processOptIn(
+    const contactResult = await db.queryWithTenant(tenant_id, `
+      SELECT * FROM contacts WHERE id = $1
+    `, [contactId]);
+    const contact = contactResult.rows[0];
+
+    // Text-to-join confirmation - checked before opt-in, which also matches YES
+    if (signups.isConfirmMessage(text) && signups.hasPendingJoin(contact)) {
+      const join = await signups.confirmKeywordJoin(tenant_id, { contact, locationId: location_id, messageId, text });
+      await this.sendKeywordReply(tenant_id, contact, location_id, normalizedTo, join.reply);
+
+      return {
+        success: true,
+        action: 'join_confirmed',
+        keyword: join.keyword,
+        messageId,
+        tenantId: tenant_id,
+        contactId,
+        conversationId
+      };
+    }
+
+    // START/YES re-subscribes a contact who opted out. Anyone else falls through to
+    // keywords and the inbox - texting in isn't consent
+    if (compliance.isOptInMessage(text) && contact.sms_opted_out) {
+      // Restores the consent they had before opting out - it doesn't grant new consent
+      const optIn = await compliance.processOptIn(
         tenant_id, 
         normalizedFrom, 
         'sms', 
-        'keyword_reply'
+        'keyword_reply',
+        messageId
       );
 
       // Send opt-in confirmation
@@ -210,20 +267,135 @@ class TelnyxService {
       return { 
         success: true, 
         action: 'opt_in', 
+        consentRestored: Boolean(optIn.consentRestored),
         messageId 
       };
     }
 
-    // Regular inbound message - could trigger automation here
+    // Keyword auto-responders - HELP/INFO is answered even after opting out (carrier requirement)
+    const keyword = await keywords.findKeyword(tenant_id, location_id, text);
+    if (keyword && keyword.type === 'join') {
+      const join = await signups.startKeywordJoin(tenant_id, { contact, keyword, locationId: location_id, messageId, text });
+      const reply = await this.sendKeywordReply(tenant_id, contact, location_id, normalizedTo, join.reply);
+
+      if (join.pending) {
+        await signups.recordPromptSent(tenant_id, {
+          contact, keyword, locationId: location_id, messageId: reply.messageId, content: join.reply
+        });
+      }
+
+      return {
+        success: true,
+        action: join.pending ? 'join_requested' : 'keyword',
+        keyword: keyword.keyword,
+        messageId,
+        tenantId: tenant_id,
+        contactId,
+        conversationId
+      };
+    }
+
+    if (keyword) {
+      if (!contact.sms_opted_out || keywords.isHelpMessage(keyword.keyword)) {
+        const reply = await keywords.buildReply(tenant_id, keyword, contact, location_id);
+        await this.sendKeywordReply(tenant_id, contact, location_id, normalizedTo, reply);
+      }
+
+      if (!contact.sms_opted_out) {
+        await keywords.runActions(tenant_id, keyword, contactId);
+      }
+
+      return {
+        success: true,
+        action: 'keyword',
+        keyword: keyword.keyword,
+        messageId,
+        tenantId: tenant_id,
+        contactId,
+        conversationId
+      };
+    }
+
+    // Regular inbound message - waits in the conversation inbox for staff
     return { 
       success: true, 
       action: 'received', 
       messageId,
       tenantId: tenant_id,
-      contactId
+      contactId,
+      conversationId
     };
   }
 
+  /**
+   * Look up the sender of an inbound text, creating a stub contact for unknown numbers
+   * Stubs carry no consent - texting in isn't opting in to marketing
+   */
+  async findOrCreateInboundContact(tenantId, phone, locationId) {
+    const existing = await db.queryWithTenant(tenantId, `
+      SELECT id FROM contacts WHERE phone = $1
+    `, [phone]);
+
+    if (existing.rows.length > 0) {
+      return existing.rows[0].id;
+    }
+
+    const created = await db.queryWithTenant(tenantId, `
+      INSERT INTO contacts (tenant_id, phone, primary_location_id, tags)
+      VALUES ($1, $2, $3, ARRAY['inbound_sms'])
+      ON CONFLICT (tenant_id, phone) DO NOTHING
+      RETURNING id
+    `, [tenantId, phone, locationId]);
+
+    if (created.rows.length > 0) {
+      logger.info('Stub contact created from inbound SMS', { tenantId, contactId: created.rows[0].id });
+      return created.rows[0].id;
+    }
+
+    // Created concurrently by another inbound message
+    const raced = await db.queryWithTenant(tenantId, `
+      SELECT id FROM contacts WHERE phone = $1
+    `, [phone]);
+    return raced.rows[0].id;
+  }
+
+  /**
+   * Send a keyword auto-reply and log it in the conversation
+   * Bypasses consent checks - it answers a text the contact just sent
+   */
+  async sendKeywordReply(tenantId, contact, locationId, from, content) {
+    const { segments } = calculateSegments(content);
+    const messageResult = await db.queryWithTenant(tenantId, `
+      INSERT INTO messages (
+        tenant_id, contact_id, location_id,
+        type, direction, to_address, from_address, content,
+        status, provider, segments, cost_cents
+      ) VALUES ($1, $2, $3, 'sms', 'outbound', $4, $5, $6, 'queued', 'telnyx', $7, $8)
+      RETURNING id
+    `, [tenantId, contact.id, locationId, contact.phone, from, content, segments, estimateCostCents(segments)]);
+
+    const messageId = messageResult.rows[0].id;
+
+    try {
+      const response = await telnyx.messages.create({ to: contact.phone, from, text: content });
+
+      await db.queryWithTenant(tenantId, `
+        UPDATE messages SET provider_message_id = $1, status = 'sent', sent_at = NOW()
+        WHERE id = $2
+      `, [response.data.id, messageId]);
+
+      logger.info('Keyword reply sent', { tenantId, messageId });
+      return { success: true, messageId };
+    } catch (error) {
+      await db.queryWithTenant(tenantId, `
+        UPDATE messages SET status = 'failed', provider_error = $1, cost_cents = 0 WHERE id = $2
+      `, [error.message, messageId]);
+
+      logger.error('Failed to send keyword reply', { tenantId, messageId, error: error.message });
+      return { success: false, messageId, error: error.message };
+    }
+  }
+
   /**
    * Send opt-out confirmation (TCPA required)
    */
@@ -256,6 +428,31 @@ class TelnyxService {
     }
   }
 
+  /**
+   * A retried inbound message we've already stored. The inbox, replies and
+   * keyword actions already happened (or were attempted) the first time, so
+   * only an opt-out that didn't take is finished off.
+   */
+  async handleDuplicateInbound(tenantId, { contactId, normalizedFrom, normalizedTo, text, telnyxMessageId }) {
+    const existing = await db.queryWithTenant(tenantId, `
+      SELECT m.id, c.sms_opted_out
+      FROM messages m
+      JOIN contacts c ON c.id = $2
+      WHERE m.provider_message_id = $1 AND m.direction = 'inbound'
+    `, [telnyxMessageId, contactId]);
+    const messageId = existing.rows[0]?.id || null;
+
+    logger.info('Duplicate inbound SMS ignored', { tenantId, telnyxMessageId, messageId });
+
+    if (compliance.isOptOutMessage(text) && existing.rows[0] && !existing.rows[0].sms_opted_out) {
+      await compliance.processOptOut(tenantId, normalizedFrom, 'sms', 'keyword_reply', messageId);
+      await this.sendOptOutConfirmation(tenantId, normalizedFrom, normalizedTo);
+      return { success: true, action: 'opt_out', messageId };
+    }
+
+    return { success: true, action: 'duplicate', messageId };
+  }
+
   /**
    * Update message status from webhook
    */
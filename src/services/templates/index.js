@@ -0,0 +1,174 @@
+/**
+ * Merge fields for message content
+ *
+ * Placeholders look like {{first_name}} or {{first_name | there}} (a default used
+ * when the contact has no value). Supported fields:
+ *   first_name, last_name, phone, email
+ *   location.name, location.address, location.city, location.state, location.zip, location.phone
+ *   tenant.name, tenant.company_name, tenant.company_address, tenant.support_email, tenant.support_phone
+ *   custom_fields.<key>
+ */
+
+const db = require('../../db');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.-]+)\s*(?:\|\s*(.*?)\s*)?\}\}/g;
+
+const CONTACT_FIELDS = ['first_name', 'last_name', 'phone', 'email'];
+
+// Template field -> column it's read from
+const LOCATION_FIELDS = {
+  name: 'name',
+  address: 'address',
+  city: 'city',
+  state: 'state',
+  zip: 'zip',
+  phone: 'sms_phone_number'
+};
+
+const TENANT_FIELDS = {
+  name: 'name',
+  company_name: 'company_name',
+  company_address: 'company_address',
+  support_email: 'support_email',
+  support_phone: 'support_phone'
+};
+
+const CUSTOM_FIELD_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check every placeholder in a template refers to a known field
+ * Returns { valid: true, fields } or { valid: false, error }
+ */
+function validateTemplate(text) {
+  if (!text) return { valid: true, fields: [] };
+
+  const fields = [];
+  for (const [, field] of text.matchAll(PLACEHOLDER)) {
+    if (!isKnownField(field)) {
+      return { valid: false, error: `Unknown merge field: {{${field}}}` };
+    }
+    fields.push(field);
+  }
+
+  // Anything brace-like left over is a malformed placeholder
+  const leftover = text.replace(PLACEHOLDER, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    return { valid: false, error: 'Malformed merge field (check the {{ }} braces)' };
+  }
+
+  return { valid: true, fields };
+}
+
+function isKnownField(field) {
+  const [scope, ...rest] = field.split('.');
+  const name = rest.join('.');
+
+  if (rest.length === 0) return CONTACT_FIELDS.includes(scope);
+  if (scope === 'location') return Object.hasOwn(LOCATION_FIELDS, name);
+  if (scope === 'tenant') return Object.hasOwn(TENANT_FIELDS, name);
+  if (scope === 'custom_fields') return CUSTOM_FIELD_KEY.test(name);
+  return false;
+}
+
+/**
+ * Whether a template has any placeholders to fill
+ */
+function hasMergeFields(text) {
+  return Boolean(text) && /\{\{[\s\S]*?\}\}/.test(text);
+}
+
+/**
+ * Fill a template's placeholders from a context of { contact, location, tenant }
+ * Pass { html: true } to escape values going into HTML
+ */
+function renderTemplate(text, { contact = {}, location = {}, tenant = {} }, { html = false } = {}) {
+  if (!text) return text;
+
+  return text.replace(PLACEHOLDER, (match, field, fallback) => {
+    let value = resolveField(field, { contact, location, tenant });
+
+    if (value === null || value === undefined || value === '') {
+      value = fallback === undefined ? '' : unquote(fallback);
+    }
+
+    value = String(value);
+    return html ? escapeHtml(value) : value;
+  });
+}
+
+function resolveField(field, { contact, location, tenant }) {
+  const [scope, ...rest] = field.split('.');
+  const name = rest.join('.');
+
+  if (rest.length === 0) return CONTACT_FIELDS.includes(scope) ? contact[scope] : null;
+  if (scope === 'location') return location && LOCATION_FIELDS[name] ? location[LOCATION_FIELDS[name]] : null;
+  if (scope === 'tenant') return tenant && TENANT_FIELDS[name] ? tenant[TENANT_FIELDS[name]] : null;
+  if (scope === 'custom_fields') {
+    const value = (contact.custom_fields || {})[name];
+    return typeof value === 'object' ? null : value;
+  }
+  return null;
+}
+
+function unquote(text) {
+  const quoted = text.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2] : text;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load what a contact's templates can reference: their location (the sending
+ * location, falling back to their primary one) and the tenant
+ */
+async function loadContext(tenantId, contact, locationId = null) {
+  const [locationResult, tenantResult] = await Promise.all([
+    db.queryWithTenant(tenantId, `
+      SELECT name, address, city, state, zip, sms_phone_number
+      FROM locations WHERE id = $1
+    `, [locationId || contact.primary_location_id || null]),
+    db.query(`
+      SELECT name, company_name, company_address, support_email, support_phone
+      FROM tenants WHERE id = $1
+    `, [tenantId])
+  ]);
+
+  return {
+    contact,
+    location: locationResult.rows[0] || {},
+    tenant: tenantResult.rows[0] || {}
+  };
+}
+
+/**
+ * Render each of a message's parts for a contact
+ * parts is e.g. { content } or { subject, html, text }; HTML parts are escaped.
+ * Skips the lookups entirely when nothing has merge fields.
+ */
+async function renderForContact(tenantId, contact, locationId, parts) {
+  if (!Object.values(parts).some(hasMergeFields)) return parts;
+
+  const context = await loadContext(tenantId, contact, locationId);
+
+  const rendered = {};
+  for (const [key, text] of Object.entries(parts)) {
+    rendered[key] = renderTemplate(text, context, { html: key === 'html' });
+  }
+  return rendered;
+}
+
+module.exports = {
+  validateTemplate,
+  hasMergeFields,
+  renderTemplate,
+  renderForContact,
+  loadContext,
+  escapeHtml
+};
@@ -0,0 +1,146 @@
+const db = require('../../db');
+const logger = require('../../utils/logger');
+
+// An event still 'received' or 'processing' this long after arriving never made
+// it through the queue (a failed enqueue, a worker that died mid-job)
+const STALE_EVENT_INTERVAL = '15 minutes';
+
+class WebhookEventLog {
+  /**
+   * Store an inbound event, deduplicated on (provider, event_id)
+   * Returns { id, duplicate, status } - a duplicate carries the stored event's
+   * id and status, so one that was stored but never queued can be queued now
+   */
+  async recordEvent({ provider, eventId, eventType, payload }) {
+    const result = await db.query(`
+      INSERT INTO webhook_events (provider, event_id, event_type, payload)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (provider, event_id) DO NOTHING
+      RETURNING id
+    `, [provider, eventId, eventType, payload]);
+
+    if (result.rows.length === 0) {
+      const existing = await db.query(`
+        SELECT id, status FROM webhook_events WHERE provider = $1 AND event_id = $2
+      `, [provider, eventId]);
+      const { id = null, status = null } = existing.rows[0] || {};
+
+      logger.info('Duplicate webhook event', { provider, eventId, eventType, status });
+      return { id, duplicate: true, status };
+    }
+
+    return { id: result.rows[0].id, duplicate: false, status: 'received' };
+  }
+
+  /**
+   * Load an event and mark it as being processed
+   * Returns null if the event doesn't exist or was already processed
+   */
+  async startProcessing(id) {
+    const result = await db.query(`
+      UPDATE webhook_events
+      SET status = 'processing', attempts = attempts + 1
+      WHERE id = $1 AND status != 'processed'
+      RETURNING id, provider, event_id, event_type, payload, attempts
+    `, [id]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark an event as successfully processed
+   */
+  async markProcessed(id) {
+    await db.query(`
+      UPDATE webhook_events
+      SET status = 'processed', processed_at = NOW(), last_error = NULL
+      WHERE id = $1
+    `, [id]);
+  }
+
+  /**
+   * Mark an event as failed (it may still be retried by the queue)
+   */
+  async markFailed(id, error) {
+    await db.query(`
+      UPDATE webhook_events
+      SET status = 'failed', last_error = $2
+      WHERE id = $1
+    `, [id, error]);
+  }
+
+  /**
+   * List events, newest first
+   */
+  async listEvents({ provider, status, from, to, limit = 100 }) {
+    const conditions = [];
+    const params = [];
+
+    if (provider) {
+      params.push(provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`received_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`received_at <= $${params.length}`);
+    }
+
+    params.push(Math.min(parseInt(limit, 10) || 100, 1000));
+
+    const result = await db.query(`
+      SELECT id, provider, event_id, event_type, status, attempts, last_error,
+             received_at, processed_at
+      FROM webhook_events
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY received_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Reset events for reprocessing, selected by provider event ids or a time range
+   * A time range picks up failed events plus stale received/processing ones;
+   * explicit ids may be re-run whatever their status, unless they're being
+   * processed right now. Returns the reset rows' ids.
+   */
+  async resetForReplay({ provider, eventIds, from, to }) {
+    let result;
+
+    if (eventIds && eventIds.length > 0) {
+      result = await db.query(`
+        UPDATE webhook_events
+        SET status = 'received', last_error = NULL, processed_at = NULL
+        WHERE provider = $1 AND event_id = ANY($2)
+          AND (status != 'processing' OR received_at < NOW() - $3::interval)
+        RETURNING id
+      `, [provider, eventIds, STALE_EVENT_INTERVAL]);
+    } else {
+      result = await db.query(`
+        UPDATE webhook_events
+        SET status = 'received', last_error = NULL
+        WHERE provider = $1
+          AND (
+            status = 'failed'
+            OR (status IN ('received', 'processing') AND received_at < NOW() - $4::interval)
+          )
+          AND received_at >= $2
+          AND received_at <= $3
+        RETURNING id
+      `, [provider, from, to, STALE_EVENT_INTERVAL]);
+    }
+
+    return result.rows.map(row => row.id);
+  }
+}
+
+module.exports = new WebhookEventLog();
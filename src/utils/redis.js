@@ -0,0 +1,15 @@
+const Redis = require('ioredis');
+const config = require('../../config');
+const logger = require('./logger');
+
+// Shared client for small keyspace operations (not used by BullMQ, which manages its own connections)
+const redis = new Redis(config.redis.url, {
+  lazyConnect: true,
+  maxRetriesPerRequest: 3
+});
+
+redis.on('error', (error) => {
+  logger.error('Redis connection error', { error: error.message });
+});
+
+module.exports = redis;
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const emailService = require('../services/email/ses');
+const webhookEvents = require('../services/webhookEvents');
+const { queueWebhookEvent } = require('../services/queue');
+const logger = require('../utils/logger');
+
+// Signing certificates are only trusted from SNS's own hosts
+const SNS_HOST_PATTERN = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const certificateCache = new Map();
+
+/**
+ * Check that a URL from an SNS message points at an SNS host over HTTPS
+ */
+function isSNSUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && SNS_HOST_PATTERN.test(parsed.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build the canonical string SNS signs for a message type
+ * https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+ */
+function getStringToSign(message) {
+  const fields = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+  return fields
+    .filter(field => message[field] !== undefined)
+    .map(field => `${field}\n${message[field]}\n`)
+    .join('');
+}
+
+/**
+ * Fetch (and cache) the PEM certificate SNS signed with
+ */
+async function getSigningCertificate(url) {
+  if (!certificateCache.has(url)) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch SNS signing certificate (${response.status})`);
+    }
+    certificateCache.set(url, await response.text());
+  }
+  return certificateCache.get(url);
+}
+
+/**
+ * Verify an SNS message signature
+ */
+async function verifySNSSignature(message) {
+  if (!message.Signature || !isSNSUrl(message.SigningCertURL)) {
+    return false;
+  }
+
+  const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+
+  try {
+    const certificate = await getSigningCertificate(message.SigningCertURL);
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(getStringToSign(message), 'utf8');
+    return verifier.verify(certificate, message.Signature, 'base64');
+  } catch (error) {
+    logger.warn('SNS signature verification error', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Read the SES notification type (Bounce, Complaint, Delivery) out of an SNS message
+ */
+function getNotificationType(message) {
+  try {
+    const notification = JSON.parse(message.Message);
+    return notification.notificationType || notification.eventType || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Main SES (via SNS) webhook handler
+ * SNS posts JSON with a text/plain content type, so the body arrives as a string
+ */
+async function handleSESWebhook(req, res) {
+  let message;
+  try {
+    message = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch (error) {
+    return res.status(400).send('Invalid JSON');
+  }
+
+  if (!message || !message.Type) {
+    return res.status(400).send('Missing SNS message');
+  }
+
+  if (config.aws.ses.verifyNotifications && !(await verifySNSSignature(message))) {
+    logger.warn('Invalid SNS signature', { ip: req.ip, type: message.Type });
+    return res.status(401).send('Invalid signature');
+  }
+
+  // Only our own topic is trusted - anyone can point an SNS topic at this URL and
+  // have it signed by AWS, so without a configured topic nothing is accepted
+  if (!config.aws.ses.snsTopicArn) {
+    logger.error('SES_SNS_TOPIC_ARN is not set - rejecting SNS message', { topicArn: message.TopicArn, type: message.Type });
+    return res.status(503).send('Not configured');
+  }
+
+  if (message.TopicArn !== config.aws.ses.snsTopicArn) {
+    logger.warn('SNS message from unexpected topic', { topicArn: message.TopicArn });
+    return res.status(403).send('Unexpected topic');
+  }
+
+  try {
+    switch (message.Type) {
+      case 'SubscriptionConfirmation': {
+        if (!isSNSUrl(message.SubscribeURL)) {
+          return res.status(400).send('Invalid SubscribeURL');
+        }
+        const response = await fetch(message.SubscribeURL);
+        logger.info('SNS subscription confirmed', { topicArn: message.TopicArn, status: response.status });
+        return res.status(200).send('OK');
+      }
+
+      case 'UnsubscribeConfirmation':
+        logger.warn('SNS subscription removed', { topicArn: message.TopicArn });
+        return res.status(200).send('OK');
+
+      case 'Notification': {
+        // Store before acknowledging; SNS retries and MessageId dedupes the retries
+        const { id, duplicate, status } = await webhookEvents.recordEvent({
+          provider: 'ses',
+          eventId: message.MessageId,
+          eventType: getNotificationType(message),
+          payload: message
+        });
+
+        // A duplicate still 'received' was stored but never queued (the enqueue failed)
+        if (!duplicate || status === 'received') {
+          await queueWebhookEvent(id);
+        }
+
+        return res.status(200).send('OK');
+      }
+
+      default:
+        logger.info('Unhandled SNS message type', { type: message.Type });
+        return res.status(200).send('OK');
+    }
+  } catch (error) {
+    logger.error('SES webhook processing error', { error: error.message, stack: error.stack });
+    res.status(500).send('Error');
+  }
+}
+
+/**
+ * Process a stored SNS notification (called from the webhook worker)
+ * Errors propagate so the queue can retry
+ */
+async function processSESEvent(message) {
+  const notification = JSON.parse(message.Message);
+  const result = await emailService.handleFeedback(notification);
+
+  logger.info('SES notification processed', { messageId: message.MessageId, ...result });
+  return result;
+}
+
+module.exports = {
+  handleSESWebhook,
+  processSESEvent,
+  verifySNSSignature
+};
@@ -1,96 +1,188 @@
 const crypto = require('crypto');
 const config = require('../../config');
 const telnyxService = require('../services/sms/telnyx');
+const webhookEvents = require('../services/webhookEvents');
+const { queueWebhookEvent } = require('../services/queue');
 const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+
+// DER header for an Ed25519 SubjectPublicKeyInfo; Telnyx publishes the raw 32-byte key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+let telnyxPublicKey = null;
+
+/**
+ * Load the Telnyx public key (base64, from Mission Control) as a KeyObject
+ */
+function getPublicKey() {
+  if (!telnyxPublicKey) {
+    const raw = Buffer.from(config.telnyx.publicKey, 'base64');
+    telnyxPublicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+      format: 'der',
+      type: 'spki'
+    });
+  }
+  return telnyxPublicKey;
+}
 
 /**
  * Verify Telnyx webhook signature
+ * Signature is Ed25519 over `${timestamp}|${rawBody}`
  * https://developers.telnyx.com/docs/v2/development/webhooks#verifying-webhooks
  */
 function verifySignature(req) {
   const signature = req.headers['telnyx-signature-ed25519'];
   const timestamp = req.headers['telnyx-timestamp'];
   
-  if (!signature || !timestamp) {
+  if (!signature || !timestamp || !req.rawBody) {
     return false;
   }
 
-  // For production, implement full Ed25519 verification
-  // For now, check if signature exists
-  // TODO: Implement proper Ed25519 signature verification
-  
-  // Check timestamp is recent (within 5 minutes)
-  const timestampDate = new Date(timestamp);
-  const now = new Date();
-  const fiveMinutes = 5 * 60 * 1000;
+  if (!config.telnyx.publicKey) {
+    logger.error('TELNYX_PUBLIC_KEY not configured, cannot verify webhooks');
+    return false;
+  }
+
+  // Check timestamp is recent - Telnyx sends Unix seconds
+  const timestampSeconds = parseInt(timestamp, 10);
+  const nowSeconds = Math.floor(Date.now() / 1000);
   
-  if (Math.abs(now - timestampDate) > fiveMinutes) {
-    logger.warn('Telnyx webhook timestamp too old', { timestamp });
+  if (Number.isNaN(timestampSeconds) ||
+      Math.abs(nowSeconds - timestampSeconds) > config.telnyx.webhookToleranceSeconds) {
+    logger.warn('Telnyx webhook timestamp outside tolerance', { timestamp });
     return false;
   }
 
-  return true;
+  try {
+    const signedPayload = Buffer.concat([
+      Buffer.from(`${timestamp}|`, 'utf8'),
+      req.rawBody
+    ]);
+
+    return crypto.verify(null, signedPayload, getPublicKey(), Buffer.from(signature, 'base64'));
+  } catch (error) {
+    logger.warn('Telnyx webhook signature verification error', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Replay protection - a signature is only accepted once within the tolerance window
+ * Returns true if this signature has been seen before
+ */
+async function isReplay(req) {
+  // Keep the marker a little longer than the timestamp tolerance
+  const ttl = config.telnyx.webhookToleranceSeconds * 2;
+  const result = await redis.set(getReplayKey(req), '1', 'EX', ttl, 'NX');
+
+  return result === null;
+}
+
+/**
+ * Redis key marking a signature as seen
+ */
+function getReplayKey(req) {
+  const signature = req.headers['telnyx-signature-ed25519'];
+  return 'telnyx:webhook:sig:' + crypto.createHash('sha256').update(signature).digest('hex');
 }
 
 /**
  * Main Telnyx webhook handler
  */
 async function handleTelnyxWebhook(req, res) {
-  // Respond immediately to acknowledge receipt
-  res.status(200).send('OK');
+  // Reject anything we can't authenticate before acknowledging it
+  if (config.telnyx.verifyWebhooks) {
+    if (!verifySignature(req)) {
+      logger.warn('Invalid Telnyx webhook signature', { ip: req.ip });
+      return res.status(401).send('Invalid signature');
+    }
 
-  try {
-    // Verify signature in production
-    if (config.env === 'production') {
-      if (!verifySignature(req)) {
-        logger.warn('Invalid Telnyx webhook signature');
-        return;
+    try {
+      if (await isReplay(req)) {
+        logger.warn('Replayed Telnyx webhook ignored', { ip: req.ip });
+        return res.status(200).send('OK');
       }
+    } catch (error) {
+      // Can't rule out a replay - have Telnyx retry later
+      logger.error('Telnyx webhook replay check failed', { error: error.message });
+      return res.status(503).send('Unavailable');
     }
+  }
+
+  const { data } = req.body || {};
+
+  if (!data) {
+    logger.warn('Telnyx webhook missing data payload');
+    return res.status(400).send('Missing data');
+  }
+
+  // Store before acknowledging so a crash can't lose the event; Telnyx retries
+  // on non-2xx and the event id dedupes those retries
+  try {
+    const eventId = data.id || crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body)).digest('hex');
+
+    const { id, duplicate, status } = await webhookEvents.recordEvent({
+      provider: 'telnyx',
+      eventId,
+      eventType: data.event_type,
+      payload: req.body
+    });
 
-    const { data } = req.body;
-    
-    if (!data) {
-      logger.warn('Telnyx webhook missing data payload');
-      return;
+    // A duplicate still 'received' was stored but never queued (the enqueue failed)
+    if (!duplicate || status === 'received') {
+      await queueWebhookEvent(id);
     }
 
-    const eventType = data.event_type;
-    const payload = data.payload;
+    logger.info('Telnyx webhook received', { eventType: data.event_type, eventId, duplicate });
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Failed to store Telnyx webhook', { error: error.message, stack: error.stack });
 
-    logger.info('Telnyx webhook received', { eventType, messageId: payload?.id });
+    // Let a retry with the same signature through, since we never stored this one
+    if (config.telnyx.verifyWebhooks) {
+      await redis.del(getReplayKey(req)).catch(() => {});
+    }
 
-    switch (eventType) {
-      // Outbound message status updates
-      case 'message.sent':
-        await handleMessageSent(payload);
-        break;
+    res.status(500).send('Error');
+  }
+}
 
-      case 'message.finalized':
-        await handleMessageFinalized(payload);
-        break;
+/**
+ * Process a stored Telnyx event (called from the webhook worker)
+ * Errors propagate so the queue can retry
+ */
+async function processTelnyxEvent(data) {
+  const eventType = data.event_type;
+  const payload = data.payload;
 
-      // Inbound messages
-      case 'message.received':
-        await handleMessageReceived(payload);
-        break;
+  switch (eventType) {
+    // Outbound message status updates
+    case 'message.sent':
+      await handleMessageSent(payload);
+      break;
 
-      // Delivery status
-      case 'message.delivered':
-        await handleMessageDelivered(payload);
-        break;
+    case 'message.finalized':
+      await handleMessageFinalized(payload);
+      break;
 
-      case 'message.failed':
-      case 'message.delivery_failed':
-        await handleMessageFailed(payload);
-        break;
+    // Inbound messages
+    case 'message.received':
+      await handleMessageReceived(payload);
+      break;
 
-      default:
-        logger.info('Unhandled Telnyx event type', { eventType });
-    }
+    // Delivery status
+    case 'message.delivered':
+      await handleMessageDelivered(payload);
+      break;
 
-  } catch (error) {
-    logger.error('Telnyx webhook processing error', { error: error.message, stack: error.stack });
+    case 'message.failed':
+    case 'message.delivery_failed':
+      await handleMessageFailed(payload);
+      break;
+
+    default:
+      logger.info('Unhandled Telnyx event type', { eventType });
   }
 }
 
@@ -166,5 +258,7 @@ async function handleMessageFailed(payload) {
 
 module.exports = {
   handleTelnyxWebhook,
-  verifySignature
+  processTelnyxEvent,
+  verifySignature,
+  isReplay
 };